@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+// cli.js
+// Command-line entry point for local and CI runs. Uses the same code paths as the Lambda
+// handler (runRequest -> syncOnce, createWp); parameters come from flags, a JSON config file
+// and the environment (.env), in that priority order.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: drive-wp-gallery-sync <command> [options]
+
+Commands:
+  sync                   Sync Drive folders to the gallery
+  plan                   Dry run: what a sync would change (--preview <file> writes an HTML preview)
+  prune                  Sync and remove media whose Drive file is gone
+  cache show|clear|rebuild
+                         Inspect, delete or re-fetch the WordPress media cache
+  snapshots              List the content snapshots of the post
+  rollback               Restore a snapshot (--snapshot-id) or revision (--revision-id)
+  watch                  Register or renew the Drive push notification channel of the post
+  health                 Check the Drive and WordPress credentials
+  options                Print the parameter table (Markdown, as in the README)
+
+Options:
+  -c, --config <file>    JSON file with parameters (or "targets" for several targets)
+      --env-file <file>  Environment file to load (default: .env when present)
+      --json             Print the result as JSON
+  -q, --quiet            No progress output
+  -v, --verbose          Show the sync log
+  -h, --help             Show this help
+
+Every request parameter is also a flag in kebab-case, e.g. --folder-id ABC123 --page-id 42
+--recursive --max-size 2048; boolean flags also take --no-<flag>.`;
+
+function listParams() {
+    // Request parameters accepted as flags: the option schemas of index.js, plus `target`
+    // to pick one of several targets -> { name: 'string' | 'boolean' }
+    const { SYNC_OPTIONS, ROLLBACK_OPTIONS } = require('./index.js');
+    const params = { target: 'string' };
+    for (const option of [...SYNC_OPTIONS, ...ROLLBACK_OPTIONS]) {
+        if (option.request !== false) params[option.name] = option.type === 'boolean' ? 'boolean' : 'string';
+    }
+    return params;
+}
+
+const COMMANDS = ['sync', 'plan', 'prune', 'cache', 'snapshots', 'rollback', 'watch', 'health', 'options'];
+const CACHE_COMMANDS = ['show', 'clear', 'rebuild'];
+
+function toFlag(name) {
+    return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function usageError(message) {
+    const err = new Error(message);
+    err.usage = true;
+    return err;
+}
+
+function parseCommandLine(argv) {
+    // -> { command, subcommand, qs, flags }; qs holds the request parameters as strings,
+    // like a query string, so they go through the handler's option parsing unchanged
+    const options = {
+        config: { type: 'string', short: 'c' },
+        'env-file': { type: 'string' },
+        json: { type: 'boolean' },
+        quiet: { type: 'boolean', short: 'q' },
+        verbose: { type: 'boolean', short: 'v' },
+        preview: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+    };
+    const params = listParams();
+    for (const [name, type] of Object.entries(params)) {
+        options[toFlag(name)] = { type };
+        if (type === 'boolean') options[`no-${toFlag(name)}`] = { type: 'boolean' };
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options, allowPositionals: true });
+    } catch (err) {
+        throw usageError(err.message);
+    }
+    const { values, positionals } = parsed;
+
+    const qs = {};
+    for (const [name, type] of Object.entries(params)) {
+        const flag = toFlag(name);
+        if (values[flag] !== undefined) qs[name] = type === 'boolean' ? String(values[flag]) : values[flag];
+        if (values[`no-${flag}`]) qs[name] = 'false';
+    }
+
+    const [command, subcommand, ...extra] = positionals;
+    if (values.help || !command) return { command: 'help', qs, flags: values };
+    if (!COMMANDS.includes(command)) throw usageError(`Unknown command "${command}"`);
+    if (command === 'cache' ? !CACHE_COMMANDS.includes(subcommand) : subcommand !== undefined) {
+        throw usageError(command === 'cache' ? `cache needs one of: ${CACHE_COMMANDS.join(', ')}` : `Unexpected argument "${subcommand}"`);
+    }
+    if (extra.length > 0) throw usageError(`Unexpected argument "${extra[0]}"`);
+    return { command, subcommand: subcommand || null, qs, flags: values };
+}
+
+function loadEnvFile(file) {
+    // Variables already set in the environment win over the file
+    if (!file && !fs.existsSync('.env')) return;
+    const { error } = require('dotenv').config({ path: file || '.env', quiet: true });
+    if (error) throw usageError(`Failed to load ${file || '.env'}: ${error.message}`);
+}
+
+function loadConfigFile(file) {
+    // Parameters as in a JSON request body; { targets: [...] } runs several targets
+    if (!file) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw usageError(`Failed to read config ${file}: ${err.message}`);
+    }
+}
+
+function makeProgressPrinter(stream = process.stderr) {
+    // One line per phase, then at most one a second
+    let lastPhase = null;
+    let lastAt = 0;
+    return p => {
+        const now = Date.now();
+        if (p.phase === lastPhase && now - lastAt < 1000) return;
+        lastPhase = p.phase;
+        lastAt = now;
+        const target = p.target ? `[${p.target}] ` : '';
+        stream.write(`${target}${p.phase}: ${p.foldersDone}/${p.foldersTotal} folder(s), ${p.filesTransferred} file(s) transferred, `
+            + `${p.uploaded} new, ${p.reused} reused, ${p.replaced} replaced, ${p.skipped} skipped\n`);
+    };
+}
+
+function formatSyncResult(result) {
+    // Human-readable summary of a syncOnce result
+    const lines = [
+        `${result.postType} ${result.pageId}: ${result.uploadedCount} uploaded, ${result.reusedCount} reused, ${result.replacedCount} replaced, `
+        + `${result.prunedCount} pruned, ${result.metadataUpdatedCount} metadata updated, ${result.skippedCount} skipped`,
+        `${result.totalIdsInGallery} image(s) in ${result.sectionsCount} section(s)`
+    ];
+    if (result.plan) {
+        const { mode, diff } = result.plan;
+        const describe = b => `${b.block}${b.id != null ? ` ${b.id}` : ''}${b.text ? `: ${b.text}` : ''}${b.url ? ` ${b.url}` : ''}`;
+        lines.push(`Plan: region ${mode}, ${diff.unchanged} block(s) unchanged`);
+        diff.added.forEach(b => lines.push(`  + ${describe(b)}`));
+        diff.removed.forEach(b => lines.push(`  - ${describe(b)}`));
+        diff.changed.forEach(c => lines.push(`  ~ ${describe(c.to)}`));
+        diff.moved.forEach(b => lines.push(`  > ${describe(b)} (moved)`));
+    } else {
+        lines.push(`Content: ${result.contentUpdate || 'not written'}${result.snapshotId ? ` (previous content in snapshot ${result.snapshotId})` : ''}`);
+    }
+    for (const { folder, filename, error } of result.images.skipped) {
+        lines.push(`Skipped ${folder ? `${folder} / ` : ''}${filename}: ${error}`);
+    }
+    if (!result.complete) lines.push(`Stopped early; resume with --continuation-token ${result.continuationToken}`);
+    return lines.join('\n');
+}
+
+function formatResult(command, subcommand, payload) {
+    if (command === 'sync' || command === 'plan' || command === 'prune') {
+        const { result } = payload;
+        if (!result.targets) return formatSyncResult(result);
+        return result.targets.map(t => `[${t.name}] ${t.ok ? formatSyncResult(t.result) : `failed: ${t.error}`}`).join('\n\n');
+    }
+    if (command === 'cache') {
+        if (subcommand === 'clear') return payload.cleared ? 'Media cache cleared' : 'No media cache';
+        const c = payload.cache;
+        const maps = Object.entries(c.mappedFiles).map(([site, count]) => `  ${site}: ${count} Drive file(s)`);
+        return [
+            c.cached ? `${c.cacheFile}: ${c.mediaCount} media item(s) of ${c.wpBaseUrl}, updated ${c.lastUpdated}${c.expired ? ' (expired)' : ''}` : `${c.cacheFile}: no media cache`,
+            `${c.mediaMapFile}:${maps.length ? '' : ' empty'}`,
+            ...maps
+        ].join('\n');
+    }
+    if (command === 'snapshots') {
+        if (payload.snapshots.length === 0) return `No snapshots of ${payload.postType} ${payload.pageId}`;
+        // The options that tell snapshots apart: the folder or restored source, and what was switched on
+        const describe = options => Object.entries(options)
+            .filter(([key, value]) => value === true || (['driveFolderId', 'snapshotId', 'revisionId'].includes(key) && value))
+            .map(([key, value]) => (value === true ? key : `${key}=${value}`)).join(' ');
+        return payload.snapshots.map(s => `${s.id}  ${s.createdAt}  ${s.reason}  ${s.attachmentIds.length} image(s)`
+            + `${s.revisionId ? `  revision ${s.revisionId}` : ''}  ${describe(s.options)}`).join('\n');
+    }
+    if (command === 'rollback') {
+        const r = payload.result;
+        const source = r.restoredFrom.revisionId ? `revision ${r.restoredFrom.revisionId}` : `snapshot ${r.restoredFrom.snapshotId}`;
+        const lines = [r.unchanged
+            ? `${r.postType} ${r.pageId} already has the content of ${source}`
+            : `${r.updated ? 'Restored' : 'Would restore'} ${r.postType} ${r.pageId} from ${source}${r.snapshotId ? `; replaced content in snapshot ${r.snapshotId}` : ''}`];
+        if (r.missingAttachmentIds.length > 0) lines.push(`Missing attachments: ${r.missingAttachmentIds.join(', ')}`);
+        return lines.join('\n');
+    }
+    if (command === 'watch') {
+        const { channel, pageId, renewed } = payload.result;
+        const expires = channel.expiration ? `, expires ${new Date(channel.expiration).toISOString()}` : '';
+        return `${renewed ? 'Renewed' : 'Registered'} channel ${channel.id} for post ${pageId}${expires}`;
+    }
+    if (command === 'options') return payload.table;
+    if (command === 'health') {
+        const line = (name, c) => `${name}: ${c.ok ? 'ok' : `failed (${c.status}) ${c.error}`}`;
+        return [line('Drive', payload.drive), line('WordPress', payload.wordpress)].join('\n');
+    }
+    return JSON.stringify(payload, null, 2);
+}
+
+async function runCommand(lib, { command, subcommand, qs, flags }, body, stderr = process.stderr) {
+    // -> { ok, ...payload }
+    const onProgress = flags.quiet ? null : makeProgressPrinter(stderr);
+    if (command === 'sync' || command === 'plan' || command === 'prune') {
+        if (command === 'plan') qs.dryRun = 'true';
+        if (command === 'prune') qs.prune = 'true';
+        const previewFile = flags.preview ? path.resolve(flags.preview) : null;
+        // Flags and the config file are the operator's: local watermark paths are allowed
+        const { ok, result } = await lib.runRequest(qs, body, { onProgress, trusted: true, previewFile });
+        return { ok, result };
+    }
+    if (command === 'cache') {
+        if (subcommand === 'clear') return { ok: true, cleared: lib.clearCache() };
+        if (subcommand === 'rebuild') {
+            const { wpBaseUrl, wpUser, wpPass } = lib.readSyncOptions(qs, body);
+            if (!wpBaseUrl || !wpUser || !wpPass) throw usageError('WP credentials/baseUrl required');
+            await lib.createWp(wpBaseUrl, wpUser, wpPass, { refreshCache: true }).loadMediaCache();
+        }
+        return { ok: true, cache: await lib.describeCache() };
+    }
+    if (command === 'snapshots') {
+        return { ok: true, ...(await lib.listPostSnapshots(lib.readSyncOptions(qs, body))) };
+    }
+    if (command === 'rollback') {
+        return { ok: true, result: await lib.rollbackPost(lib.readRollbackOptions(qs, body)) };
+    }
+    if (command === 'watch') {
+        return { ok: true, result: await lib.registerDriveWatch(lib.readWatchOptions(qs, body)) };
+    }
+    if (command === 'options') return { ok: true, table: lib.makeOptionsTable() };
+    // health
+    const health = await lib.checkHealth(lib.readSyncOptions(qs, body));
+    return { ...health, ok: health.drive.ok && health.wordpress.ok };
+}
+
+async function main(argv = process.argv.slice(2), { stdout = process.stdout, stderr = process.stderr } = {}) {
+    // -> exit code: 0 ok, 1 failed, 2 usage error
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+        if (parsed.command === 'help') {
+            stdout.write(`${USAGE}\n`);
+            return 0;
+        }
+        loadEnvFile(parsed.flags['env-file']);
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    // The library logs with console.log: keep stdout for the result
+    const consoleLog = console.log;
+    console.log = parsed.flags.verbose ? (...args) => stderr.write(`${args.join(' ')}\n`) : () => {};
+    try {
+        const body = loadConfigFile(parsed.flags.config);
+        const lib = require('./index.js');
+        const payload = await runCommand(lib, parsed, body, stderr);
+        stdout.write(`${parsed.flags.json ? JSON.stringify(payload, null, 2) : formatResult(parsed.command, parsed.subcommand, payload)}\n`);
+        return payload.ok ? 0 : 1;
+    } catch (err) {
+        if (parsed.flags.json) stdout.write(`${JSON.stringify({ ok: false, error: err.message }, null, 2)}\n`);
+        stderr.write(`Error: ${err.message}\n`);
+        return err.usage || err.statusCode === 400 ? 2 : 1;
+    } finally {
+        console.log = consoleLog;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => { process.exitCode = code; });
+}
+
+module.exports = { parseCommandLine, formatSyncResult, runCommand, main };
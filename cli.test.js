@@ -0,0 +1,161 @@
+// cli.test.js
+const path = require('path');
+const { parseCommandLine, formatSyncResult, runCommand, main } = require('./cli.js');
+
+function capture() {
+    const io = { out: '', err: '' };
+    io.stdout = { write: s => { io.out += s; } };
+    io.stderr = { write: s => { io.err += s; } };
+    return io;
+}
+
+describe('parseCommandLine', () => {
+    it('maps kebab-case flags to request parameters', () => {
+        const { command, qs, flags } = parseCommandLine(['sync', '--folder-id', 'ABC', '--page-id=42', '--recursive', '--no-hide-filenames', '--json']);
+        expect(command).toBe('sync');
+        expect(qs).toEqual({ folderId: 'ABC', pageId: '42', recursive: 'true', hideFilenames: 'false' });
+        expect(flags.json).toBe(true);
+    });
+
+    it('takes a cache subcommand', () => {
+        expect(parseCommandLine(['cache', 'rebuild'])).toMatchObject({ command: 'cache', subcommand: 'rebuild' });
+        expect(() => parseCommandLine(['cache'])).toThrow(/show, clear, rebuild/);
+    });
+
+    it('rejects unknown commands, flags and arguments', () => {
+        expect(() => parseCommandLine(['deploy'])).toThrow(/Unknown command "deploy"/);
+        expect(() => parseCommandLine(['sync', '--folder', 'ABC'])).toThrow(/--folder/);
+        expect(() => parseCommandLine(['sync', 'extra'])).toThrow(/Unexpected argument "extra"/);
+    });
+
+    it('takes every request parameter of the option schema', () => {
+        const { qs } = parseCommandLine(['sync', '--watermark-opacity', '0.3', '--no-crop', '--target', 'summer', '--snapshot-id', 'S1']);
+        expect(qs).toEqual({ watermarkOpacity: '0.3', crop: 'false', target: 'summer', snapshotId: 'S1' });
+        expect(() => parseCommandLine(['sync', '--preview-file', 'x.html'])).toThrow(/--preview-file/);
+    });
+
+    it('shows help without a command', () => {
+        expect(parseCommandLine([]).command).toBe('help');
+        expect(parseCommandLine(['sync', '-h']).command).toBe('help');
+    });
+});
+
+describe('formatSyncResult', () => {
+    const result = {
+        postType: 'page', pageId: 42, uploadedCount: 1, reusedCount: 2, replacedCount: 0, prunedCount: 0, metadataUpdatedCount: 0, skippedCount: 1,
+        totalIdsInGallery: 3, sectionsCount: 1, contentUpdate: 'replaced', snapshotId: 'S1', complete: true,
+        images: { skipped: [{ folder: 'Summer', filename: 'bad.jpg', error: 'corrupt' }] }
+    };
+
+    it('summarizes a sync', () => {
+        expect(formatSyncResult(result)).toBe([
+            'page 42: 1 uploaded, 2 reused, 0 replaced, 0 pruned, 0 metadata updated, 1 skipped',
+            '3 image(s) in 1 section(s)',
+            'Content: replaced (previous content in snapshot S1)',
+            'Skipped Summer / bad.jpg: corrupt'
+        ].join('\n'));
+    });
+
+    it('lists the block changes of a plan and how to resume', () => {
+        const plan = {
+            mode: 'replaced',
+            diff: { added: [{ block: 'core/image', id: 0, url: 'drive:A1' }], removed: [], changed: [{ from: {}, to: { block: 'core/heading', text: 'Summer' } }], moved: [], unchanged: 5 }
+        };
+        const text = formatSyncResult({ ...result, plan, complete: false, continuationToken: 'T1' });
+        expect(text).toContain('Plan: region replaced, 5 block(s) unchanged\n  + core/image 0 drive:A1\n  ~ core/heading: Summer');
+        expect(text).toContain('resume with --continuation-token T1');
+    });
+});
+
+describe('runCommand', () => {
+    function stubLib(overrides = {}) {
+        return {
+            runRequest: vi.fn(async () => ({ ok: true, result: { pageId: 42 } })),
+            readSyncOptions: vi.fn((qs, body) => ({ ...body, ...qs })),
+            readRollbackOptions: vi.fn(qs => ({ ...qs })),
+            rollbackPost: vi.fn(async () => ({ pageId: 42, revisionId: 9 })),
+            clearCache: vi.fn(() => 3),
+            createWp: vi.fn(() => ({ loadMediaCache: vi.fn(async () => {}) })),
+            describeCache: vi.fn(async () => ({ sites: 1 })),
+            checkHealth: vi.fn(async () => ({ drive: { ok: true }, wordpress: { ok: true } })),
+            readWatchOptions: vi.fn(qs => ({ folderId: qs.folderId, pageId: Number(qs.pageId) })),
+            registerDriveWatch: vi.fn(async ({ pageId }) => ({ channel: { id: 'c1', resourceId: 'R' }, pageId, renewed: true })),
+            ...overrides
+        };
+    }
+
+    it('runs a sync as the operator', async () => {
+        const lib = stubLib();
+        const payload = await runCommand(lib, parseCommandLine(['sync', '--folder-id', 'A', '--page-id', '42', '--quiet']), {});
+        expect(payload).toEqual({ ok: true, result: { pageId: 42 } });
+        expect(lib.runRequest).toHaveBeenCalledWith({ folderId: 'A', pageId: '42' }, {}, { onProgress: null, trusted: true, previewFile: null });
+    });
+
+    it('makes plan a dry run and passes the preview file along', async () => {
+        const lib = stubLib();
+        await runCommand(lib, parseCommandLine(['plan', '--folder-id', 'A', '--page-id', '42', '--preview', 'out.html', '--quiet']), {});
+        expect(lib.runRequest).toHaveBeenCalledWith(
+            { folderId: 'A', pageId: '42', dryRun: 'true' }, {},
+            expect.objectContaining({ previewFile: path.resolve('out.html') })
+        );
+        expect(process.env.PREVIEW_FILE).toBeUndefined();
+
+        await runCommand(lib, parseCommandLine(['prune', '--quiet']), {});
+        expect(lib.runRequest).toHaveBeenLastCalledWith({ prune: 'true' }, {}, expect.anything());
+    });
+
+    it('clears, rebuilds and shows the cache', async () => {
+        const lib = stubLib();
+        expect(await runCommand(lib, parseCommandLine(['cache', 'clear']), {})).toEqual({ ok: true, cleared: 3 });
+        expect(await runCommand(lib, parseCommandLine(['cache', 'show']), {})).toEqual({ ok: true, cache: { sites: 1 } });
+        expect(lib.createWp).not.toHaveBeenCalled();
+
+        await expect(runCommand(lib, parseCommandLine(['cache', 'rebuild']), {})).rejects.toMatchObject({ usage: true });
+        const body = { wpBaseUrl: 'https://example.com', wpUser: 'u', wpPass: 'p' };
+        expect(await runCommand(lib, parseCommandLine(['cache', 'rebuild']), body)).toEqual({ ok: true, cache: { sites: 1 } });
+        expect(lib.createWp).toHaveBeenCalledWith('https://example.com', 'u', 'p', { refreshCache: true });
+    });
+
+    it('rolls back with the rollback options', async () => {
+        const lib = stubLib();
+        const payload = await runCommand(lib, parseCommandLine(['rollback', '--page-id', '42', '--revision-id', '9']), {});
+        expect(lib.readRollbackOptions).toHaveBeenCalledWith({ pageId: '42', revisionId: '9' }, {});
+        expect(payload).toEqual({ ok: true, result: { pageId: 42, revisionId: 9 } });
+    });
+
+    it('registers the watch channel of the target', async () => {
+        const lib = stubLib();
+        const payload = await runCommand(lib, parseCommandLine(['watch', '--folder-id', 'A', '--page-id', '42']), {});
+        expect(lib.readWatchOptions).toHaveBeenCalledWith({ folderId: 'A', pageId: '42' }, {});
+        expect(lib.registerDriveWatch).toHaveBeenCalledWith({ folderId: 'A', pageId: 42 });
+        expect(payload).toEqual({ ok: true, result: { channel: { id: 'c1', resourceId: 'R' }, pageId: 42, renewed: true } });
+    });
+
+    it('fails a health check when either side is down', async () => {
+        const lib = stubLib({ checkHealth: vi.fn(async () => ({ drive: { ok: true }, wordpress: { ok: false, status: 401, error: 'denied' } })) });
+        const payload = await runCommand(lib, parseCommandLine(['health']), {});
+        expect(payload.ok).toBe(false);
+        expect(payload.wordpress).toEqual({ ok: false, status: 401, error: 'denied' });
+    });
+});
+
+describe('main', () => {
+    it('prints usage and exits with 2 on bad input', async () => {
+        const io = capture();
+        expect(await main(['sync', '--nope'], io)).toBe(2);
+        expect(io.err).toContain('Usage: drive-wp-gallery-sync');
+        expect(await main(['--help'], capture())).toBe(0);
+    });
+
+    it('reports all invalid parameters and exits with 2', async () => {
+        const io = capture();
+        expect(await main(['sync', '--folder-id', 'A', '--page-id', 'x', '--order', 'oldest', '--env-file', '/dev/null', '--quiet'], io)).toBe(2);
+        expect(io.err).toContain('pageId must be an integer; order must be one of');
+    });
+
+    it('prints the parameter table', async () => {
+        const io = capture();
+        expect(await main(['options', '--env-file', '/dev/null'], io)).toBe(0);
+        expect(io.out).toContain('| `folderId` | `GOOGLE_DRIVE_FOLDER_ID` |');
+    });
+});
@@ -1,16 +1,35 @@
 // index.js
 // Node.js 20 AWS Lambda — on-demand Drive -> WordPress gallery sync (Gutenberg block)
-// Dedupe strategy: reuse existing WP media by filename/title (no custom meta).
+// Dedupe strategy: reuse existing WP media by Drive file identity (file ID / md5Checksum),
+// recorded in the Drive -> WP media map (see getStore). Filename lookup remains as a migration fallback.
 
 const { google } = require('googleapis');
 const axios = require('axios');
 const FormData = require('form-data');
 const sharp = require('sharp');
 const fs = require('fs');
+const crypto = require('crypto');
 
 const DEFAULT_MAX_IMAGE_SIZE = 1024;
 const CACHE_FILE = '.wp-media-cache.json';
 const CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MEDIA_MAP_FILE = '.wp-drive-media-map.json';
+const DEFAULT_STATE_FILE = '.drive-sync-state.json';
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+const SHORTCUT_MIME = 'application/vnd.google-apps.shortcut';
+// Parallel transfers per stage; sharp already uses several threads per image
+const DEFAULT_CONCURRENCY = { download: 4, process: 2, upload: 3 };
+const DEFAULT_AUTH_MAX_SKEW_MS = 5 * 60 * 1000;
+const DEFAULT_JOB_STORE_FILE = '.drive-sync-jobs.json';
+const DEFAULT_SNAPSHOT_FILE = '.drive-sync-snapshots.json';
+const DEFAULT_SNAPSHOT_LIMIT = 20; // per post
+const DEFAULT_LAMBDA_TIME_MARGIN_MS = 60 * 1000;
+const DEFAULT_WATCH_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Drive caps changes.watch channels at one week
+const DEFAULT_WEBHOOK_DEBOUNCE_MS = 30 * 1000;
+const DEDUPE_MODES = ['identity', 'filename'];
+const PRUNE_MODES = ['delete', 'trash'];
+const REGION_CLASS = 'drive-gallery-sync';
+const DEFAULT_REGION_ID = 'default';
 
 // ---------- cache ----------
 function loadCache() {
@@ -34,6 +53,32 @@ function saveCache(cache) {
     }
 }
 
+function clearCache() {
+    // -> whether there was a cache. The media map is not a cache (it is the only record of
+    // which attachment came from which Drive file) and is never cleared.
+    if (!fs.existsSync(CACHE_FILE)) return false;
+    fs.rmSync(CACHE_FILE);
+    console.log(`[cache] Cleared ${CACHE_FILE}`);
+    return true;
+}
+
+async function describeCache() {
+    // What the media cache and the media map hold -> { cacheFile, cached, ..., mappedFiles: { site: count } }
+    const cache = loadCache();
+    const mediaStore = getStore('media');
+    const sites = (await mediaStore.get(MEDIA_MAP_KEY)) || {};
+    return {
+        cacheFile: CACHE_FILE,
+        cached: !!(cache && cache.media),
+        wpBaseUrl: (cache && cache.wpBaseUrl) || null,
+        lastUpdated: cache && cache.lastUpdated ? new Date(cache.lastUpdated).toISOString() : null,
+        mediaCount: cache && cache.media ? Object.keys(cache.media).length : 0,
+        expired: !isCacheValid(cache, cache && cache.wpBaseUrl),
+        mediaMapFile: mediaStore.location,
+        mappedFiles: Object.fromEntries(Object.entries(sites).map(([site, files]) => [site, Object.keys(files).length]))
+    };
+}
+
 function isCacheValid(cache, wpBaseUrl) {
     if (!cache || !cache.media) return false;
     if (cache.wpBaseUrl !== wpBaseUrl) return false;
@@ -41,17 +86,336 @@ function isCacheValid(cache, wpBaseUrl) {
     return age < CACHE_MAX_AGE_MS;
 }
 
+// ---------- media map ----------
+// Drive file ID -> WP attachment, per WordPress site. Unlike the media cache this never
+// expires: it is the only record of which attachment was created from which Drive file, so
+// identity dedupe and pruning depend on it. It lives in the 'media' store (see getStore) under
+// one key, { [wpBaseUrl]: files }, which keeps the format of the original map file. Runs that
+// overlap share it, so a save merges the entries it changed into what is stored.
+const MEDIA_MAP_KEY = 'sites';
+
+async function loadMediaMap(wpBaseUrl, store = getStore('media')) {
+    const sites = (await store.get(MEDIA_MAP_KEY)) || {};
+    return sites[wpBaseUrl] || {};
+}
+
+async function saveMediaMap(wpBaseUrl, changes, store = getStore('media')) {
+    // changes: { [driveFileId]: entry, or null to remove it } -> the site's files as saved.
+    // Throws when the store cannot save: a lost map means duplicate uploads and media that
+    // pruning no longer owns
+    const sites = (await store.get(MEDIA_MAP_KEY)) || {};
+    const files = { ...sites[wpBaseUrl] };
+    for (const [fileId, entry] of Object.entries(changes)) {
+        if (entry) files[fileId] = entry;
+        else delete files[fileId];
+    }
+    sites[wpBaseUrl] = files;
+    await store.set(MEDIA_MAP_KEY, sites);
+    return files;
+}
+
+function findMappedMedia(files, file) {
+    // Prefer the Drive file ID (survives renames and moves), then the content checksum
+    // (survives re-adding the same photo as a new Drive file)
+    if (files[file.id]) return { entry: files[file.id], matchedBy: 'fileId' };
+    if (file.md5Checksum) {
+        const entry = Object.values(files).find(e => e.md5Checksum === file.md5Checksum);
+        if (entry) return { entry, matchedBy: 'checksum' };
+    }
+    return null;
+}
+
+function makeTargetKey(folderId, pageId, postType = 'page') {
+    // Identifies one sync target (Drive folder -> WP page/post) in the media map and state;
+    // pages keep the plain "<folder>:<id>" form
+    const post = postType === 'page' ? `${pageId}` : `${postType}/${pageId}`;
+    return `${folderId}:${post}`;
+}
+
+// ---------- state store ----------
+// Small key/value stores for what must outlive a run: 'state' (Drive change tokens,
+// checkpoints, watch channels, ...), 'media' (the media map), 'jobs' and 'snapshots'. They share one async shape,
+// { get, set, delete, list(prefix) }, so S3 or a store of one's own (setStore) can replace the
+// local files. A store that cannot save throws; `shared: false` marks one that other
+// invocations cannot read (a file in a Lambda instance's working directory).
+const STORE_FILES = {
+    state: ['STATE_FILE', DEFAULT_STATE_FILE],
+    media: ['MEDIA_MAP_FILE', DEFAULT_MEDIA_MAP_FILE],
+    jobs: ['JOB_STORE_FILE', DEFAULT_JOB_STORE_FILE],
+    snapshots: ['SNAPSHOT_FILE', DEFAULT_SNAPSHOT_FILE]
+};
+const DEFAULT_STORE_PREFIX = 'drive-sync/';
+const customStores = {};
+
+function createFileStore(filePath = env('STATE_FILE', DEFAULT_STATE_FILE), { shared = true } = {}) {
+    function read() {
+        try {
+            if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            console.log(`[state] Failed to load ${filePath}: ${err.message}`);
+        }
+        return {};
+    }
+
+    function write(data) {
+        try {
+            fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+        } catch (err) {
+            throw new Error(`Failed to save ${filePath}: ${err.message}`);
+        }
+    }
+
+    return {
+        shared,
+        location: filePath,
+        async get(key) {
+            const data = read();
+            return data[key] === undefined ? null : data[key];
+        },
+        async set(key, value) {
+            const data = read();
+            data[key] = value;
+            write(data);
+        },
+        async delete(key) {
+            const data = read();
+            delete data[key];
+            write(data);
+        },
+        async list(prefix = '') {
+            return Object.entries(read())
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, value]) => ({ key, value }));
+        }
+    };
+}
+
+function createS3Store({ bucket, prefix = '', sdk = null }) {
+    // One JSON object per key under `prefix`. The AWS SDK ships with the Lambda Node.js runtime
+    // and is loaded on demand, so it is not a dependency.
+    if (!sdk) {
+        try {
+            sdk = require('@aws-sdk/client-s3');
+        } catch {
+            throw new Error('STORE_BUCKET needs the "@aws-sdk/client-s3" package');
+        }
+    }
+    const client = new sdk.S3Client({});
+    // Encoding keeps prefixes: the encoding of a key prefix is a prefix of the key's encoding
+    const objectKey = key => `${prefix}${encodeURIComponent(key)}.json`;
+
+    async function get(key) {
+        try {
+            const { Body } = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+            return JSON.parse(await Body.transformToString());
+        } catch (err) {
+            if (err.name === 'NoSuchKey') return null;
+            throw err;
+        }
+    }
+
+    return {
+        shared: true,
+        location: `s3://${bucket}/${prefix}`,
+        get,
+        async set(key, value) {
+            await client.send(new sdk.PutObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                Body: JSON.stringify(value),
+                ContentType: 'application/json'
+            }));
+        },
+        async delete(key) {
+            await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        },
+        async list(keyPrefix = '') {
+            const entries = [];
+            let token;
+            do {
+                const page = await client.send(new sdk.ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: objectKey(keyPrefix).slice(0, -'.json'.length),
+                    ContinuationToken: token
+                }));
+                for (const { Key } of page.Contents || []) {
+                    const key = decodeURIComponent(Key.slice(prefix.length, -'.json'.length));
+                    const value = await get(key);
+                    if (value !== null) entries.push({ key, value });
+                }
+                token = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (token);
+            return entries;
+        }
+    };
+}
+
+function setStore(name, store) {
+    // Replaces a store for this process, e.g. with DynamoDB when used as a module; a store
+    // without `shared: false` is taken to be readable from every invocation. null restores the default.
+    if (!STORE_FILES[name]) throw new Error(`Unknown store "${name}" (expected ${Object.keys(STORE_FILES).join(', ')})`);
+    if (store) customStores[name] = store;
+    else delete customStores[name];
+}
+
+function getStore(name) {
+    // setStore's store, else S3 when STORE_BUCKET is set, else a local file. On Lambda a file
+    // is only shared when its variable points to a file system every instance mounts (EFS).
+    if (customStores[name]) return customStores[name];
+    const bucket = env('STORE_BUCKET', null);
+    if (bucket) return createS3Store({ bucket, prefix: `${env('STORE_PREFIX', DEFAULT_STORE_PREFIX)}${name}/` });
+    const [variable, defaultFile] = STORE_FILES[name];
+    const filePath = env(variable, null);
+    return createFileStore(filePath || defaultFile, { shared: !!filePath || !env('AWS_LAMBDA_FUNCTION_NAME', null) });
+}
+
+function requireSharedStore(name, feature, store = getStore(name)) {
+    // -> the store, or a 503 when another invocation could not read what it saves
+    if (store.shared !== false) return store;
+    throw httpError(503, `${feature} needs a store shared between invocations: set STORE_BUCKET, or ${STORE_FILES[name][0]} to a shared file system (e.g. EFS)`);
+}
+
+function makeSyncFingerprint(options) {
+    // Options that change which folders are scanned or which attachments (and alt texts) a
+    // folder holds; a stored state built with different ones cannot be reused by an incremental run
+    const { order, usePhotosFromRoot, maxSize, dedupe, recursive, maxDepth } = options;
+    const { altTemplate, captionTemplate, titleTemplate, hideFilenames, syncMetadata, processingSignature } = options;
+    return JSON.stringify({
+        order, usePhotosFromRoot, maxSize, dedupe, recursive, maxDepth,
+        altTemplate, captionTemplate, titleTemplate, hideFilenames, syncMetadata, processingSignature
+    });
+}
+
+function groupSections(folders, attachmentsByFolder, { flattenDepth = 0 } = {}) {
+    // folders: pre-ordered [{ id, name, depth, path, parentId }]. Folders deeper than
+    // flattenDepth (0 = never) add their images to their ancestor at that depth.
+    // Returns [{ name, depth, path, anchor, attachments }], keeping image-less folders only
+    // as headings for descendants that have images.
+    const byId = new Map(folders.map(f => [f.id, f]));
+    const sections = new Map();
+
+    function ownerOf(folder) {
+        let owner = folder;
+        while (flattenDepth > 0 && owner.depth > flattenDepth && byId.has(owner.parentId)) {
+            owner = byId.get(owner.parentId);
+        }
+        return owner;
+    }
+
+    for (const folder of folders) {
+        const owner = ownerOf(folder);
+        if (!sections.has(owner.id)) {
+            sections.set(owner.id, {
+                name: owner.name,
+                depth: owner.depth,
+                path: owner.path,
+                anchor: makeAnchorId(owner.path.join(' ')),
+                parentId: owner.parentId,
+                attachments: [],
+                hasContent: false
+            });
+        }
+        sections.get(owner.id).attachments.push(...(attachmentsByFolder.get(folder.id) || []));
+    }
+
+    // Mark sections with images and all their ancestors
+    for (const section of sections.values()) {
+        if (section.attachments.length === 0) continue;
+        let current = section;
+        while (current && !current.hasContent) {
+            current.hasContent = true;
+            current = sections.get(current.parentId);
+        }
+    }
+
+    return [...sections.values()]
+        .filter(s => s.hasContent)
+        .map(({ name, depth, path, anchor, attachments }) => ({ name, depth, path, anchor, attachments }));
+}
+
+function findAffectedFolders(changes, state, rootFolderId) {
+    // Maps Drive changes onto the folders of a previous sync.
+    // structureChanged: a sub-folder was added, renamed, moved or removed, so the folder list must be re-read
+    const knownFolders = new Set([rootFolderId, ...state.folders.map(f => f.folderId)]);
+    const folderOfFile = new Map();
+    for (const folder of state.folders) {
+        for (const fileId of folder.fileIds) folderOfFile.set(fileId, folder.folderId);
+    }
+
+    const folderIds = new Set();
+    let structureChanged = false;
+
+    for (const change of changes) {
+        const file = change.file;
+        const isFolder = file && (file.mimeType === FOLDER_MIME || file.mimeType === SHORTCUT_MIME);
+        const parents = (file && file.parents) || [];
+
+        if (isFolder || knownFolders.has(change.fileId)) {
+            if (knownFolders.has(change.fileId) || parents.some(p => knownFolders.has(p))) structureChanged = true;
+            continue;
+        }
+
+        // The folder it was in (moved out, trashed, deleted) and the folder it is in now
+        if (folderOfFile.has(change.fileId)) folderIds.add(folderOfFile.get(change.fileId));
+        if (!change.removed && file && !file.trashed) {
+            for (const parent of parents) {
+                if (knownFolders.has(parent)) folderIds.add(parent);
+            }
+        }
+    }
+
+    return { folderIds, structureChanged };
+}
+
+function isDriveFileChanged(entry, file) {
+    // md5Checksum is authoritative when both sides have one; Google-native and some
+    // shared-drive files have none, so fall back to modifiedTime
+    if (entry.md5Checksum && file.md5Checksum) return entry.md5Checksum !== file.md5Checksum;
+    if (entry.modifiedTime && file.modifiedTime) return entry.modifiedTime !== file.modifiedTime;
+    return false;
+}
+
 // ---------- util ----------
 function env(name, fallback) {
     const v = process.env[name];
     return (v === undefined || v === null || v === '') ? fallback : v;
 }
 
+function httpError(statusCode, message, headers = {}) {
+    // Errors the handler answers with their own status instead of 500: bad input (400),
+    // upstream authentication (401), ...
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    err.headers = headers;
+    return err;
+}
+
 function parseBool(v, def = false) {
     if (v === undefined || v === null) return def;
-    return String(v).toLowerCase() === 'true';
+    return ['true', '1', 'yes', 'on'].includes(String(v).trim().toLowerCase());
+}
+
+function createLimiter(concurrency) {
+    // -> run(fn): calls fn once fewer than `concurrency` earlier calls are pending, in call order
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active >= concurrency || !queue.length) return;
+        active++;
+        const { fn, resolve, reject } = queue.shift();
+        Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+    return fn => new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+    });
 }
 
+const SORT_ORDERS = ['name_asc', 'name_desc', 'modified_desc', 'modified_asc'];
+
 function pickOrder(order) {
     return ({
         name_asc: (a, b) => a.name.localeCompare(b.name),
@@ -61,58 +425,318 @@ function pickOrder(order) {
     }[order] || ((a, b) => a.name.localeCompare(b.name)));
 }
 
-function makeMasonryStyles() {
-    // CSS for flexbox grid layout - fixed height rows, centered crop
-    return `<!-- wp:html -->
-<style>
-.masonry-gallery.wp-block-gallery {
+// ---------- localization ----------
+// Every string the block generators write to a page. French is the default, as before.
+const DEFAULT_LOCALE = 'fr';
+const LOCALES = {
+    fr: {
+        tocLabel: 'Aller à la section:',
+        tocPlaceholder: '-- Choisir une section --',
+        // Kept as "Root" so existing #root links keep working
+        rootSection: 'Root',
+        regionName: 'Galerie Drive ({regionId})'
+    },
+    en: {
+        tocLabel: 'Jump to section:',
+        tocPlaceholder: '-- Choose a section --',
+        rootSection: 'Photos',
+        regionName: 'Drive gallery ({regionId})'
+    },
+    es: {
+        tocLabel: 'Ir a la sección:',
+        tocPlaceholder: '-- Elegir una sección --',
+        rootSection: 'Fotos',
+        regionName: 'Galería de Drive ({regionId})'
+    }
+};
+
+function getStrings(locale = DEFAULT_LOCALE, overrides = {}) {
+    // 'en-GB' falls back to 'en'; overrides replace single strings of the chosen locale
+    const base = LOCALES[locale] || LOCALES[String(locale).toLowerCase().split(/[-_]/)[0]];
+    if (!base) throw new Error(`Unknown locale "${locale}" (expected ${Object.keys(LOCALES).join(', ')})`);
+    for (const key of Object.keys(overrides || {})) {
+        if (!(key in base)) throw new Error(`Unknown UI string "${key}" (expected ${Object.keys(base).join(', ')})`);
+    }
+    return { ...base, ...(overrides || {}) };
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ---------- gallery layouts ----------
+// A layout is a gallery class plus the CSS that styles it. Built-in layouts are registered in
+// GALLERY_LAYOUTS; the environment or a job config can also give its own { className, css }
+// template. Both end up in a <style> block of the published page, so requests may only name a
+// layout and every parameter must be a plain number.
+const DEFAULT_LAYOUT = 'grid';
+const DEFAULT_LAYOUT_PARAMS = {
+    columns: { desktop: 3, tablet: 2, mobile: 1 },
+    rowHeight: { desktop: 300, tablet: 250, mobile: 300 },
+    breakpoints: { tablet: 900, mobile: 500 },
+    gap: 10,
+    radius: 4,
+    crop: true
+};
+const BREAKPOINTS = ['desktop', 'tablet', 'mobile'];
+
+function itemWidth(columns, gap) {
+    // Flex basis of one item so `columns` items plus their gaps fill a row
+    if (columns <= 1) return '100%';
+    const percent = Number((100 / columns).toFixed(3));
+    return `calc(${percent}% - ${Math.ceil(gap * (columns - 1) / columns)}px)`;
+}
+
+function atBreakpoints(p, rules) {
+    // rules(bp) -> CSS for that breakpoint; tablet and mobile are wrapped in media queries
+    const indent = css => css.replace(/^/gm, '    ');
+    return [
+        rules('desktop'),
+        `@media (max-width: ${p.breakpoints.tablet}px) {\n${indent(rules('tablet'))}\n}`,
+        `@media (max-width: ${p.breakpoints.mobile}px) {\n${indent(rules('mobile'))}\n}`
+    ].join('\n');
+}
+
+const GALLERY_LAYOUTS = {
+    // Fixed-height rows, centered crop (the original layout; keeps its class so older pages still match)
+    grid: {
+        className: 'masonry-gallery',
+        gallery: () => ({ imageCrop: false }),
+        css: (p, sel) => `${sel} {
     display: flex !important;
     flex-wrap: wrap;
-    gap: 10px;
+    gap: ${p.gap}px;
 }
-.masonry-gallery.wp-block-gallery .wp-block-image {
-    flex: 0 0 calc(33.333% - 7px);
-    height: 300px;
+${sel} .wp-block-image {
+    flex: 0 0 ${itemWidth(p.columns.desktop, p.gap)};
+    height: ${p.rowHeight.desktop}px;
     margin: 0 !important;
     overflow: hidden;
 }
-.masonry-gallery.wp-block-gallery .wp-block-image img {
+${sel} .wp-block-image img {
     width: 100%;
     height: 100% !important;
-    object-fit: cover;
+    object-fit: ${p.crop ? 'cover' : 'contain'};
     object-position: center center;
-    border-radius: 4px;
+    border-radius: ${p.radius}px;
 }
-.masonry-gallery.wp-block-gallery .wp-block-image figure {
+${sel} .wp-block-image figure {
     margin: 0;
     height: 100% !important;
 }
-@media (max-width: 900px) {
-    .masonry-gallery.wp-block-gallery .wp-block-image {
-        flex: 0 0 calc(50% - 5px);
-        height: 250px;
+@media (max-width: ${p.breakpoints.tablet}px) {
+    ${sel} .wp-block-image {
+        flex: 0 0 ${itemWidth(p.columns.tablet, p.gap)};
+        height: ${p.rowHeight.tablet}px;
     }
 }
-@media (max-width: 500px) {
-    .masonry-gallery.wp-block-gallery .wp-block-image {
-        flex: 0 0 100%;
-        height: 300px;
+@media (max-width: ${p.breakpoints.mobile}px) {
+    ${sel} .wp-block-image {
+        flex: 0 0 ${itemWidth(p.columns.mobile, p.gap)};
+        height: ${p.rowHeight.mobile}px;
     }
+}`
+    },
+    // Core gallery columns, no extra CSS; WordPress applies its own mobile breakpoint
+    columns: {
+        className: null,
+        gallery: p => ({ columns: p.columns.desktop, imageCrop: p.crop }),
+        css: null
+    },
+    // Rows of equal height, images keep their aspect ratio and stretch to fill the row
+    justified: {
+        className: 'dgs-justified',
+        gallery: () => ({ imageCrop: false }),
+        css: (p, sel) => `${sel} {
+    display: flex !important;
+    flex-wrap: wrap;
+    gap: ${p.gap}px;
 }
-</style>
-<!-- /wp:html -->`;
+${sel}::after {
+    content: '';
+    flex-grow: 999;
+}
+${sel} .wp-block-image {
+    flex: 1 1 auto;
+    width: auto !important;
+    margin: 0 !important;
+}
+${sel} .wp-block-image img {
+    width: 100%;
+    min-width: 100%;
+    object-fit: ${p.crop ? 'cover' : 'contain'};
+    border-radius: ${p.radius}px;
+}
+` + atBreakpoints(p, bp => `${sel} .wp-block-image img {\n    height: ${p.rowHeight[bp]}px !important;\n}`)
+    },
+    // CSS columns: images keep their full height and stack without gaps
+    masonry: {
+        className: 'dgs-masonry',
+        gallery: () => ({ imageCrop: false }),
+        css: (p, sel) => `${sel} {
+    display: block !important;
+    column-gap: ${p.gap}px;
+}
+${sel} .wp-block-image {
+    display: block;
+    width: 100% !important;
+    margin: 0 0 ${p.gap}px !important;
+    break-inside: avoid;
+}
+${sel} .wp-block-image img {
+    width: 100%;
+    height: auto !important;
+    border-radius: ${p.radius}px;
+}
+` + atBreakpoints(p, bp => `${sel} {\n    column-count: ${p.columns[bp]};\n}`)
+    },
+    // One scrollable row with scroll snapping; `columns` is the number of visible slides
+    carousel: {
+        className: 'dgs-carousel',
+        gallery: () => ({ imageCrop: false }),
+        css: (p, sel) => `${sel} {
+    display: flex !important;
+    flex-wrap: nowrap !important;
+    gap: ${p.gap}px;
+    overflow-x: auto;
+    scroll-snap-type: x mandatory;
+    -webkit-overflow-scrolling: touch;
+}
+${sel} .wp-block-image {
+    margin: 0 !important;
+    scroll-snap-align: start;
+}
+${sel} .wp-block-image img {
+    width: 100%;
+    height: 100% !important;
+    object-fit: ${p.crop ? 'cover' : 'contain'};
+    border-radius: ${p.radius}px;
+}
+` + atBreakpoints(p, bp => `${sel} .wp-block-image {\n    flex: 0 0 ${itemWidth(p.columns[bp], p.gap)};\n    height: ${p.rowHeight[bp]}px;\n}`)
+    }
+};
+
+function registerGalleryLayout(name, definition) {
+    // definition = { className, css: (params, selector) => string | template, gallery?: params => attrs }
+    GALLERY_LAYOUTS[name] = normalizeLayout(definition);
+}
+
+function renderTemplate(template, values) {
+    // Replaces {name} and {dotted.path} placeholders; unknown names render empty
+    return template.replace(/\{([A-Za-z_][\w.]*)\}/g, (_, path) => {
+        const value = path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), values);
+        return value == null ? '' : String(value);
+    });
+}
+
+function normalizeLayout(def) {
+    // Custom layouts come from JSON ({ className, css: "template", columns?, crop? }) or code (css as a function)
+    if (!def || typeof def !== 'object') throw new Error('Custom layout must be an object with className and css');
+    if (def.className != null && !/^[A-Za-z_-][\w-]*$/.test(def.className)) {
+        throw new Error(`Invalid layout className "${def.className}"`);
+    }
+    let css = null;
+    if (typeof def.css === 'function') {
+        css = def.css;
+    } else if (typeof def.css === 'string') {
+        css = (p, sel) => renderTemplate(def.css, { ...p, selector: sel, className: def.className });
+    } else if (def.css != null) {
+        throw new Error('Layout css must be a string template or a function');
+    }
+    const gallery = typeof def.gallery === 'function'
+        ? def.gallery
+        : p => (def.columns ? { columns: p.columns.desktop, imageCrop: p.crop } : { imageCrop: false });
+    return { className: def.className || null, gallery, css };
+}
+
+function mergeLayoutParams(params = {}) {
+    // Per-breakpoint values may be given as a single number (desktop) or { desktop, tablet, mobile }
+    const perBreakpoint = (key) => {
+        const v = params[key];
+        const given = typeof v === 'number' ? { desktop: v } : (v || {});
+        const merged = { ...DEFAULT_LAYOUT_PARAMS[key], ...given };
+        for (const bp of BREAKPOINTS) {
+            if (!Number.isInteger(merged[bp]) || merged[bp] < 1) throw new Error(`Invalid layout ${key}.${bp}: ${merged[bp]}`);
+        }
+        return merged;
+    };
+    const merged = {
+        columns: perBreakpoint('columns'),
+        rowHeight: perBreakpoint('rowHeight'),
+        breakpoints: { ...DEFAULT_LAYOUT_PARAMS.breakpoints, ...(params.breakpoints || {}) },
+        gap: params.gap ?? DEFAULT_LAYOUT_PARAMS.gap,
+        radius: params.radius ?? DEFAULT_LAYOUT_PARAMS.radius,
+        crop: params.crop ?? DEFAULT_LAYOUT_PARAMS.crop
+    };
+    for (const key of ['gap', 'radius']) {
+        if (!Number.isInteger(merged[key]) || merged[key] < 0) throw new Error(`Invalid layout ${key}: ${merged[key]}`);
+    }
+    for (const bp of ['tablet', 'mobile']) {
+        const width = merged.breakpoints[bp];
+        if (!Number.isInteger(width) || width < 1) throw new Error(`Invalid layout breakpoints.${bp}: ${width}`);
+    }
+    if (typeof merged.crop !== 'boolean') throw new Error(`Invalid layout crop: ${merged.crop}`);
+    // Only the known keys above, so a template cannot insert anything else
+    merged.breakpoints = { tablet: merged.breakpoints.tablet, mobile: merged.breakpoints.mobile };
+    return merged;
+}
+
+function resolveGalleryLayout(layout = DEFAULT_LAYOUT, params = {}, { scope = '' } = {}) {
+    // -> { gallery: { className, columns?, imageCrop }, css: string | null }
+    // scope prefixes every selector so two regions on one page can use different layouts
+    let def;
+    if (typeof layout === 'string') {
+        def = Object.prototype.hasOwnProperty.call(GALLERY_LAYOUTS, layout) ? GALLERY_LAYOUTS[layout] : null;
+        if (!def) throw new Error(`Unknown layout "${layout}" (expected ${Object.keys(GALLERY_LAYOUTS).join(', ')} or a custom template)`);
+    } else {
+        def = normalizeLayout(layout);
+    }
+    const p = mergeLayoutParams(params);
+    const selector = `${scope}${def.className ? `.${def.className}` : ''}.wp-block-gallery`;
+    return {
+        gallery: { className: def.className, ...def.gallery(p) },
+        css: def.css ? def.css(p, selector) : null
+    };
+}
+
+function makeStyleBlock(css) {
+    return `<!-- wp:html -->\n<style>\n${css}\n</style>\n<!-- /wp:html -->`;
+}
+
+function makeMasonryStyles() {
+    // CSS for the default grid layout - fixed height rows, centered crop
+    return makeStyleBlock(resolveGalleryLayout(DEFAULT_LAYOUT).css);
 }
 
-function makeGalleryBlock(attachments, groupId = 'gallery-lightbox') {
+function makeGalleryBlock(attachments, groupId = 'gallery-lightbox', { className = 'masonry-gallery', columns, imageCrop = false } = {}) {
     // attachments = [{ id, url, alt }, ...]
-    // Use WordPress blocks for lightbox, but add masonry-gallery class for CSS styling
+    // Use WordPress blocks for lightbox, the layout class carries the CSS styling
     // IMPORTANT: groupId must be consistent across all galleries for continuous lightbox navigation
     const imageBlocks = attachments.map(({ id, url, alt }) =>
-        `<!-- wp:image {"id":${id},"sizeSlug":"large","linkDestination":"media","lightbox":{"enabled":true,"group":"${groupId}"}} -->\n<figure class="wp-block-image size-large"><a href="${url}"><img src="${url}" alt="${alt || ''}" class="wp-image-${id}"/></a></figure>\n<!-- /wp:image -->`
+        `<!-- wp:image {"id":${id},"sizeSlug":"large","linkDestination":"media","lightbox":{"enabled":true,"group":"${groupId}"}} -->\n<figure class="wp-block-image size-large"><a href="${url}"><img src="${url}" alt="${escapeHtml(alt || '')}" class="wp-image-${id}"/></a></figure>\n<!-- /wp:image -->`
     ).join('\n');
 
-    // Add masonry-gallery class and remove is-cropped
-    return `<!-- wp:gallery {"linkTo":"media","lightbox":{"enabled":true,"group":"${groupId}"},"className":"masonry-gallery"} -->\n<figure class="wp-block-gallery has-nested-images columns-default masonry-gallery">\n${imageBlocks}\n</figure>\n<!-- /wp:gallery -->`;
+    // The class list must match what the gallery block saves for these attributes, or the
+    // editor flags the block as invalid: imageCrop defaults to true, so it is spelled out when off
+    const attrs = {
+        ...(columns ? { columns } : {}),
+        ...(imageCrop ? {} : { imageCrop: false }),
+        linkTo: 'media',
+        lightbox: { enabled: true, group: groupId },
+        ...(className ? { className } : {})
+    };
+    const classes = [
+        'wp-block-gallery',
+        'has-nested-images',
+        columns ? `columns-${columns}` : 'columns-default',
+        imageCrop ? 'is-cropped' : null,
+        className
+    ].filter(Boolean).join(' ');
+    return `<!-- wp:gallery ${JSON.stringify(attrs)} -->\n<figure class="${classes}">\n${imageBlocks}\n</figure>\n<!-- /wp:gallery -->`;
 }
 
 function makeAnchorId(text) {
@@ -126,24 +750,27 @@ function makeAnchorId(text) {
 function makeHeadingBlock(text, level = 2, anchor = null) {
     const anchorAttr = anchor ? `,"anchor":"${anchor}"` : '';
     const idAttr = anchor ? ` id="${anchor}"` : '';
-    return `<!-- wp:heading {"level":${level}${anchorAttr}} -->\n<h${level}${idAttr} class="wp-block-heading">${text}</h${level}>\n<!-- /wp:heading -->`;
+    return `<!-- wp:heading {"level":${level}${anchorAttr}} -->\n<h${level}${idAttr} class="wp-block-heading">${escapeHtml(text)}</h${level}>\n<!-- /wp:heading -->`;
 }
 
 function makeSpacerBlock(height = 50) {
     return `<!-- wp:spacer {"height":"${height}px"} -->\n<div style="height:${height}px" aria-hidden="true" class="wp-block-spacer"></div>\n<!-- /wp:spacer -->`;
 }
 
-function makeTocBlock(sections) {
+function makeTocBlock(sections, { strings = getStrings(), id = 'toc-select' } = {}) {
     // Create a dropdown (select) for navigation to save space
-    const options = sections.map(({ name }) => {
-        const anchor = makeAnchorId(name);
-        return `<option value="#${anchor}">${name}</option>`;
+    // Nested sections (recursive mode) are indented by depth
+    // id must be unique on the page: makePageContent derives it from the region
+    const options = sections.map(({ name, depth = 1, anchor }) => {
+        const id = anchor || makeAnchorId(name);
+        const indent = '&nbsp;&nbsp;&nbsp;'.repeat(depth - 1);
+        return `<option value="#${id}">${indent}${escapeHtml(name)}</option>`;
     }).join('\n');
 
     const dropdownHtml = `<div class="toc-dropdown" style="margin-bottom: 1.5em;">
-<label for="toc-select" style="font-weight: bold; margin-right: 0.5em;">Aller à la section:</label>
-<select id="toc-select" onchange="if(this.value) window.location.hash = this.value;" style="padding: 0.5em; font-size: 1em; min-width: 200px;">
-<option value="">-- Choisir une section --</option>
+<label for="${id}" style="font-weight: bold; margin-right: 0.5em;">${escapeHtml(strings.tocLabel)}</label>
+<select id="${id}" onchange="if(this.value) window.location.hash = this.value;" style="padding: 0.5em; font-size: 1em; min-width: 200px;">
+<option value="">${escapeHtml(strings.tocPlaceholder)}</option>
 ${options}
 </select>
 </div>`;
@@ -151,34 +778,225 @@ ${options}
     return `<!-- wp:html -->\n${dropdownHtml}\n<!-- /wp:html -->`;
 }
 
-function makeSectionContent(sections, lightboxGroup = 'gallery-lightbox') {
-    // sections = [{ name, attachments: [{ id, url, alt }, ...] }, ...]
+function makeSectionContent(sections, lightboxGroup = 'gallery-lightbox', galleryOptions = {}) {
+    // sections = [{ name, depth?, anchor?, attachments: [{ id, url, alt }, ...] }, ...]
     // Use the same lightboxGroup for all galleries so lightbox continues across sections
+    // depth 1 -> h2, depth 2 -> h3, ...; a section without attachments is a parent heading only
     const spacer = makeSpacerBlock(30);
-    return sections.map(({ name, attachments }) => {
-        const anchor = makeAnchorId(name);
-        const heading = makeHeadingBlock(name, 2, anchor);
-        const gallery = makeGalleryBlock(attachments, lightboxGroup);
-        return `${heading}\n\n${gallery}`;
-    }).join(`\n\n${spacer}\n\n`);
+    let out = '';
+    sections.forEach(({ name, attachments, depth = 1, anchor }, i) => {
+        const heading = makeHeadingBlock(name, Math.min(depth + 1, 6), anchor || makeAnchorId(name));
+        const prevWasGallery = i > 0 && sections[i - 1].attachments.length > 0;
+        if (i > 0) out += prevWasGallery ? `\n\n${spacer}\n\n` : '\n\n';
+        out += attachments.length > 0 ? `${heading}\n\n${makeGalleryBlock(attachments, lightboxGroup, galleryOptions)}` : heading;
+    });
+    return out;
 }
 
-function makePageContent(sections, makeSections = true) {
-    const styles = makeMasonryStyles();
+function makePageContent(sections, makeSections = true, {
+    layout = DEFAULT_LAYOUT,
+    layoutParams = {},
+    regionId = null,
+    locale = DEFAULT_LOCALE,
+    strings = {}
+} = {}) {
+    // Inside a managed region the layout CSS is scoped to that region
+    const scope = regionId ? `.${REGION_CLASS}--${regionId} ` : '';
+    const { gallery: galleryOptions, css } = resolveGalleryLayout(layout, layoutParams, { scope });
+    const styles = css ? `${makeStyleBlock(css)}\n\n` : '';
 
     if (!makeSections) {
         // Single gallery mode: combine all attachments from all sections into one gallery
         // Flexbox flows horizontally (left-to-right), so folders stay grouped naturally
         const allAttachments = sections.flatMap(s => s.attachments);
-        const gallery = makeGalleryBlock(allAttachments, 'gallery-lightbox');
-        return `${styles}\n\n${gallery}`;
+        const gallery = makeGalleryBlock(allAttachments, 'gallery-lightbox', galleryOptions);
+        return `${styles}${gallery}`;
     }
 
     // Multi-section mode: create TOC and separate galleries per section
-    const toc = makeTocBlock(sections);
+    // Element IDs are made unique per region; the default region keeps its anchors for existing links
+    if (regionId && regionId !== DEFAULT_REGION_ID) {
+        sections = sections.map(s => ({ ...s, anchor: `${regionId}-${s.anchor || makeAnchorId(s.name)}` }));
+    }
+    const tocId = regionId ? `toc-select-${regionId}` : 'toc-select';
+    const toc = makeTocBlock(sections, { strings: getStrings(locale, strings), id: tocId });
     const spacerAfterToc = makeSpacerBlock(50);
-    const sectionContent = makeSectionContent(sections);
-    return `${styles}\n\n${toc}\n\n${spacerAfterToc}\n\n${sectionContent}`;
+    const sectionContent = makeSectionContent(sections, 'gallery-lightbox', galleryOptions);
+    return `${styles}${toc}\n\n${spacerAfterToc}\n\n${sectionContent}`;
+}
+
+// ---------- managed region ----------
+// Generated content lives inside a group block carrying REGION_CLASS plus a per-region
+// modifier class, so a sync replaces exactly that block and nothing an editor wrote.
+
+// Block delimiter grammar from WordPress' block parser (class-wp-block-parser.php), written
+// like Gutenberg's JS parser: the lookahead and back-reference around the attributes emulate
+// the PHP possessive quantifier, so an unterminated comment fails in linear time
+const BLOCK_TOKEN = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+({(?=((?:[^}]+|}+(?=})|(?!}\s+\/?-->)[^])*))\5}\s+)?(\/)?-->/g;
+
+function parseBlocks(content) {
+    // Returns top-level blocks as { name, attrs, start, end, raw, innerBlocks }.
+    // Non-whitespace text between top-level blocks is returned with name = null (freeform).
+    const root = { innerBlocks: [] };
+    const stack = [];
+    let lastEnd = 0;
+
+    function pushFreeform(end) {
+        const raw = content.slice(lastEnd, end);
+        if (stack.length === 0 && raw.trim()) {
+            root.innerBlocks.push({ name: null, attrs: {}, start: lastEnd, end, raw, innerBlocks: [] });
+        }
+    }
+
+    function parent() {
+        return stack.length ? stack[stack.length - 1] : root;
+    }
+
+    const tokenizer = new RegExp(BLOCK_TOKEN.source, 'g');
+    let m;
+    while ((m = tokenizer.exec(content)) !== null) {
+        const [token, closer, namespace, shortName, attrsJson, , isVoid] = m;
+        const name = `${namespace || 'core/'}${shortName}`;
+        const start = m.index;
+        const end = start + token.length;
+
+        if (closer) {
+            // Ignore closers without a matching opener, like WordPress does
+            const idx = stack.map(b => b.name).lastIndexOf(name);
+            if (idx === -1) continue;
+            while (stack.length > idx) {
+                const block = stack.pop();
+                block.end = stack.length === idx ? end : start;
+                block.raw = content.slice(block.start, block.end);
+            }
+            lastEnd = end;
+            continue;
+        }
+
+        pushFreeform(start);
+        let attrs = {};
+        try {
+            attrs = attrsJson ? JSON.parse(attrsJson) : {};
+        } catch {
+            attrs = {};
+        }
+        const block = { name, attrs, start, end, raw: token, innerBlocks: [] };
+        parent().innerBlocks.push(block);
+        if (!isVoid) stack.push(block);
+        lastEnd = end;
+    }
+
+    // Unclosed blocks run to the end of the content
+    while (stack.length) {
+        const block = stack.pop();
+        block.end = content.length;
+        block.raw = content.slice(block.start, block.end);
+    }
+    pushFreeform(content.length);
+
+    return root.innerBlocks;
+}
+
+function hasClass(block, className) {
+    return String(block.attrs.className || '').split(/\s+/).includes(className);
+}
+
+function findManagedRegion(blocks, regionId = DEFAULT_REGION_ID) {
+    // Prefer the region for this ID; otherwise take an empty placeholder group an editor
+    // inserted with only the REGION_CLASS class, wherever it sits (columns, nested groups...)
+    const modifier = `${REGION_CLASS}--${regionId}`;
+    let placeholder = null;
+
+    function walk(list) {
+        for (const block of list) {
+            if (block.name === 'core/group' && hasClass(block, REGION_CLASS)) {
+                if (hasClass(block, modifier)) return block;
+                const classes = String(block.attrs.className).split(/\s+/);
+                if (!placeholder && !classes.some(c => c.startsWith(`${REGION_CLASS}--`))) placeholder = block;
+                continue;
+            }
+            const found = walk(block.innerBlocks);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    return walk(blocks) || placeholder;
+}
+
+function makeManagedRegion(innerContent, regionId = DEFAULT_REGION_ID, { strings = getStrings() } = {}) {
+    const className = `${REGION_CLASS} ${REGION_CLASS}--${regionId}`;
+    // metadata.name is the label shown in the editor's list view
+    const attrs = JSON.stringify({ className, metadata: { name: renderTemplate(strings.regionName, { regionId }) } });
+    return `<!-- wp:group ${attrs} -->\n<div class="wp-block-group ${className}">\n${innerContent}\n</div>\n<!-- /wp:group -->`;
+}
+
+function isLegacyGeneratedBlock(block) {
+    // Blocks produced by the pre-region format: styles/TOC HTML and masonry galleries
+    if (block.name === 'core/html') {
+        return /\.masonry-gallery\.wp-block-gallery/.test(block.raw) || /class="toc-dropdown"/.test(block.raw);
+    }
+    return block.name === 'core/gallery' && hasClass(block, 'masonry-gallery');
+}
+
+function findLegacyBlocks(blocks) {
+    const legacy = new Set();
+    blocks.forEach((block, i) => {
+        if (isLegacyGeneratedBlock(block)) legacy.add(i);
+    });
+    // A heading belongs to the old output only when it directly introduces a generated gallery
+    blocks.forEach((block, i) => {
+        if (block.name === 'core/heading' && legacy.has(i + 1) && blocks[i + 1].name === 'core/gallery') legacy.add(i);
+    });
+    // Spacers are only generated between two generated blocks
+    blocks.forEach((block, i) => {
+        if (block.name === 'core/spacer' && legacy.has(i - 1) && legacy.has(i + 1)) legacy.add(i);
+    });
+    return [...legacy].sort((a, b) => a - b).map(i => blocks[i]);
+}
+
+function findPositionOffset(content, blocks, position) {
+    // position: 'append' | 'prepend' | 'before:<anchor>' | 'after:<anchor>'
+    if (position === 'prepend') return 0;
+    const m = /^(before|after):(.+)$/.exec(position || '');
+    if (m) {
+        const [, where, anchor] = m;
+        const block = blocks.find(b => b.attrs.anchor === anchor || b.raw.includes(`id="${anchor}"`));
+        if (block) return where === 'before' ? block.start : block.end;
+        console.log(`[sync] No block with anchor "${anchor}" found, appending managed region`);
+    }
+    return content.length;
+}
+
+function spliceContent(content, start, end, insert) {
+    const before = content.slice(0, start).replace(/\s+$/, '');
+    const after = content.slice(end).replace(/^\s+/, '');
+    return [before, insert, after].filter(Boolean).join('\n\n');
+}
+
+function replaceManagedRegion(prevContent, regionBlock, { regionId = DEFAULT_REGION_ID, position = 'append' } = {}) {
+    // Returns { content, mode } where mode is 'replaced', 'migrated' or 'inserted'
+    const blocks = parseBlocks(prevContent);
+
+    const region = findManagedRegion(blocks, regionId);
+    if (region) {
+        return { content: spliceContent(prevContent, region.start, region.end, regionBlock), mode: 'replaced' };
+    }
+
+    const legacy = findLegacyBlocks(blocks);
+    if (legacy.length > 0) {
+        // Remove the old generated blocks one by one (back to front to keep offsets valid)
+        // and put the region where the first of them was
+        let content = prevContent;
+        for (let i = legacy.length - 1; i >= 0; i--) {
+            const insert = i === 0 ? regionBlock : '';
+            content = spliceContent(content, legacy[i].start, legacy[i].end, insert);
+        }
+        return { content, mode: 'migrated' };
+    }
+
+    const offset = findPositionOffset(prevContent, blocks, position);
+    return { content: spliceContent(prevContent, offset, offset, regionBlock), mode: 'inserted' };
 }
 
 function basicAuthHeader(user, pass) {
@@ -196,55 +1014,488 @@ function makeUniqueFilename(folderName, filename) {
     return `${sanitizedFolder}-${filename}`;
 }
 
-// ---------- Google Drive ----------
-async function createDrive() {
-    const json = env('GOOGLE_SERVICE_ACCOUNT_JSON');
-    if (!json) throw new Error('GOOGLE_SERVICE_ACCOUNT_JSON env var is required');
+// ---------- dry-run plan ----------
+// A dry run renders the content it would write and compares it, block by block, with the
+// current content. Photos not uploaded yet have no attachment: they appear as image blocks
+// with id 0 and a PLACEHOLDER_SCHEME URL naming the Drive file.
+const PLACEHOLDER_SCHEME = 'drive:';
 
-    let creds;
-    try {
-        creds = JSON.parse(json);
-    } catch (e) {
-        throw new Error('GOOGLE_SERVICE_ACCOUNT_JSON is not valid JSON');
+function flattenBlocks(blocks, depth = 0, out = []) {
+    // Document order; a container is compared by its own markup, its children separately
+    for (const block of blocks) {
+        const own = block.innerBlocks.length > 0 ? block.raw.slice(0, block.innerBlocks[0].start - block.start) : block.raw;
+        out.push({ block, depth, signature: `${block.name}\n${own.trim()}` });
+        flattenBlocks(block.innerBlocks, depth + 1, out);
     }
+    return out;
+}
 
-    const auth = new google.auth.JWT(
-        creds.client_email,
-        null,
-        creds.private_key,
-        ['https://www.googleapis.com/auth/drive.readonly']
-    );
-    await auth.authorize();
-    return google.drive({ version: 'v3', auth });
+function describeBlock({ block, depth }) {
+    // Short summary of a block for the diff
+    const out = { block: block.name || 'freeform', depth };
+    const text = block.raw.replace(/<!--[\s\S]*?-->/g, '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    if (block.name === 'core/image') {
+        const src = /<img[^>]*\ssrc="([^"]*)"/.exec(block.raw);
+        out.id = block.attrs.id ?? null;
+        if (src) out.url = src[1];
+    } else if (block.name === 'core/heading') {
+        out.text = text;
+        if (block.attrs.anchor) out.anchor = block.attrs.anchor;
+    } else if (block.name === 'core/gallery') {
+        out.images = block.innerBlocks.filter(b => b.name === 'core/image').length;
+    } else if (block.innerBlocks.length === 0 && text) {
+        out.text = text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
+    return out;
 }
 
-async function listSubFolders(drive, folderId) {
-    const folders = [];
-    let pageToken = null;
-    do {
-        const { data } = await drive.files.list({
-            q: `'${folderId}' in parents and mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
-            fields: 'nextPageToken, files(id, name)',
-            includeItemsFromAllDrives: true,
-            supportsAllDrives: true,
-            pageSize: 1000,
-            pageToken
-        });
-        folders.push(...(data.files || []));
-        pageToken = data.nextPageToken || null;
-    } while (pageToken);
-    // Sort folders alphabetically by name
-    folders.sort((a, b) => a.name.localeCompare(b.name));
-    return folders;
+function blockKey({ block, depth }) {
+    // Blocks with the same key are one block changed (or moved) rather than removed and added
+    if (block.name === 'core/image') return `image:${block.attrs.id}`;
+    if (block.name === 'core/heading') return `heading:${block.attrs.anchor || depth}`;
+    return `${block.name}:${depth}`;
 }
 
-async function listImagesInFolder(drive, folderId) {
+const DIFF_MAX_CELLS = 4 * 1024 * 1024; // LCS table cap: 16 MB
+
+function diffBlocks(prevContent, nextContent) {
+    // -> { added, removed, changed: [{ from, to }], moved, unchanged }
+    const a = flattenBlocks(parseBlocks(prevContent));
+    const b = flattenBlocks(parseBlocks(nextContent));
+
+    // Common head and tail first: a sync usually touches a small part of a long page
+    let head = 0;
+    while (head < a.length && head < b.length && a[head].signature === b[head].signature) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail].signature === b[b.length - 1 - tail].signature) tail++;
+    const midA = a.slice(head, a.length - tail);
+    const midB = b.slice(head, b.length - tail);
+
+    // Longest common subsequence of the rest. Past DIFF_MAX_CELLS (two long pages rewritten in
+    // the middle) the table would not fit in memory: the whole middle then counts as replaced,
+    // and the pairing below still finds the blocks that only changed or moved.
+    const n = midA.length;
+    const m = midB.length;
+    let unchanged = head + tail;
+    let removed = midA;
+    let added = midB;
+    if (n * m <= DIFF_MAX_CELLS) {
+        const lcs = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * (m + 1) + j] = midA[i].signature === midB[j].signature
+                    ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+            }
+        }
+        removed = [];
+        added = [];
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && midA[i].signature === midB[j].signature) {
+                unchanged++;
+                i++;
+                j++;
+            } else if (j < m && (i === n || lcs[i * (m + 1) + j + 1] >= lcs[(i + 1) * (m + 1) + j])) {
+                added.push(midB[j++]);
+            } else {
+                removed.push(midA[i++]);
+            }
+        }
+    }
+
+    // Pair what was removed and added under the same key, first come first paired
+    const addedByKey = new Map();
+    for (const x of added) {
+        const key = blockKey(x);
+        if (!addedByKey.has(key)) addedByKey.set(key, []);
+        addedByKey.get(key).push(x);
+    }
+    const paired = new Set();
+    const changed = [];
+    const moved = [];
+    const remaining = [];
+    for (const r of removed) {
+        const x = addedByKey.get(blockKey(r))?.shift();
+        if (!x) {
+            remaining.push(r);
+            continue;
+        }
+        paired.add(x);
+        if (x.signature === r.signature) moved.push(describeBlock(x));
+        else changed.push({ from: describeBlock(r), to: describeBlock(x) });
+    }
+    return {
+        added: added.filter(x => !paired.has(x)).map(describeBlock),
+        removed: remaining.map(describeBlock),
+        changed,
+        moved,
+        unchanged
+    };
+}
+
+function makePlaceholderImage(label) {
+    // Grey SVG standing in for a photo that is not uploaded yet
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300"><rect width="100%" height="100%" fill="#ddd"/>`
+        + `<text x="50%" y="50%" font-family="sans-serif" font-size="16" fill="#555" text-anchor="middle">${escapeHtml(label)}</text></svg>`;
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+function makePreviewHtml(result) {
+    // Standalone page from a dry run's result: the planned content, with placeholders for new
+    // photos, under a summary of what would change
+    const { plan } = result;
+    const title = `Sync preview: ${result.postType} ${result.pageId}`;
+    const summary = {
+        upload: result.uploadedCount,
+        reuse: result.reusedCount,
+        replace: result.replacedCount,
+        prune: result.prunedCount,
+        'update metadata': result.metadataUpdatedCount,
+        skip: result.skippedCount
+    };
+    const placeholders = plan.placeholders || {};
+    const content = plan.content.replace(new RegExp(`${PLACEHOLDER_SCHEME}([\\w-]+)`, 'g'),
+        (match, fileId) => makePlaceholderImage(placeholders[fileId] || fileId));
+    const counts = Object.entries(summary).map(([name, count]) => `<li>${escapeHtml(name)}: ${count}</li>`).join('');
+    const changes = [
+        ...plan.diff.added.map(b => ['added', b]),
+        ...plan.diff.removed.map(b => ['removed', b]),
+        ...plan.diff.changed.map(c => ['changed', c.to]),
+        ...plan.diff.moved.map(b => ['moved', b])
+    ].map(([kind, b]) => `<li class="${kind}">${kind} ${escapeHtml(b.block)}${b.id != null ? ` ${b.id}` : ''}${b.text ? `: ${escapeHtml(b.text)}` : ''}</li>`).join('\n');
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; max-width: 1200px; margin: 0 auto; padding: 1em; }
+.sync-preview-summary { background: #f6f7f7; border: 1px solid #ccc; padding: 0.5em 1em; margin-bottom: 2em; font-size: 0.9em; }
+.sync-preview-summary .added { color: #008a20; } .sync-preview-summary .removed { color: #d63638; } .sync-preview-summary .changed { color: #996800; }
+.wp-block-gallery { display: flex; flex-wrap: wrap; gap: 8px; margin: 0; }
+.wp-block-image { margin: 0; } .wp-block-image img { max-width: 100%; height: auto; display: block; }
+</style>
+</head>
+<body>
+<div class="sync-preview-summary">
+<h1>${escapeHtml(title)}</h1>
+<p>Content update: ${escapeHtml(plan.mode)}, ${plan.diff.unchanged} block(s) unchanged</p>
+<ul>${counts}</ul>
+<ul>
+${changes}
+</ul>
+</div>
+${content}
+</body>
+</html>
+`;
+}
+
+// ---------- image metadata ----------
+// Alt text, captions and titles are rendered from templates over Drive fields and the
+// IPTC/XMP/EXIF values embedded in the image. A template lists alternatives separated by
+// "|"; the first one whose placeholders all have a value is used.
+const DEFAULT_ALT_TEMPLATE = '{title} | {headline} | {caption}';
+const DEFAULT_CAPTION_TEMPLATE = '{description}';
+// Most writes accepted in one /batch/v1 request
+const WP_BATCH_LIMIT = 25;
+
+// IPTC IIM datasets (record 2) we read
+const IPTC_FIELDS = { 5: 'title', 80: 'creator', 105: 'headline', 120: 'caption', 25: 'keywords' };
+// EXIF IFD0 tags: ASCII, and the UCS-2 "XP" tags Windows writes
+const EXIF_FIELDS = { 0x010e: 'caption', 0x013b: 'creator', 0x9c9b: 'title', 0x9c9c: 'caption', 0x9c9d: 'creator' };
+
+function decodeText(buf) {
+    // IIM text is usually UTF-8; older files use Latin-1
+    const utf8 = buf.toString('utf8');
+    return (utf8.includes('\uFFFD') ? buf.toString('latin1') : utf8).replace(/\0+$/, '').trim();
+}
+
+function findIptcData(buf) {
+    // sharp returns the APP13 payload: "Photoshop 3.0" image resources, IPTC is resource 0x0404
+    const header = 'Photoshop 3.0\0';
+    if (buf.toString('latin1', 0, header.length) !== header) return buf;
+    let offset = header.length;
+    while (offset + 12 <= buf.length && buf.toString('latin1', offset, offset + 4) === '8BIM') {
+        const id = buf.readUInt16BE(offset + 4);
+        const nameLength = buf[offset + 6];
+        offset += 6 + ((nameLength + 2) & ~1); // Pascal string padded to an even length
+        if (offset + 4 > buf.length) break;
+        const size = buf.readUInt32BE(offset);
+        offset += 4;
+        if (id === 0x0404) return buf.subarray(offset, offset + size);
+        offset += size + (size & 1);
+    }
+    return null;
+}
+
+function parseIptc(buf) {
+    const out = {};
+    const data = buf && findIptcData(buf);
+    if (!data) return out;
+    let i = 0;
+    while (i + 5 <= data.length && data[i] === 0x1c) {
+        const record = data[i + 1];
+        const dataset = data[i + 2];
+        const size = data.readUInt16BE(i + 3);
+        if (size & 0x8000) break; // extended datasets are never text
+        const value = decodeText(data.subarray(i + 5, i + 5 + size));
+        const field = record === 2 && IPTC_FIELDS[dataset];
+        if (field === 'keywords') {
+            out.keywords = out.keywords ? `${out.keywords}, ${value}` : value;
+        } else if (field && value && !out[field]) {
+            out[field] = value;
+        }
+        i += 5 + size;
+    }
+    return out;
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function parseXmp(buf) {
+    // Reads the few properties we need with patterns rather than a full RDF parser.
+    // Language alternatives (dc:title, dc:description) use their first entry.
+    const out = {};
+    const xml = buf ? buf.toString('utf8') : '';
+    if (!xml) return out;
+    const read = (prop) => {
+        const element = xml.match(new RegExp(`<${prop}[^>]*>([\\s\\S]*?)</${prop}>`));
+        if (element) {
+            const li = element[1].match(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/);
+            const value = unescapeXml(li ? li[1] : element[1]);
+            if (value) return value;
+        }
+        const attribute = xml.match(new RegExp(`\\s${prop}="([^"]*)"`));
+        return attribute ? unescapeXml(attribute[1]) : '';
+    };
+    for (const [prop, field] of [['dc:title', 'title'], ['photoshop:Headline', 'headline'], ['dc:description', 'caption'], ['dc:creator', 'creator']]) {
+        const value = read(prop);
+        if (value) out[field] = value;
+    }
+    return out;
+}
+
+function readTiffIfd(buf, offset = null) {
+    // Reads one IFD of an EXIF (TIFF) buffer, IFD0 by default.
+    // -> { tiff, u16, u32, entries: [{ tag, type, count, at }] } where `at` is the entry's offset
+    if (!buf) return null;
+    const tiff = buf.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0;
+    if (tiff + 8 > buf.length) return null;
+    const order = buf.toString('latin1', tiff, tiff + 2);
+    if (order !== 'II' && order !== 'MM') return null;
+    const le = order === 'II';
+    const u16 = o => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+    const u32 = o => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+
+    const ifd = tiff + (offset === null ? u32(tiff + 4) : offset);
+    if (ifd + 2 > buf.length) return null;
+    const entries = [];
+    for (let n = 0; n < u16(ifd); n++) {
+        const at = ifd + 2 + n * 12;
+        if (at + 12 > buf.length) break;
+        entries.push({ tag: u16(at), type: u16(at + 2), count: u32(at + 4), at });
+    }
+    return { tiff, ifd, le, u16, u32, entries };
+}
+
+function parseExif(buf) {
+    // IFD0 only: that is where the descriptive tags live
+    const out = {};
+    const ifd0 = readTiffIfd(buf);
+    if (!ifd0) return out;
+    const { tiff, u32 } = ifd0;
+    for (const { tag, type, count, at } of ifd0.entries) {
+        const field = EXIF_FIELDS[tag];
+        if (!field || out[field]) continue;
+        if (type !== 1 && type !== 2) continue; // ASCII (2) and BYTE (1) have 1-byte units
+        const start = count > 4 ? tiff + u32(at + 8) : at + 8;
+        if (start + count > buf.length) continue;
+        const raw = buf.subarray(start, start + count);
+        const value = type === 2 ? decodeText(raw) : raw.toString('utf16le').replace(/\0+$/, '').trim();
+        if (value) out[field] = value;
+    }
+    return out;
+}
+
+async function readEmbeddedMetadata(buf) {
+    // -> { title?, headline?, caption?, creator?, keywords? }; XMP wins over IPTC over EXIF
+    let metadata;
+    try {
+        metadata = await sharp(buf).metadata();
+    } catch {
+        return {};
+    }
+    return { ...parseExif(metadata.exif), ...parseIptc(metadata.iptc), ...parseXmp(metadata.xmp) };
+}
+
+function renderMetadataTemplate(template, values) {
+    // First alternative whose placeholders are all non-empty; literal text always matches
+    for (const alternative of String(template || '').split('|')) {
+        let complete = true;
+        const text = alternative.replace(/\{([A-Za-z_][\w.]*)\}/g, (_, path) => {
+            const value = path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), values);
+            if (value == null || String(value).trim() === '') complete = false;
+            return value == null ? '' : String(value).trim();
+        });
+        if (complete && text.trim()) return text.trim();
+    }
+    return '';
+}
+
+function makeMediaText(file, { folder, path, embedded, altTemplate, captionTemplate, titleTemplate, hideFilenames = true }) {
+    // -> { alt, caption, title } for one Drive file; folder is its folder's name, path the section label
+    const filename = file.name || '';
+    const isFilename = v => !!v && hideFilenames && (v === filename || v === stripExt(filename));
+    const values = {
+        folder,
+        path: path || folder,
+        filename: hideFilenames ? '' : stripExt(filename),
+        description: isFilename(file.description) ? '' : (file.description || ''),
+        properties: file.properties || {},
+        ...(embedded || {})
+    };
+    const render = template => {
+        const text = renderMetadataTemplate(template, values);
+        return isFilename(text) ? '' : text;
+    };
+    return {
+        alt: render(altTemplate ?? DEFAULT_ALT_TEMPLATE),
+        caption: render(captionTemplate ?? DEFAULT_CAPTION_TEMPLATE),
+        title: render(titleTemplate || '')
+    };
+}
+
+const MEDIA_TEXT_FIELDS = { alt: 'alt_text', caption: 'caption', title: 'title' };
+
+function isMediaTextSynced(recorded, desired) {
+    // recorded = text last written to the attachment (media map); empty values are never written
+    const keys = Object.keys(MEDIA_TEXT_FIELDS).filter(key => desired[key]);
+    if (keys.length === 0) return true;
+    return !!recorded && keys.every(key => recorded[key] === desired[key]);
+}
+
+function diffMediaText(desired, current) {
+    // -> REST fields to patch; an empty desired value leaves what WordPress has
+    const fields = {};
+    for (const [key, field] of Object.entries(MEDIA_TEXT_FIELDS)) {
+        if (desired[key] && desired[key] !== (current[key] || '').trim()) fields[field] = desired[key];
+    }
+    return fields;
+}
+
+// ---------- Google Drive ----------
+async function createDrive() {
+    const json = env('GOOGLE_SERVICE_ACCOUNT_JSON');
+    if (!json) throw new Error('GOOGLE_SERVICE_ACCOUNT_JSON env var is required');
+
+    let creds;
+    try {
+        creds = JSON.parse(json);
+    } catch (e) {
+        throw new Error('GOOGLE_SERVICE_ACCOUNT_JSON is not valid JSON');
+    }
+
+    const auth = new google.auth.JWT(
+        creds.client_email,
+        null,
+        creds.private_key,
+        ['https://www.googleapis.com/auth/drive.readonly']
+    );
+    try {
+        await auth.authorize();
+    } catch (err) {
+        throw isRejectedCredential(err)
+            ? httpError(401, `Google Drive authentication failed: ${err.message}. Check GOOGLE_SERVICE_ACCOUNT_JSON.`)
+            : err;
+    }
+    return google.drive({ version: 'v3', auth });
+}
+
+const REJECTED_GRANT_ERRORS = ['invalid_grant', 'invalid_client', 'unauthorized_client'];
+
+function isRejectedCredential(err) {
+    // The token endpoint refusing the service account, or a private key that cannot sign;
+    // network failures and Google outages are not the credentials' fault (502 in errorStatus)
+    if (err.response) return REJECTED_GRANT_ERRORS.includes(err.response.data && err.response.data.error);
+    if (UNAVAILABLE_CODES.includes(err.code)) return false;
+    return String(err.code || '').startsWith('ERR_OSSL') || /private key|secretOrPrivateKey|No key/i.test(err.message);
+}
+
+async function listSubFolders(drive, folderId, { includeShortcuts = false } = {}) {
+    const folders = [];
+    let pageToken = null;
+    const mimeQuery = includeShortcuts
+        ? `(mimeType = '${FOLDER_MIME}' or mimeType = '${SHORTCUT_MIME}')`
+        : `mimeType = '${FOLDER_MIME}'`;
+    do {
+        const { data } = await drive.files.list({
+            q: `'${folderId}' in parents and ${mimeQuery} and trashed = false`,
+            fields: 'nextPageToken, files(id, name, mimeType, shortcutDetails)',
+            includeItemsFromAllDrives: true,
+            supportsAllDrives: true,
+            pageSize: 1000,
+            pageToken
+        });
+        for (const f of data.files || []) {
+            if (f.mimeType === SHORTCUT_MIME) {
+                // Shortcut to a folder: use the target, shown under the shortcut's name
+                if (f.shortcutDetails?.targetMimeType !== FOLDER_MIME) continue;
+                folders.push({ id: f.shortcutDetails.targetId, name: f.name, shortcutId: f.id });
+            } else {
+                folders.push({ id: f.id, name: f.name });
+            }
+        }
+        pageToken = data.nextPageToken || null;
+    } while (pageToken);
+    // Sort folders alphabetically by name
+    folders.sort((a, b) => a.name.localeCompare(b.name));
+    return folders;
+}
+
+async function listFolderTree(drive, rootId, { maxDepth = 0 } = {}) {
+    // Depth-first, alphabetical at each level: [{ id, name, depth, path, parentId }, ...]
+    // Root's direct sub-folders have depth 1. maxDepth 0 = unlimited.
+    const folders = [];
+    // Shortcuts can point back up the tree (or at a folder already listed elsewhere)
+    const visited = new Set([rootId]);
+
+    async function walk(folderId, depth, path) {
+        if (maxDepth > 0 && depth > maxDepth) return;
+        const children = await listSubFolders(drive, folderId, { includeShortcuts: true });
+        for (const child of children) {
+            const childPath = [...path, child.name];
+            if (visited.has(child.id)) {
+                console.log(`[sync] Skipping folder "${childPath.join(' / ')}": already included (shortcut cycle)`);
+                continue;
+            }
+            visited.add(child.id);
+            folders.push({ id: child.id, name: child.name, depth, path: childPath, parentId: folderId });
+            await walk(child.id, depth + 1, childPath);
+        }
+    }
+
+    await walk(rootId, 1, []);
+    return folders;
+}
+
+async function listImagesInFolder(drive, folderId) {
     const out = [];
     let pageToken = null;
     do {
         const { data } = await drive.files.list({
             q: `'${folderId}' in parents and trashed = false`,
-            fields: 'nextPageToken, files(id, name, mimeType, md5Checksum, modifiedTime, description)',
+            fields: 'nextPageToken, files(id, name, mimeType, md5Checksum, modifiedTime, description, properties)',
             includeItemsFromAllDrives: true,
             supportsAllDrives: true,
             pageSize: 1000,
@@ -261,6 +1512,68 @@ async function listImagesInFolder(drive, folderId) {
     return out;
 }
 
+async function getStartPageToken(drive, driveId = null) {
+    const { data } = await drive.changes.getStartPageToken({
+        supportsAllDrives: true,
+        ...(driveId ? { driveId } : {})
+    });
+    return data.startPageToken;
+}
+
+async function listChanges(drive, startPageToken, driveId = null) {
+    const changes = [];
+    let pageToken = startPageToken;
+    let newStartPageToken = null;
+    do {
+        const { data } = await drive.changes.list({
+            pageToken,
+            fields: 'nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, parents, trashed))',
+            includeItemsFromAllDrives: true,
+            supportsAllDrives: true,
+            includeRemoved: true,
+            pageSize: 1000,
+            ...(driveId ? { driveId } : {})
+        });
+        changes.push(...(data.changes || []));
+        pageToken = data.nextPageToken || null;
+        if (data.newStartPageToken) newStartPageToken = data.newStartPageToken;
+    } while (pageToken);
+    return { changes, newStartPageToken };
+}
+
+async function watchDriveChanges(drive, { address, token, ttlMs = DEFAULT_WATCH_TTL_MS, driveId = null }) {
+    const pageToken = await getStartPageToken(drive, driveId);
+    const { data } = await drive.changes.watch({
+        pageToken,
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true,
+        ...(driveId ? { driveId } : {}),
+        requestBody: {
+            id: crypto.randomUUID(),
+            type: 'web_hook',
+            address,
+            token,
+            expiration: String(Date.now() + ttlMs)
+        }
+    });
+    return { id: data.id, resourceId: data.resourceId, expiration: Number(data.expiration) || null };
+}
+
+async function stopDriveChannel(drive, { id, resourceId }) {
+    await drive.channels.stop({ requestBody: { id, resourceId } });
+}
+
+async function getDriveFileStatus(drive, fileId) {
+    // 'exists' | 'trashed' | 'missing' (deleted, or no longer visible to the service account)
+    try {
+        const { data } = await drive.files.get({ fileId, fields: 'id, trashed', supportsAllDrives: true });
+        return data.trashed ? 'trashed' : 'exists';
+    } catch (err) {
+        if (Number(err.response?.status ?? err.code) === 404) return 'missing';
+        throw err;
+    }
+}
+
 async function downloadDriveFile(drive, fileId) {
     const res = await drive.files.get(
         { fileId, alt: 'media' },
@@ -269,34 +1582,342 @@ async function downloadDriveFile(drive, fileId) {
     return Buffer.from(res.data);
 }
 
-async function resizeImageIfNeeded(buf, maxSize) {
-    if (!maxSize || maxSize <= 0) return buf;
+// ---------- watermark ----------
+const WATERMARK_POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const DEFAULT_WATERMARK = { position: 'bottom-right', opacity: 0.5, scale: 0.2, margin: 0.02, color: 'white' };
 
-    const image = sharp(buf);
-    const metadata = await image.metadata();
-    const { width, height } = metadata;
+function normalizeWatermark(watermark) {
+    // -> null (no watermark) or { text | image, position, opacity, scale, margin, color }
+    if (!watermark || (!watermark.text && !watermark.image)) return null;
+    if (watermark.text && watermark.image) throw new Error('watermark takes either text or image, not both');
+    const mark = { ...DEFAULT_WATERMARK, ...watermark };
+    for (const key of ['opacity', 'scale', 'margin']) mark[key] = Number(mark[key]);
+    if (!WATERMARK_POSITIONS.includes(mark.position)) throw new Error(`watermark position must be one of: ${WATERMARK_POSITIONS.join(', ')}`);
+    if (!(mark.opacity > 0 && mark.opacity <= 1)) throw new Error('watermark opacity must be between 0 and 1');
+    if (!(mark.scale > 0 && mark.scale <= 1)) throw new Error('watermark scale must be between 0 and 1');
+    if (!(mark.margin >= 0 && mark.margin < 0.5)) throw new Error('watermark margin must be between 0 and 0.5');
+    return {
+        ...(mark.text ? { text: String(mark.text) } : { image: String(mark.image) }),
+        position: mark.position,
+        opacity: mark.opacity,
+        scale: mark.scale,
+        margin: mark.margin,
+        ...(mark.text ? { color: String(mark.color) } : {})
+    };
+}
 
-    if (!width || !height) return buf;
+async function loadWatermark(watermark, drive) {
+    // Reads the watermark image once per sync: "drive:<fileId>" or a local path (never from a
+    // request: readSyncOptions refuses those).
+    // -> normalized watermark plus { source, hash } for images
+    const mark = normalizeWatermark(watermark);
+    if (!mark || !mark.image) return mark;
+    const source = mark.image.startsWith('drive:')
+        ? await downloadDriveFile(drive, mark.image.slice('drive:'.length))
+        : fs.readFileSync(mark.image);
+    return { ...mark, source, hash: crypto.createHash('md5').update(source).digest('hex') };
+}
 
-    if (width <= maxSize && height <= maxSize) return buf;
+function placeOverlay(position, width, height, overlayWidth, overlayHeight, margin) {
+    const [vertical, horizontal] = position === 'center' ? ['center', 'center']
+        : position.includes('-') ? position.split('-')
+        : ['top', 'bottom'].includes(position) ? [position, 'center'] : ['center', position];
+    const along = (side, size, overlay) => side === 'center' ? Math.round((size - overlay) / 2)
+        : ['top', 'left'].includes(side) ? margin : size - overlay - margin;
+    return { left: along(horizontal, width, overlayWidth), top: along(vertical, height, overlayHeight) };
+}
 
-    // Resize so the largest dimension equals maxSize, maintaining aspect ratio
-    // Auto-rotate based on EXIF orientation before resizing to prevent rotation issues
-    const resized = await image
-        .rotate() // Auto-rotate based on EXIF orientation data
-        .resize({
-            width: width > height ? maxSize : undefined,
-            height: height >= width ? maxSize : undefined,
-            fit: 'inside',
-            withoutEnlargement: true
-        })
+async function makeWatermarkOverlay(watermark, width, height) {
+    // -> { input, left, top } for sharp's composite, sized relative to the (resized) image
+    const margin = Math.round(Math.min(width, height) * watermark.margin);
+    const maxWidth = Math.max(1, Math.min(Math.round(width * watermark.scale), width - 2 * margin));
+    const maxHeight = Math.max(1, height - 2 * margin);
+    const source = watermark.text
+        ? sharp({ text: { text: `<span foreground="${escapeHtml(watermark.color)}">${escapeHtml(watermark.text)}</span>`, rgba: true, dpi: 300 } })
+        : sharp(watermark.source);
+    const { data, info } = await source
+        .resize({ width: maxWidth, height: maxHeight, fit: 'inside' })
+        .ensureAlpha()
+        .png()
+        .toBuffer({ resolveWithObject: true });
+    // Scale the overlay's own alpha channel by the opacity
+    const alpha = Buffer.from([255, 255, 255, Math.round(255 * watermark.opacity)]);
+    const input = await sharp(data)
+        .composite([{ input: alpha, raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: 'dest-in' }])
+        .png()
         .toBuffer();
+    return { input, ...placeOverlay(watermark.position, width, height, info.width, info.height, margin) };
+}
+
+// ---------- image processing ----------
+// metadataPolicy decides what embedded metadata reaches WordPress: nothing but the colour
+// profile and orientation (strip-all), everything but GPS coordinates (strip-location), or the
+// file as is (keep). JPEGs are edited in place, so neither policy costs a re-encode.
+const METADATA_POLICIES = ['strip-all', 'strip-location', 'keep'];
+const DEFAULT_METADATA_POLICY = 'strip-all';
+const GPS_IFD_TAG = 0x8825;
+// Bytes per value of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const XMP_GPS = /<exif:GPS\w+>[\s\S]*?<\/exif:GPS\w+>|exif:GPS\w+="[^"]*"/g;
+
+function findGpsIfd(exif) {
+    const ifd0 = readTiffIfd(exif);
+    const pointer = ifd0 && ifd0.entries.find(e => e.tag === GPS_IFD_TAG);
+    return pointer ? readTiffIfd(exif, ifd0.u32(pointer.at + 8)) : null;
+}
+
+function hasLocationData({ exif, xmp } = {}) {
+    const gps = exif && findGpsIfd(exif);
+    // Blanked XMP properties (see scrubXmpGps) do not count
+    return !!(gps && gps.entries.length > 0) || (!!xmp && /exif:GPS(Latitude|Longitude)(="\s*[^"\s]|>\s*[^<\s])/.test(xmp.toString('latin1')));
+}
+
+function scrubExifGps(exif) {
+    // Zeroes the GPS IFD's values and empties it, in place; the file keeps its size and layout
+    const gps = findGpsIfd(exif);
+    if (!gps || gps.entries.length === 0) return false;
+    for (const { type, count, at } of gps.entries) {
+        const size = (TIFF_TYPE_SIZES[type] || 1) * count;
+        if (size > 4) {
+            const start = gps.tiff + gps.u32(at + 8);
+            exif.fill(0, start, Math.min(start + size, exif.length));
+        }
+        exif.fill(0, at, at + 12);
+    }
+    exif.fill(0, gps.ifd, gps.ifd + 2); // entry count
+    return true;
+}
+
+function scrubXmpGps(xmp) {
+    // Blanks GPS properties with spaces, in place, so the packet keeps its length
+    const text = xmp.toString('latin1');
+    let found = false;
+    for (const match of text.matchAll(XMP_GPS)) {
+        found = true;
+        const value = match[0].startsWith('<')
+            ? match[0].replace(/>([\s\S]*)</, (_, inner) => `>${' '.repeat(inner.length)}<`)
+            : match[0].replace(/"([^"]*)"/, (_, inner) => `"${' '.repeat(inner.length)}"`);
+        xmp.write(value, match.index, 'latin1');
+    }
+    return found;
+}
+
+function stripJpegLocation(jpeg) {
+    // Removes GPS data from a JPEG's EXIF and XMP segments without re-encoding the image
+    // -> { buffer, removed }
+    const out = Buffer.from(jpeg);
+    let removed = false;
+    let offset = 2; // after SOI
+    while (offset + 4 <= out.length && out[offset] === 0xff) {
+        const marker = out[offset + 1];
+        if (marker === 0xda || marker === 0xd9) break; // image data follows
+        const length = out.readUInt16BE(offset + 2);
+        const segment = out.subarray(offset + 4, offset + 2 + length);
+        if (marker === 0xe1) {
+            if (segment.toString('latin1', 0, 6) === 'Exif\0\0') {
+                removed = scrubExifGps(segment) || removed;
+            } else if (segment.toString('latin1', 0, 28) === 'http://ns.adobe.com/xap/1.0/') {
+                removed = scrubXmpGps(segment) || removed;
+            }
+        }
+        offset += 2 + length;
+    }
+    return { buffer: out, removed };
+}
+
+function makeOrientationExif(orientation) {
+    // APP1 payload holding nothing but the EXIF orientation tag (big-endian TIFF, one IFD entry)
+    const exif = Buffer.alloc(32);
+    exif.write('Exif\0\0MM', 0, 'latin1');
+    exif.writeUInt16BE(0x2a, 8);
+    exif.writeUInt32BE(8, 10); // IFD0 offset
+    exif.writeUInt16BE(1, 14); // entry count
+    exif.writeUInt16BE(0x0112, 16); // Orientation
+    exif.writeUInt16BE(3, 18); // SHORT
+    exif.writeUInt32BE(1, 20);
+    exif.writeUInt16BE(orientation, 24);
+    return exif; // next IFD offset stays 0
+}
+
+function isKeptJpegSegment(marker, segment) {
+    // strip-all keeps JFIF, the ICC profile and Adobe's colour transform (needed to decode)
+    if (marker === 0xe0) return /^JF(IF|XX)\0/.test(segment.toString('latin1', 0, 5));
+    if (marker === 0xe2) return segment.toString('latin1', 0, 12) === 'ICC_PROFILE\0';
+    if (marker === 0xee) return segment.toString('latin1', 0, 5) === 'Adobe';
+    return !(marker >= 0xe0 && marker <= 0xef) && marker !== 0xfe; // other APPn and comments go
+}
+
+function stripJpegMetadata(jpeg, { orientation = 1 } = {}) {
+    // Removes EXIF, XMP, IPTC and comments from a JPEG without re-encoding the image; only an
+    // orientation tag is written back so the image stays upright. Data after the end of the
+    // image (e.g. the preview images of MPF files) is dropped with them. -> Buffer
+    const parts = [jpeg.subarray(0, 2)];
+    let offset = 2; // after SOI
+    let orientationAt = 1;
+    while (offset + 4 <= jpeg.length && jpeg[offset] === 0xff) {
+        const marker = jpeg[offset + 1];
+        if (marker === 0xda || marker === 0xd9) break;
+        const length = jpeg.readUInt16BE(offset + 2);
+        if (isKeptJpegSegment(marker, jpeg.subarray(offset + 4, offset + 2 + length))) {
+            parts.push(jpeg.subarray(offset, offset + 2 + length));
+            // JFIF must stay the first segment
+            if (marker === 0xe0 && parts.length === 2) orientationAt = 2;
+        }
+        offset += 2 + length;
+    }
+    if (orientation > 1) {
+        const exif = makeOrientationExif(orientation);
+        const header = Buffer.from([0xff, 0xe1, 0, 0]);
+        header.writeUInt16BE(exif.length + 2, 2);
+        parts.splice(orientationAt, 0, header, exif);
+    }
+    // In entropy-coded data 0xFF is always followed by 0x00 or a restart marker, so the first
+    // FFD9 after the first scan ends the image
+    let end = offset;
+    while (end + 1 < jpeg.length && !(jpeg[end] === 0xff && jpeg[end + 1] === 0xd9)) end++;
+    parts.push(jpeg.subarray(offset, Math.min(end + 2, jpeg.length)));
+    return Buffer.concat(parts);
+}
+
+// Output formats: `keep` leaves web formats alone and turns the others into JPEG
+const OUTPUT_FORMATS = ['keep', 'jpeg', 'webp', 'avif'];
+const FORMAT_EXTENSIONS = { jpeg: '.jpg', png: '.png', webp: '.webp', avif: '.avif', gif: '.gif', tiff: '.tif', heif: '.heic', svg: '.svg' };
+const MIME_FORMATS = {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/gif': 'gif',
+    'image/tiff': 'tiff',
+    'image/heic': 'heif',
+    'image/heif': 'heif',
+    'image/svg+xml': 'svg'
+};
+const NON_WEB_FORMATS = ['heif', 'tiff'];
+
+function resolveOutputFormat(inputFormat, format = 'keep') {
+    // GIF (animation) and SVG (vector) are never converted
+    if (!inputFormat || inputFormat === 'gif' || inputFormat === 'svg') return inputFormat || null;
+    if (format === 'keep') return NON_WEB_FORMATS.includes(inputFormat) ? 'jpeg' : inputFormat;
+    return format;
+}
 
-    return resized;
+function makeOutputFilename(filename, mimeType, format = 'keep') {
+    // Upload name with the extension of the format prepareImage will produce
+    const input = MIME_FORMATS[mimeType];
+    const output = resolveOutputFormat(input, format);
+    return output && output !== input ? `${stripExt(filename)}${FORMAT_EXTENSIONS[output]}` : filename;
+}
+
+function makeProcessingSignature({ maxSize, metadataPolicy, format, quality, progressive, srgb, watermark = null }) {
+    // Stored with each upload: media processed with other settings is processed again.
+    // The watermark image counts by content, so replacing the logo file re-processes too.
+    const signature = { maxSize, metadataPolicy, format, quality, progressive, srgb };
+    if (watermark) {
+        const { source, hash, ...mark } = watermark;
+        signature.watermark = mark.image ? { ...mark, image: hash } : mark;
+    }
+    return JSON.stringify(signature);
+}
+
+function displayedSize({ width, height, orientation }, maxSize) {
+    // Size after auto-orientation and the maxSize box, as sharp computes it
+    const [w, h] = orientation >= 5 ? [height, width] : [width, height];
+    const ratio = maxSize > 0 ? Math.min(1, maxSize / Math.max(w, h)) : 1;
+    return { width: Math.max(1, Math.round(w * ratio)), height: Math.max(1, Math.round(h * ratio)) };
+}
+
+async function decodeHeic(buf) {
+    // sharp's prebuilt binaries cannot decode HEVC; heic-convert is an optional dependency, loaded on demand
+    let convert;
+    try {
+        convert = require('heic-convert');
+    } catch {
+        throw new Error('HEIC/HEIF files need the optional "heic-convert" package (npm install heic-convert)');
+    }
+    return Buffer.from(await convert({ buffer: buf, format: 'JPEG', quality: 1 }));
+}
+
+function encodeAs(image, format, { quality, progressive }) {
+    const options = quality ? { quality } : {};
+    if (format === 'jpeg') return image.jpeg({ ...options, progressive });
+    if (format === 'webp') return image.webp(options);
+    if (format === 'avif') return image.avif(options);
+    // quality would turn on palette quantisation for PNG
+    if (format === 'png') return image.png({ progressive });
+    return image;
+}
+
+async function prepareImage(buf, {
+    maxSize = 0,
+    metadataPolicy = DEFAULT_METADATA_POLICY,
+    format = 'keep',
+    quality = null,
+    progressive = false,
+    srgb = false,
+    watermark = null
+} = {}) {
+    // Resizes images larger than maxSize (0 = never), adds the watermark (as loaded by
+    // loadWatermark), converts to the output format and applies the metadata policy.
+    // The file is only re-encoded when one of these requires it.
+    // -> { buffer, format, locationRemoved }
+    if (!METADATA_POLICIES.includes(metadataPolicy)) {
+        throw new Error(`metadataPolicy must be one of: ${METADATA_POLICIES.join(', ')}`);
+    }
+    if (!OUTPUT_FORMATS.includes(format)) throw new Error(`format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+
+    const metadata = await sharp(buf).metadata();
+    const { width, height } = metadata;
+    // sharp reports AVIF as HEIF with AV1 compression
+    const inputFormat = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+    const outputFormat = resolveOutputFormat(inputFormat, format);
+    const source = inputFormat === 'heif' ? await decodeHeic(buf) : buf;
+
+    // Vector images scale freely and sharp cannot write SVG back
+    const needsResize = inputFormat !== 'svg' && !!(maxSize > 0 && width && height && (width > maxSize || height > maxSize));
+    // Animated GIFs would lose their frames and SVGs are not rasterized
+    const applyWatermark = !!watermark && inputFormat !== 'gif' && inputFormat !== 'svg';
+    const hasLocation = hasLocationData(metadata);
+    const hasMetadata = !!(metadata.exif || metadata.xmp || metadata.iptc);
+
+    let policy = metadataPolicy;
+    // Only JPEG can have its GPS removed without dropping the rest; other formats are stripped
+    if (policy === 'strip-location' && hasLocation && outputFormat !== 'jpeg') policy = 'strip-all';
+
+    // JPEGs have their metadata segments cut out; other formats are written again without them
+    const reencode = needsResize || applyWatermark || outputFormat !== inputFormat || !!quality || progressive || srgb ||
+        (policy === 'strip-all' && hasMetadata && inputFormat !== 'jpeg');
+    if (!reencode) {
+        if (policy === 'strip-all' && hasMetadata) {
+            const buffer = stripJpegMetadata(buf, { orientation: metadata.orientation });
+            return { buffer, format: outputFormat, locationRemoved: hasLocation };
+        }
+        if (policy !== 'strip-location' || !hasLocation) return { buffer: buf, format: outputFormat, locationRemoved: false };
+        const { buffer, removed } = stripJpegLocation(buf);
+        return { buffer, format: outputFormat, locationRemoved: removed };
+    }
+
+    // Auto-orient first, so dropping or resetting the orientation tag keeps the image upright.
+    // A square box with fit: inside bounds the largest side whatever the orientation.
+    let image = sharp(source).rotate();
+    if (needsResize) image = image.resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true });
+    if (applyWatermark) {
+        const { width: w, height: h } = displayedSize(metadata, needsResize ? maxSize : 0);
+        image = image.composite([await makeWatermarkOverlay(watermark, w, h)]);
+        // Compositing adds an alpha channel that opaque images do not need
+        if (!metadata.hasAlpha) image = image.removeAlpha();
+    }
+    if (policy !== 'strip-all') image = image.keepMetadata();
+    image = srgb ? image.withIccProfile('srgb') : image.keepIccProfile();
+    let buffer = await encodeAs(image, outputFormat, { quality, progressive }).toBuffer();
+
+    let locationRemoved = hasLocation && (policy === 'strip-all' || inputFormat === 'heif');
+    if (policy === 'strip-location' && hasLocation) ({ buffer, removed: locationRemoved } = stripJpegLocation(buffer));
+    return { buffer, format: outputFormat, locationRemoved };
 }
 
 // ---------- WordPress ----------
-function createWp(baseUrl, username, appPassword, { refreshCache = false } = {}) {
+function createWp(baseUrl, username, appPassword, { refreshCache = false, replaceRoute = null, mediaStore = null } = {}) {
     const client = axios.create({
         baseURL: `${baseUrl.replace(/\/$/, '')}/wp-json`,
         headers: {
@@ -309,6 +1930,15 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
 
     // In-memory cache for this session
     let mediaCache = null; // { [filename]: { id, url } }
+    let mediaIds = null; // Set of attachment IDs in mediaCache, built lazily
+    const checkedMediaIds = new Set(); // mapped IDs missing from mediaCache, looked up in WordPress
+    const missingMediaIds = new Set(); // ... of those, the ones WordPress no longer has
+    // Persistent Drive file mapping for this site
+    let batchSupported = null; // unknown until the first batch request
+    let mediaMap = null; // { [driveFileId]: { id, url, filename, name, md5Checksum, modifiedTime } }
+    let mediaMapWrites = Promise.resolve();
+    const changedFileIds = new Set(); // media map entries changed since the last save
+    let mediaMapError = null;
 
     function basenameFromUrl(u) {
         try {
@@ -320,6 +1950,9 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
     }
 
     async function loadMediaCache() {
+        // Already loaded by an earlier target sharing this client
+        if (mediaCache) return;
+
         // Try to load from disk first
         const diskCache = loadCache();
         if (!refreshCache && isCacheValid(diskCache, baseUrl)) {
@@ -333,6 +1966,7 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
         mediaCache = {};
         let page = 1;
         let totalFetched = 0;
+        let complete = true;
 
         while (true) {
             try {
@@ -360,14 +1994,19 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
                 page++;
             } catch (err) {
                 if (err.response?.status === 401) {
-                    throw new Error(`WordPress authentication failed (401) while fetching media. Check your WP_USERNAME and WP_APP_PASSWORD.`);
+                    throw httpError(401, `WordPress authentication failed (401) while fetching media. Check your WP_USERNAME and WP_APP_PASSWORD.`);
                 }
                 console.log(`[cache] Error fetching media page ${page}: ${err.message}`);
+                complete = false;
                 break;
             }
         }
 
-        // Save to disk
+        // A partial list would pass for the whole library until it expires
+        if (!complete) {
+            console.log(`[cache] Media list incomplete, not saving it`);
+            return;
+        }
         saveCache({
             wpBaseUrl: baseUrl,
             lastUpdated: Date.now(),
@@ -387,42 +2026,248 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
         return null;
     }
 
-    function addToCache(filename, id, url) {
-        if (!mediaCache) mediaCache = {};
-        const nameLc = filename.toLowerCase();
-        mediaCache[nameLc] = { id, url };
+    async function loadMediaMapOnce() {
+        // Already loaded by an earlier target sharing this client
+        if (!mediaMap) mediaMap = await loadMediaMap(baseUrl, mediaStore || getStore('media'));
+    }
 
-        // Update disk cache
-        const diskCache = loadCache() || { wpBaseUrl: baseUrl, lastUpdated: Date.now(), media: {} };
-        diskCache.media[nameLc] = { id, url };
-        diskCache.lastUpdated = Date.now();
-        saveCache(diskCache);
+    function getMediaMap() {
+        if (!mediaMap) throw new Error('The media map is not loaded (loadMediaMap)');
+        return mediaMap;
     }
 
-    async function findMediaByFilename(filename) {
-        // First check cache
-        const cached = findMediaInCache(filename);
-        if (cached) return cached;
+    function isMediaMapShared() {
+        return (mediaStore || getStore('media')).shared !== false;
+    }
 
-        // Fall back to API search (in case cache is stale)
-        // Only match by exact filename to avoid cross-folder collisions
-        const nameLc = filename.toLowerCase();
+    function persistMediaMap(...fileIds) {
+        // Saves the changed entries in order, in the background, and takes in what other runs
+        // saved meanwhile; the first failure is thrown by flushMediaMap. A store no other
+        // invocation reads (see getStore) is not written: the map then lasts for this run only.
+        if (!isMediaMapShared()) return mediaMapWrites;
+        fileIds.forEach(fileId => changedFileIds.add(fileId));
+        mediaMapWrites = mediaMapWrites
+            .then(async () => {
+                const files = getMediaMap();
+                const changes = Object.fromEntries([...changedFileIds].map(fileId => [fileId, files[fileId] || null]));
+                changedFileIds.clear();
+                const saved = await saveMediaMap(baseUrl, changes, mediaStore || getStore('media'));
+                for (const fileId of new Set([...Object.keys(files), ...Object.keys(saved)])) {
+                    // Entries changed here since this save started are saved by the next one
+                    if (changedFileIds.has(fileId)) continue;
+                    if (saved[fileId]) files[fileId] = saved[fileId];
+                    else delete files[fileId];
+                }
+            })
+            .catch(err => {
+                console.log(`[map] Failed to save media map: ${err.message}`);
+                mediaMapError = mediaMapError || err;
+            });
+        return mediaMapWrites;
+    }
 
-        let items = [];
-        try {
-            // Search by filename without extension for better API results
-            const nameNoExtLc = stripExt(filename).toLowerCase();
-            items = await client.get(`/wp/v2/media?per_page=100&search=${encodeURIComponent(nameNoExtLc)}`)
-                .then(r => r.data);
-        } catch (err) {
-            if (err.response?.status === 401) {
-                throw new Error(`WordPress authentication failed (401) while searching media. Check your WP_USERNAME and WP_APP_PASSWORD.`);
+    async function flushMediaMap() {
+        // -> once every change is saved; throws when one could not be
+        await mediaMapWrites;
+        if (mediaMapError) throw new Error(`Failed to save the media map: ${mediaMapError.message}`);
+    }
+
+    async function verifyMappedMedia() {
+        // The media cache may be partial, and attachments sharing a file name collide in it, so
+        // a mapped ID it lacks is looked up in WordPress before it counts as deleted. IDs that
+        // cannot be looked up are trusted.
+        if (!mediaCache) return;
+        if (!mediaIds) mediaIds = new Set(Object.values(mediaCache).map(m => m.id));
+        const unknown = [...new Set(Object.values(getMediaMap()).map(e => e.id))]
+            .filter(id => !mediaIds.has(id) && !checkedMediaIds.has(id));
+        for (let i = 0; i < unknown.length; i += 100) {
+            const ids = unknown.slice(i, i + 100);
+            let found;
+            try {
+                const response = await client.get('/wp/v2/media', { params: { include: ids.join(','), per_page: 100, _fields: 'id' } });
+                found = new Set((response.data || []).map(m => m.id));
+            } catch (err) {
+                if (err.response?.status === 401) {
+                    throw httpError(401, `WordPress authentication failed (401) while checking mapped media. Check your WP_USERNAME and WP_APP_PASSWORD.`);
+                }
+                console.log(`[map] Could not check ${ids.length} mapped media item(s): ${err.message}`);
+                continue;
+            }
+            for (const id of ids) {
+                checkedMediaIds.add(id);
+                if (!found.has(id)) missingMediaIds.add(id);
             }
-            items = [];
         }
+    }
 
-        // Only match by exact filename from URL
-        for (const it of items) {
+    function isKnownMediaId(id) {
+        // Only an ID WordPress confirmed missing (verifyMappedMedia) or that was deleted here
+        return !missingMediaIds.has(id);
+    }
+
+    function findMediaByDriveFile(file) {
+        const match = findMappedMedia(getMediaMap(), file);
+        if (!match) return null;
+        if (!isKnownMediaId(match.entry.id)) {
+            // Attachment was deleted in WordPress; forget it so the file gets uploaded again
+            console.log(`[map] Mapped media ${match.entry.id} for "${file.name}" no longer exists`);
+            forgetMediaId(match.entry.id);
+            return findMediaByDriveFile(file);
+        }
+        return { id: match.entry.id, source_url: match.entry.url, matchedBy: match.matchedBy, mapping: match.entry };
+    }
+
+    function isMediaMapped(id, exceptFileId = null) {
+        return Object.entries(getMediaMap()).some(([fileId, e]) => e.id === id && fileId !== exceptFileId);
+    }
+
+    function recordDriveFile(file, media, filename, { uploaded = false, target = null, embedded = null, text = null, processing = null } = {}) {
+        const files = getMediaMap();
+        const prev = files[file.id];
+        const sameMedia = prev && prev.id === media.id;
+        const targets = new Set(sameMedia ? prev.targets || [] : []);
+        if (target) targets.add(target);
+        files[file.id] = {
+            id: media.id,
+            url: media.source_url || '',
+            filename,
+            name: file.name,
+            md5Checksum: file.md5Checksum || null,
+            modifiedTime: file.modifiedTime || null,
+            // Only media this tool uploaded itself may ever be pruned; adopted media is left alone
+            uploaded: uploaded || (sameMedia && prev.uploaded) || false,
+            targets: [...targets],
+            // IPTC/XMP/EXIF values read at upload, so reused media renders the same alt text
+            embedded: (embedded && Object.keys(embedded).length ? embedded : null) || (sameMedia && prev.embedded) || null,
+            // Alt text/caption/title last written to the attachment, so metadata sync can skip it
+            text: text || (sameMedia && prev.text) || null,
+            // makeProcessingSignature of the settings the uploaded file was produced with
+            processing: processing || (sameMedia && prev.processing) || null,
+            // Earlier uploads of this file that a new attachment replaced, still shown on these targets
+            superseded: supersededBy(prev, media.id, target)
+        };
+        persistMediaMap(file.id);
+    }
+
+    function supersededBy(prev, id, target) {
+        const superseded = (prev && prev.superseded || []).filter(s => s.id !== id);
+        if (prev && prev.id !== id && prev.uploaded && !superseded.some(s => s.id === prev.id)) {
+            // The target that uploaded the new one lets go of it after writing its page too
+            const targets = new Set(prev.targets || []);
+            if (target) targets.add(target);
+            superseded.push({ id: prev.id, filename: prev.filename, targets: [...targets] });
+        }
+        return superseded.length ? superseded : null;
+    }
+
+    function recordMediaText(fileId, text) {
+        const files = getMediaMap();
+        if (!files[fileId]) return;
+        files[fileId].text = text;
+        persistMediaMap(fileId);
+    }
+
+    function listOwnedMedia(target) {
+        return Object.entries(getMediaMap())
+            .filter(([, e]) => e.uploaded && (e.targets || []).includes(target))
+            .map(([fileId, entry]) => ({ fileId, entry }));
+    }
+
+    function removeMediaTarget(fileId, target) {
+        // This target no longer shows the file's attachment; other targets still may
+        const entry = getMediaMap()[fileId];
+        if (!entry || !entry.targets) return;
+        entry.targets = entry.targets.filter(t => t !== target);
+        persistMediaMap(fileId);
+    }
+
+    function listSupersededMedia(target) {
+        return Object.entries(getMediaMap()).flatMap(([fileId, e]) => (e.superseded || [])
+            .filter(item => item.targets.includes(target))
+            .map(item => ({ fileId, ...item })));
+    }
+
+    function releaseSupersededMedia(fileId, id, target = null) {
+        // Drops one target from a superseded attachment (all of them without one); it is
+        // forgotten once no target is left
+        const entry = getMediaMap()[fileId];
+        if (!entry || !entry.superseded) return;
+        entry.superseded = entry.superseded
+            .map(item => item.id !== id ? item : { ...item, targets: target ? item.targets.filter(t => t !== target) : [] })
+            .filter(item => item.targets.length);
+        if (!entry.superseded.length) entry.superseded = null;
+        persistMediaMap(fileId);
+    }
+
+    function forgetDriveFile(fileId) {
+        const files = getMediaMap();
+        delete files[fileId];
+        persistMediaMap(fileId);
+    }
+
+    function forgetMediaId(id) {
+        const files = getMediaMap();
+        const fileIds = Object.keys(files).filter(fileId => files[fileId].id === id);
+        fileIds.forEach(fileId => delete files[fileId]);
+        persistMediaMap(...fileIds);
+    }
+
+    function removeFromCache(id) {
+        if (mediaCache) {
+            for (const [name, m] of Object.entries(mediaCache)) {
+                if (m.id === id) delete mediaCache[name];
+            }
+        }
+        if (mediaIds) mediaIds.delete(id);
+        missingMediaIds.add(id);
+
+        const diskCache = loadCache();
+        if (diskCache && diskCache.media) {
+            for (const [name, m] of Object.entries(diskCache.media)) {
+                if (m.id === id) delete diskCache.media[name];
+            }
+            saveCache(diskCache);
+        }
+    }
+
+    function addToCache(filename, id, url) {
+        if (!mediaCache) mediaCache = {};
+        const nameLc = filename.toLowerCase();
+        mediaCache[nameLc] = { id, url };
+        if (mediaIds) mediaIds.add(id);
+
+        // Update the disk cache; it is only ever written whole (loadMediaCache), and keeps the
+        // age of that complete listing
+        const diskCache = loadCache();
+        if (!isCacheValid(diskCache, baseUrl)) return;
+        diskCache.media[nameLc] = { id, url };
+        saveCache(diskCache);
+    }
+
+    async function findMediaByFilename(filename) {
+        // First check cache
+        const cached = findMediaInCache(filename);
+        if (cached) return cached;
+
+        // Fall back to API search (in case cache is stale)
+        // Only match by exact filename to avoid cross-folder collisions
+        const nameLc = filename.toLowerCase();
+
+        let items = [];
+        try {
+            // Search by filename without extension for better API results
+            const nameNoExtLc = stripExt(filename).toLowerCase();
+            items = await client.get(`/wp/v2/media?per_page=100&search=${encodeURIComponent(nameNoExtLc)}`)
+                .then(r => r.data);
+        } catch (err) {
+            if (err.response?.status === 401) {
+                throw httpError(401, `WordPress authentication failed (401) while searching media. Check your WP_USERNAME and WP_APP_PASSWORD.`);
+            }
+            items = [];
+        }
+
+        // Only match by exact filename from URL
+        for (const it of items) {
             const src = it.source_url || '';
             const base = basenameFromUrl(src).toLowerCase();
             if (base === nameLc) {
@@ -433,7 +2278,7 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
         return null;
     }
 
-    async function uploadMedia(buf, filename, { caption, alt }, retries = 3) {
+    async function uploadMedia(buf, filename, { caption, alt, title }, retries = 3) {
         const delays = [2000, 5000, 10000]; // exponential backoff: 2s, 5s, 10s
         let lastError;
 
@@ -442,6 +2287,7 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
                 const form = new FormData();
                 form.append('file', buf, { filename });
                 if (caption) form.append('caption', caption);
+                if (title) form.append('title', title);
                 const media = await client.post('/wp/v2/media', form, { headers: form.getHeaders() }).then(r => r.data);
                 if (alt) await client.patch(`/wp/v2/media/${media.id}`, { alt_text: alt }).then(r => r.data);
 
@@ -454,7 +2300,7 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
                 lastError = err;
 
                 if (err.response?.status === 401) {
-                    throw new Error(`WordPress authentication failed (401) while uploading media. Check your WP_USERNAME and WP_APP_PASSWORD. The user may also lack permission to upload media.`);
+                    throw httpError(401, `WordPress authentication failed (401) while uploading media. Check your WP_USERNAME and WP_APP_PASSWORD. The user may also lack permission to upload media.`);
                 }
 
                 // Retry on 503 (Service Unavailable) or 429 (Too Many Requests) or network errors
@@ -469,7 +2315,7 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
 
                 if (err.response?.status === 503) {
                     const fileSizeMB = (buf.length / (1024 * 1024)).toFixed(2);
-                    throw new Error(`WordPress server returned 503 Service Unavailable while uploading "${filename}" (${fileSizeMB}MB) after ${retries} retries. The server may be overloaded or have timeout issues.`);
+                    throw httpError(502, `WordPress server returned 503 Service Unavailable while uploading "${filename}" (${fileSizeMB}MB) after ${retries} retries. The server may be overloaded or have timeout issues.`);
                 }
 
                 throw err;
@@ -479,29 +2325,433 @@ function createWp(baseUrl, username, appPassword, { refreshCache = false } = {})
         throw lastError;
     }
 
-    async function getPage(pageId) {
+    async function replaceMedia(id, buf, filename, { caption, alt, title }) {
+        if (!replaceRoute) {
+            // WordPress core has no REST route to swap an attachment's file, so without a
+            // replace route (e.g. from a media-replace plugin) the best we can do is a new upload
+            console.log(`[wp] No replace route configured, uploading "${filename}" as a new attachment (was ${id})`);
+            return uploadMedia(buf, filename, { caption, alt, title });
+        }
+
         try {
-            return await client.get(`/wp/v2/pages/${pageId}`).then(r => r.data);
+            const form = new FormData();
+            form.append('file', buf, { filename });
+            const route = replaceRoute.replace('{id}', encodeURIComponent(id));
+            const media = await client.post(route, form, { headers: form.getHeaders() }).then(r => r.data);
+            const replaced = { ...media, id: media.id || id };
+            // The replaced file may carry different metadata than the one it replaces
+            const fields = { ...(alt ? { alt_text: alt } : {}), ...(caption ? { caption } : {}), ...(title ? { title } : {}) };
+            if (Object.keys(fields).length) await client.patch(`/wp/v2/media/${replaced.id}`, fields);
+            addToCache(filename, replaced.id, replaced.source_url || '');
+            return replaced;
         } catch (err) {
             if (err.response?.status === 401) {
-                throw new Error(`WordPress authentication failed (401). Check your WP_USERNAME and WP_APP_PASSWORD. The REST API may also be blocked by a security plugin. Error: ${err.response?.data?.message || err.message}`);
+                throw httpError(401, `WordPress authentication failed (401) while replacing media ${id}. Check your WP_USERNAME and WP_APP_PASSWORD.`);
             }
             throw err;
         }
     }
 
-    async function patchPageContent(pageId, content) {
+    async function getMediaText(ids) {
+        // -> Map(id -> { alt, caption, title }) with raw (unrendered) values, 100 IDs per request
+        const out = new Map();
+        for (let i = 0; i < ids.length; i += 100) {
+            const chunk = ids.slice(i, i + 100);
+            try {
+                const items = await client.get('/wp/v2/media', {
+                    params: { include: chunk.join(','), per_page: 100, context: 'edit', _fields: 'id,alt_text,caption,title' }
+                }).then(r => r.data);
+                for (const it of items) {
+                    out.set(it.id, { alt: it.alt_text || '', caption: it.caption?.raw || '', title: it.title?.raw || '' });
+                }
+            } catch (err) {
+                if (err.response?.status === 401) {
+                    throw httpError(401, `WordPress authentication failed (401) while reading media. Check your WP_USERNAME and WP_APP_PASSWORD.`);
+                }
+                throw err;
+            }
+        }
+        return out;
+    }
+
+    async function updateMediaText(updates) {
+        // updates = [{ id, fields }] -> [{ id, ok, error }]
+        // Uses the batch API (WordPress 5.6+) and falls back to one request per item when it is
+        // missing or refuses the media route: core only allows batching on routes that opt in,
+        // which attachments do not, so each item then comes back as rest_batch_not_allowed
+        const results = [];
+        for (let i = 0; i < updates.length; i += WP_BATCH_LIMIT) {
+            const chunk = updates.slice(i, i + WP_BATCH_LIMIT);
+            let responses = null;
+            if (batchSupported !== false) {
+                try {
+                    const { data } = await client.post('/batch/v1', {
+                        validation: 'normal',
+                        requests: chunk.map(({ id, fields }) => ({ method: 'POST', path: `/wp/v2/media/${id}`, body: fields }))
+                    });
+                    responses = data.responses || [];
+                    if (responses.some(r => r?.body?.code === 'rest_batch_not_allowed')) {
+                        responses = null;
+                        batchSupported = false;
+                        console.log('[wp] Media routes do not allow batch requests, updating media one by one');
+                    } else {
+                        batchSupported = true;
+                    }
+                } catch (err) {
+                    if (err.response?.status === 401) {
+                        throw httpError(401, `WordPress authentication failed (401) while updating media. Check your WP_USERNAME and WP_APP_PASSWORD.`);
+                    }
+                    batchSupported = false;
+                    console.log(`[wp] Batch API unavailable (${err.response?.status || err.message}), updating media one by one`);
+                }
+            }
+
+            if (responses) {
+                chunk.forEach(({ id }, j) => {
+                    const { status, body } = responses[j] || {};
+                    const ok = status >= 200 && status < 300;
+                    results.push({ id, ok, error: ok ? null : (body?.message || `status ${status}`) });
+                });
+                continue;
+            }
+
+            for (const { id, fields } of chunk) {
+                try {
+                    await client.patch(`/wp/v2/media/${id}`, fields);
+                    results.push({ id, ok: true, error: null });
+                } catch (err) {
+                    if (err.response?.status === 401) {
+                        throw httpError(401, `WordPress authentication failed (401) while updating media ${id}. Check your WP_USERNAME and WP_APP_PASSWORD.`);
+                    }
+                    results.push({ id, ok: false, error: err.response?.data?.message || err.message });
+                }
+            }
+        }
+        return results;
+    }
+
+    async function deleteMedia(id, { force = true } = {}) {
+        try {
+            // Attachments only support trashing when the site defines MEDIA_TRASH; otherwise
+            // WordPress answers 501 and force=true is required
+            const result = await client.delete(`/wp/v2/media/${id}`, { params: { force } }).then(r => r.data);
+            removeFromCache(id);
+            return result;
+        } catch (err) {
+            if (err.response?.status === 401) {
+                throw httpError(401, `WordPress authentication failed (401) while deleting media ${id}. The user may lack permission to delete media.`);
+            }
+            if (err.response?.status === 501 && !force) {
+                throw new Error(`WordPress cannot trash media ${id} (MEDIA_TRASH is disabled). Use pruneMode=delete instead.`);
+            }
+            throw err;
+        }
+    }
+
+    // REST routes per post type, discovered through /wp/v2/types; core types are known upfront
+    const postTypes = {
+        page: { restBase: 'pages', namespace: 'wp/v2' },
+        post: { restBase: 'posts', namespace: 'wp/v2' }
+    };
+
+    async function getPostType(postType) {
+        if (postTypes[postType]) return postTypes[postType];
+        try {
+            const type = await client.get(`/wp/v2/types/${encodeURIComponent(postType)}`).then(r => r.data);
+            postTypes[postType] = { restBase: type.rest_base || postType, namespace: type.rest_namespace || 'wp/v2' };
+            return postTypes[postType];
+        } catch (err) {
+            if (err.response?.status === 401) {
+                throw httpError(401, `WordPress authentication failed (401) while looking up post type "${postType}". Check your WP_USERNAME and WP_APP_PASSWORD.`);
+            }
+            if (err.response?.status === 404) {
+                throw httpError(400, `Unknown post type "${postType}": it must be registered with show_in_rest enabled`);
+            }
+            throw err;
+        }
+    }
+
+    async function postRoute(postType, id = null) {
+        const { restBase, namespace } = await getPostType(postType);
+        return id ? `/${namespace}/${restBase}/${id}` : `/${namespace}/${restBase}`;
+    }
+
+    async function findPostBySlug(postType, slug) {
+        try {
+            const items = await client.get(await postRoute(postType), {
+                params: { slug, context: 'edit', status: 'publish,future,draft,pending,private' }
+            }).then(r => r.data);
+            if (!items || items.length === 0) throw httpError(400, `No ${postType} found with slug "${slug}"`);
+            return items[0];
+        } catch (err) {
+            if (err.response?.status === 401) {
+                throw httpError(401, `WordPress authentication failed (401) while looking up ${postType} "${slug}". Check your WP_USERNAME and WP_APP_PASSWORD.`);
+            }
+            throw err;
+        }
+    }
+
+    async function getPost(postType, id) {
         try {
-            return await client.patch(`/wp/v2/pages/${pageId}`, { content }).then(r => r.data);
+            // context=edit returns content.raw with block delimiters; rendered HTML has none
+            return await client.get(await postRoute(postType, id), { params: { context: 'edit' } }).then(r => r.data);
         } catch (err) {
             if (err.response?.status === 401) {
-                throw new Error(`WordPress authentication failed (401) while updating page. Check your WP_USERNAME and WP_APP_PASSWORD. The user may also lack permission to edit pages.`);
+                throw httpError(401, `WordPress authentication failed (401). Check your WP_USERNAME and WP_APP_PASSWORD. The REST API may also be blocked by a security plugin. Error: ${err.response?.data?.message || err.message}`);
             }
             throw err;
         }
     }
 
-    return { loadMediaCache, findMediaByFilename, uploadMedia, getPage, patchPageContent };
+    async function patchPostContent(postType, id, content) {
+        try {
+            return await client.patch(await postRoute(postType, id), { content }).then(r => r.data);
+        } catch (err) {
+            if (err.response?.status === 401) {
+                throw httpError(401, `WordPress authentication failed (401) while updating ${postType} ${id}. Check your WP_USERNAME and WP_APP_PASSWORD. The user may also lack permission to edit it.`);
+            }
+            throw err;
+        }
+    }
+
+    async function getLatestRevision(postType, id) {
+        // -> { id, date_gmt } of the newest revision, which holds the current content;
+        // null when the post type keeps no revisions
+        try {
+            const items = await client.get(`${await postRoute(postType, id)}/revisions`, {
+                params: { per_page: 1, _fields: 'id,date_gmt' }
+            }).then(r => r.data);
+            return (items && items[0]) || null;
+        } catch (err) {
+            if (err.response?.status === 401) {
+                throw httpError(401, `WordPress authentication failed (401) while reading revisions of ${postType} ${id}. Check your WP_USERNAME and WP_APP_PASSWORD.`);
+            }
+            if (err.response?.status === 404) return null;
+            throw err;
+        }
+    }
+
+    async function getRevision(postType, id, revisionId) {
+        try {
+            return await client.get(`${await postRoute(postType, id)}/revisions/${revisionId}`, { params: { context: 'edit' } }).then(r => r.data);
+        } catch (err) {
+            if (err.response?.status === 401) {
+                throw httpError(401, `WordPress authentication failed (401) while reading revision ${revisionId} of ${postType} ${id}. Check your WP_USERNAME and WP_APP_PASSWORD.`);
+            }
+            if (err.response?.status === 404) throw httpError(404, `No revision ${revisionId} of ${postType} ${id}`);
+            throw err;
+        }
+    }
+
+    async function getCurrentUser() {
+        // Read-only credentials check; context=edit adds the user's capabilities
+        try {
+            return await client.get('/wp/v2/users/me', { params: { context: 'edit' } }).then(r => r.data);
+        } catch (err) {
+            if (err.response?.status === 401) {
+                throw httpError(401, `WordPress authentication failed (401). Check your WP_USERNAME and WP_APP_PASSWORD.`);
+            }
+            throw err;
+        }
+    }
+
+    async function getPage(pageId) {
+        return getPost('page', pageId);
+    }
+
+    async function patchPageContent(pageId, content) {
+        return patchPostContent('page', pageId, content);
+    }
+
+    return {
+        loadMediaCache,
+        findMediaByFilename,
+        findMediaByDriveFile,
+        verifyMappedMedia,
+        isMediaMapped,
+        recordDriveFile,
+        recordMediaText,
+        listOwnedMedia,
+        removeMediaTarget,
+        listSupersededMedia,
+        releaseSupersededMedia,
+        loadMediaMap: loadMediaMapOnce,
+        saveMediaMap: persistMediaMap,
+        isMediaMapShared,
+        flushMediaMap,
+        forgetDriveFile,
+        uploadMedia,
+        replaceMedia,
+        getMediaText,
+        updateMediaText,
+        deleteMedia,
+        getPostType,
+        findPostBySlug,
+        getPost,
+        patchPostContent,
+        getLatestRevision,
+        getRevision,
+        getCurrentUser,
+        getPage,
+        patchPageContent
+    };
+}
+
+// ---------- snapshots ----------
+// Before a sync or a rollback writes a post, the content it replaces is kept in the 'snapshots'
+// store (see getStore), together with the attachments it showed and the newest WordPress
+// revision, so a bad write can be undone.
+
+function snapshotPrefix(wpBaseUrl, postType, postId) {
+    return `snapshot:${wpBaseUrl}:${postType}:${postId}:`;
+}
+
+function makeSnapshotId(date = new Date()) {
+    // Sorts by time: 20261019T182742123Z-1a2b
+    return `${date.toISOString().replace(/[-:.]/g, '')}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function extractAttachmentIds(content) {
+    // IDs of the image blocks in content, nested ones included, in order
+    const ids = new Set();
+    function walk(blocks) {
+        for (const block of blocks) {
+            if (block.name === 'core/image' && Number.isInteger(block.attrs.id)) ids.add(block.attrs.id);
+            walk(block.innerBlocks);
+        }
+    }
+    walk(parseBlocks(content));
+    return [...ids];
+}
+
+async function saveSnapshot(store, { wpBaseUrl, postType, postId, content, revision = null, reason, options = {} }, { limit = DEFAULT_SNAPSHOT_LIMIT } = {}) {
+    // reason: 'sync' or 'rollback'; options: the parameters of the write that follows
+    const prefix = snapshotPrefix(wpBaseUrl, postType, postId);
+    // IDs sort by time, so a snapshot is never dated before the newest one
+    const newest = Math.max(0, ...(await store.list(prefix)).map(({ value }) => Date.parse(value.createdAt)));
+    const createdAt = new Date(Math.max(Date.now(), newest + 1));
+    const snapshot = {
+        id: makeSnapshotId(createdAt),
+        createdAt: createdAt.toISOString(),
+        reason,
+        postType,
+        postId,
+        revisionId: revision ? revision.id : null,
+        attachmentIds: extractAttachmentIds(content),
+        options: redactRequest(options),
+        content
+    };
+    await store.set(prefix + snapshot.id, snapshot);
+    // Only the newest `limit` snapshots of a post are kept
+    const keys = (await store.list(prefix)).map(({ key }) => key).sort().reverse();
+    for (const key of keys.slice(limit)) await store.delete(key);
+    return snapshot;
+}
+
+async function listSnapshots(store, { wpBaseUrl, postType, postId }) {
+    // Newest first, without their content
+    return (await store.list(snapshotPrefix(wpBaseUrl, postType, postId)))
+        .map(({ value: { content, ...snapshot } }) => ({ ...snapshot, contentLength: content.length }))
+        .sort((a, b) => (a.id < b.id ? 1 : -1));
+}
+
+async function getSnapshot(store, { wpBaseUrl, postType, postId, id }) {
+    return store.get(snapshotPrefix(wpBaseUrl, postType, postId) + id);
+}
+
+async function listPostSnapshots({ postType = 'page', wpPageId, slug = null, snapshotStore = null, wpBaseUrl, wpUser, wpPass }) {
+    // Snapshots of a post given by ID or slug -> { pageId, postType, snapshots }
+    if (!wpPageId && !slug) throw httpError(400, 'wpPageId or slug required');
+    if (!wpBaseUrl) throw httpError(400, 'WP baseUrl required');
+    if (!wpPageId) wpPageId = (await createWp(wpBaseUrl, wpUser, wpPass).findPostBySlug(postType, slug)).id;
+    const snapshots = await listSnapshots(snapshotStore || getStore('snapshots'), { wpBaseUrl, postType, postId: wpPageId });
+    return { pageId: wpPageId, postType, snapshots };
+}
+
+async function rollbackPost({
+    postType = 'page',
+    wpPageId,
+    slug = null,
+    snapshotId = null,
+    revisionId = null,
+    fromRevision = false,
+    dryRun = false,
+    snapshotStore = null,
+    snapshotLimit = DEFAULT_SNAPSHOT_LIMIT,
+    wpBaseUrl,
+    wpUser,
+    wpPass,
+    wp = null
+}) {
+    // Restores a post's content from a snapshot, from the WordPress revision recorded with it
+    // (fromRevision), or from a revision given by ID. The content it replaces is snapshotted too,
+    // so a rollback can itself be rolled back.
+    try {
+        if (!wpPageId && !slug) throw new Error('wpPageId or slug required');
+        if (!wpBaseUrl || !wpUser || !wpPass) throw new Error('WP credentials/baseUrl required');
+        if (!snapshotId === !revisionId) throw new Error('Either snapshotId or revisionId is required');
+        if (fromRevision && !snapshotId) throw new Error('fromRevision needs a snapshotId');
+    } catch (err) {
+        throw httpError(400, err.message);
+    }
+
+    const store = snapshotStore || (dryRun ? getStore('snapshots') : requireSharedStore('snapshots', 'Rolling back'));
+    if (!wp) wp = createWp(wpBaseUrl, wpUser, wpPass);
+    if (!wpPageId) wpPageId = (await wp.findPostBySlug(postType, slug)).id;
+
+    let content = null;
+    if (snapshotId) {
+        const snapshot = await getSnapshot(store, { wpBaseUrl, postType, postId: wpPageId, id: snapshotId });
+        if (!snapshot) throw httpError(404, `Unknown snapshot "${snapshotId}" of ${postType} ${wpPageId}`);
+        if (!fromRevision) {
+            content = snapshot.content;
+        } else if (snapshot.revisionId) {
+            revisionId = snapshot.revisionId;
+        } else {
+            throw httpError(400, `Snapshot "${snapshotId}" has no WordPress revision (the post type may not keep revisions)`);
+        }
+    }
+    if (content === null) {
+        const revision = await wp.getRevision(postType, wpPageId, revisionId);
+        content = (revision.content && revision.content.raw) || '';
+    }
+
+    // Restored content may show attachments deleted since (e.g. by pruning)
+    const attachmentIds = extractAttachmentIds(content);
+    const existing = attachmentIds.length > 0 ? await wp.getMediaText(attachmentIds) : new Map();
+    const missingAttachmentIds = attachmentIds.filter(id => !existing.has(id));
+    if (missingAttachmentIds.length > 0) {
+        console.log(`[rollback] ${missingAttachmentIds.length} attachment(s) of the restored content no longer exist: ${missingAttachmentIds.join(', ')}`);
+    }
+
+    const page = await wp.getPost(postType, wpPageId);
+    const current = (page.content && (page.content.raw || page.content.rendered)) || '';
+    const changed = current !== content;
+    let backup = null;
+    if (changed && !dryRun) {
+        backup = await saveSnapshot(store, {
+            wpBaseUrl,
+            postType,
+            postId: wpPageId,
+            content: current,
+            revision: await wp.getLatestRevision(postType, wpPageId),
+            reason: 'rollback',
+            options: { snapshotId, revisionId, fromRevision }
+        }, { limit: snapshotLimit });
+        await wp.patchPostContent(postType, wpPageId, content);
+        console.log(`[rollback] Restored ${postType} ${wpPageId} from ${snapshotId && !fromRevision ? `snapshot ${snapshotId}` : `revision ${revisionId}`}`);
+    }
+
+    return {
+        pageId: wpPageId,
+        postType,
+        restoredFrom: { snapshotId, revisionId },
+        updated: changed && !dryRun,
+        unchanged: !changed,
+        snapshotId: backup && backup.id,
+        attachmentCount: attachmentIds.length,
+        missingAttachmentIds
+    };
 }
 
 // ---------- sync ----------
@@ -517,64 +2767,394 @@ async function syncOnce({
     makeSections = true,
     usePhotosFromRoot = false,
     forceReupload = false,
+    dedupe = 'identity',
+    replaceRoute = null,
+    prune = false,
+    pruneMode = 'delete',
+    regionId = DEFAULT_REGION_ID,
+    position = 'append',
+    incremental = false,
+    sharedDriveId = null,
+    stateStore = null,
+    recursive = false,
+    maxDepth = 0,
+    flattenDepth = 0,
+    postType = 'page',
+    slug = null,
+    layout = DEFAULT_LAYOUT,
+    layoutParams = {},
+    locale = DEFAULT_LOCALE,
+    strings = {},
+    altTemplate = DEFAULT_ALT_TEMPLATE,
+    captionTemplate = DEFAULT_CAPTION_TEMPLATE,
+    titleTemplate = '',
+    hideFilenames = true,
+    syncMetadata = false,
+    metadataPolicy = DEFAULT_METADATA_POLICY,
+    format = 'keep',
+    quality = null,
+    progressive = false,
+    srgb = false,
+    watermark = null,
+    downloadConcurrency = DEFAULT_CONCURRENCY.download,
+    processConcurrency = DEFAULT_CONCURRENCY.process,
+    uploadConcurrency = DEFAULT_CONCURRENCY.upload,
+    timeBudgetMs = 0,
+    deadline = null,
+    continuationToken = null,
+    selfInvoke = false,
+    partialWrites = false,
+    onProgress = null,
+    previewFile = null,
+    snapshotStore = null,
+    snapshotLimit = DEFAULT_SNAPSHOT_LIMIT,
     wpBaseUrl,
     wpUser,
-    wpPass
+    wpPass,
+    // Clients shared across targets by syncTargets
+    drive = null,
+    wp = null
 }) {
-    if (!driveFolderId) throw new Error('driveFolderId required');
-    if (!wpPageId) throw new Error('wpPageId required');
-    if (!wpBaseUrl || !wpUser || !wpPass) throw new Error('WP credentials/baseUrl required');
+    const startedAt = Date.now();
+    // Bad options are the caller's fault: a 400 in the handler, before anything is touched
+    try {
+        if (!driveFolderId) throw new Error('driveFolderId required');
+        if (!wpPageId && !slug) throw new Error('wpPageId or slug required');
+        if (!wpBaseUrl || !wpUser || !wpPass) throw new Error('WP credentials/baseUrl required');
+        if (!SORT_ORDERS.includes(order)) throw new Error(`order must be one of: ${SORT_ORDERS.join(', ')}`);
+        if (!DEDUPE_MODES.includes(dedupe)) throw new Error(`dedupe must be one of: ${DEDUPE_MODES.join(', ')}`);
+        if (!PRUNE_MODES.includes(pruneMode)) throw new Error(`pruneMode must be one of: ${PRUNE_MODES.join(', ')}`);
+        if (!METADATA_POLICIES.includes(metadataPolicy)) throw new Error(`metadataPolicy must be one of: ${METADATA_POLICIES.join(', ')}`);
+        if (!OUTPUT_FORMATS.includes(format)) throw new Error(`format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+        if (quality !== null && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) throw new Error('quality must be an integer from 1 to 100');
+        if (!/^[a-z0-9-]+$/i.test(regionId)) throw new Error('regionId may only contain letters, digits and hyphens');
+        for (const [name, value] of Object.entries({ downloadConcurrency, processConcurrency, uploadConcurrency })) {
+            if (!(Number.isInteger(value) && value >= 1)) throw new Error(`${name} must be a positive integer`);
+        }
+        // Fails on unknown layouts and bad parameters before anything is uploaded
+        resolveGalleryLayout(layout, layoutParams);
+        getStrings(locale, strings);
+        normalizeWatermark(watermark);
+    } catch (err) {
+        throw err.statusCode ? err : httpError(400, err.message);
+    }
+    const uiStrings = getStrings(locale, strings);
+    // Problems the run worked around, reported with its result
+    const warnings = [];
+    // The post is only written once the content it replaces is saved where a rollback can find
+    // it; a store no rollback could read (Lambda without STORE_BUCKET) means no snapshot
+    const snapshots = snapshotStore || getStore('snapshots');
+    if (snapshotLimit > 0 && !dryRun && snapshots.shared === false) {
+        const warning = 'No shared snapshot store (set STORE_BUCKET): the post is written without a snapshot to roll back to';
+        console.log(`[sync] ${warning}`);
+        warnings.push(warning);
+        snapshotLimit = 0;
+    }
+    if (continuationToken || selfInvoke) {
+        requireSharedStore('state', continuationToken ? 'continuationToken' : 'selfInvoke', stateStore || getStore('state'));
+    }
+    // The start token must reach the next run
+    if (incremental && !dryRun) requireSharedStore('state', 'incremental', stateStore || getStore('state'));
+
+    if (!drive) drive = await createDrive();
+    if (!wp) wp = createWp(wpBaseUrl, wpUser, wpPass, { refreshCache, replaceRoute });
+    if (!dryRun && !wp.isMediaMapShared()) {
+        // Uploads cannot be put on record (Lambda without STORE_BUCKET): as before the media
+        // map, media is matched by filename, and nothing is owned that pruning could remove
+        const warning = 'No shared media store (set STORE_BUCKET): media is matched by filename only and prune is off';
+        console.log(`[sync] ${warning}`);
+        warnings.push(warning);
+        dedupe = 'filename';
+        prune = false;
+    }
 
-    const drive = await createDrive();
-    const wp = createWp(wpBaseUrl, wpUser, wpPass, { refreshCache });
+    // Resolve the target post (any post type with show_in_rest: page, post, CPT, wp_block)
+    if (!wpPageId) {
+        wpPageId = (await wp.findPostBySlug(postType, slug)).id;
+        console.log(`[sync] Resolved ${postType} "${slug}" to ID ${wpPageId}`);
+    } else {
+        // Fails early on unknown post types
+        await wp.getPostType(postType);
+    }
+    const target = makeTargetKey(driveFolderId, wpPageId, postType);
 
     // Load/refresh WordPress media cache
     await wp.loadMediaCache();
+    await wp.loadMediaMap();
+    if (dedupe === 'identity') await wp.verifyMappedMedia();
+    // Fails before the first upload when the media map cannot be saved
+    if (!dryRun && wp.isMediaMapShared()) {
+        wp.saveMediaMap();
+        await wp.flushMediaMap();
+    }
+    const watermarkImage = await loadWatermark(watermark, drive);
+
+    // 1) decide between an incremental run (Drive changes since the last run) and a full scan
+    const store = stateStore || getStore('state');
+    const stateKey = `sync:${wpBaseUrl}:${target}`;
+    // Image pipeline settings; media produced with other ones is processed again
+    const processing = { maxSize, metadataPolicy, format, quality, progressive, srgb, watermark: watermarkImage };
+    const processingSignature = makeProcessingSignature(processing);
+    const fingerprint = makeSyncFingerprint({
+        order, usePhotosFromRoot, maxSize, dedupe, recursive, maxDepth,
+        altTemplate, captionTemplate, titleTemplate, hideFilenames, syncMetadata, processingSignature
+    });
+    // Options that only change the markup: a change rewrites the page even when Drive did not change
+    const renderKey = JSON.stringify({ makeSections, flattenDepth, layout, layoutParams, locale, strings });
+    const scan = { mode: 'full', reason: null, changes: 0, affectedFolders: 0 };
+    let prevState = null;
+    let affected = null; // { folderIds, structureChanged } in incremental mode
+    // Token taken before listing, so changes made while this run is working are seen next time
+    let nextPageToken = null;
+
+    // A run that ran out of time left a checkpoint: resuming keeps its finished folders and
+    // its scan decision, so the remaining folders are processed exactly as it would have
+    const checkpointKey = `checkpoint:${wpBaseUrl}:${target}`;
+    // Continuations run in other invocations (other Lambda instances): tokens are only handed
+    // out when they can read the checkpoint
+    const canCheckpoint = store.shared !== false;
+    let checkpoint = null;
+    if (continuationToken) {
+        checkpoint = await store.get(checkpointKey);
+        if (!checkpoint || checkpoint.token !== continuationToken) throw httpError(400, 'Unknown or expired continuation token');
+        if (checkpoint.fingerprint !== fingerprint || checkpoint.renderKey !== renderKey) {
+            throw httpError(400, 'Sync options changed since the checkpoint; start a new sync without continuationToken');
+        }
+        console.log(`[sync] Resuming from checkpoint of ${checkpoint.savedAt} (${checkpoint.folders.length} folder(s) done)`);
+    }
+
+    if (checkpoint) {
+        Object.assign(scan, checkpoint.scan);
+        nextPageToken = checkpoint.startPageToken;
+        if (checkpoint.affected) {
+            prevState = await store.get(stateKey);
+            affected = { folderIds: new Set(checkpoint.affected.folderIds), structureChanged: checkpoint.affected.structureChanged };
+        }
+    } else if (incremental) {
+        prevState = await store.get(stateKey);
+        if (!prevState || !prevState.startPageToken) {
+            scan.reason = 'no stored page token';
+        } else if (prevState.fingerprint !== fingerprint || forceReupload) {
+            scan.reason = 'sync options changed';
+        } else {
+            try {
+                const { changes, newStartPageToken } = await listChanges(drive, prevState.startPageToken, sharedDriveId);
+                affected = findAffectedFolders(changes, prevState, driveFolderId);
+                nextPageToken = newStartPageToken;
+                scan.mode = 'incremental';
+                scan.changes = changes.length;
+                console.log(`[sync] ${changes.length} Drive change(s) since last run, ${affected.folderIds.size} folder(s) affected`);
+            } catch (err) {
+                // Tokens expire; a full scan is always correct
+                scan.reason = `page token rejected: ${err.message}`;
+            }
+        }
+        if (scan.mode === 'full') console.log(`[sync] Full scan (${scan.reason})`);
+    }
+    if (incremental && !nextPageToken) nextPageToken = await getStartPageToken(drive, sharedDriveId);
+
+    // Progress for async jobs: the phase plus running counts, after every folder and transfer
+    const progress = { foldersDone: 0, foldersTotal: 0, filesTransferred: 0 };
+    function report(phase) {
+        if (!onProgress) return;
+        try {
+            onProgress({
+                phase,
+                ...progress,
+                uploaded: toUpload.length,
+                reused: reused.length,
+                replaced: replaced.length,
+                skipped: skippedFiles.length,
+                errors: skippedFiles.slice()
+            });
+        } catch (err) {
+            console.log(`[sync] Progress callback failed: ${err.message}`);
+        }
+    }
 
-    // 1) list sub-folders (sorted alphabetically)
-    const subFolders = await listSubFolders(drive, driveFolderId);
+    // 2) list sub-folders (sorted alphabetically, the whole tree when recursive), unless an
+    // incremental run saw no folder changes
+    let subFolders; // [{ id, name, depth, path, parentId }]
+    if (affected && !affected.structureChanged) {
+        subFolders = prevState.folders
+            .filter(f => f.folderId !== driveFolderId)
+            .map(f => ({ id: f.folderId, name: f.name, depth: f.depth || 1, path: f.path || [f.name], parentId: f.parentId || driveFolderId }));
+    } else if (recursive) {
+        subFolders = await listFolderTree(drive, driveFolderId, { maxDepth });
+    } else {
+        subFolders = (await listSubFolders(drive, driveFolderId))
+            .map(f => ({ id: f.id, name: f.name, depth: 1, path: [f.name], parentId: driveFolderId }));
+    }
     console.log(`[sync] Found ${subFolders.length} sub-folders`);
 
-    // 2) process each sub-folder
-    const sections = []; // { name, attachments: [{ id, url, alt }, ...] }
+    // 3) process each sub-folder
     const toUpload = [];
+    // Dry run: Drive file ID -> filename of photos that would be uploaded
+    const placeholders = {};
     const reused = [];
+    const replaced = []; // Drive files changed since upload, re-sent into their attachment
     const skippedFiles = []; // Track files that failed to process
     let totalUploaded = 0;
     // Track which WP media IDs have been used in this sync to avoid duplicates across sections
     // This prevents the same WP media being used for different Drive files with same filename
     const usedMediaIds = new Set();
+    // Every Drive file seen in this run, so prune never touches media for files still listed
+    const seenFileIds = new Set();
+    // Reused attachments whose alt text/caption/title may need updating (syncMetadata)
+    const metadataCandidates = [];
+    // Uploaded files whose GPS data was removed by the metadata policy
+    const locationRemoved = [];
+
+    // Transfers run as a pipeline with a concurrency limit per stage. A file holds an in-flight
+    // slot from download to upload, so at most that many images are in memory at once.
+    const downloadSlots = createLimiter(downloadConcurrency);
+    const processSlots = createLimiter(processConcurrency);
+    const uploadSlots = createLimiter(uploadConcurrency);
+    const inFlightSlots = createLimiter(downloadConcurrency + processConcurrency + uploadConcurrency);
+
+    // Past the deadline no new folder or transfer starts; dry runs transfer nothing and ignore it
+    const stopAt = Math.min(deadline || Infinity, timeBudgetMs > 0 ? startedAt + timeBudgetMs : Infinity);
+    const isOutOfTime = () => !dryRun && Date.now() >= stopAt;
+
+    function transferFile(f, textOptions, send) {
+        // download -> read metadata and prepare -> send(buf, text)
+        // -> { media, embedded, text, locationRemoved }, or null when the time budget ran out first
+        return inFlightSlots(async () => {
+            if (isOutOfTime()) return null;
+            const original = await downloadSlots(() => downloadDriveFile(drive, f.id));
+            const { embedded, text, prepared } = await processSlots(async () => {
+                // Read before resizing: sharp drops the metadata when it re-encodes
+                const embedded = await readEmbeddedMetadata(original);
+                const text = makeMediaText(f, { ...textOptions, embedded });
+                return { embedded, text, prepared: await prepareImage(original, processing) };
+            });
+            const media = await uploadSlots(() => send(prepared.buffer, text));
+            progress.filesTransferred++;
+            report('processing');
+            return { media, embedded, text, locationRemoved: prepared.locationRemoved };
+        });
+    }
 
     // Helper function to process images from a folder
-    async function processFolderImages(folderId, folderName) {
+    async function processFolderImages(folderId, folderName, folderTitle = folderName) {
         console.log(`[sync] Processing folder: ${folderName}`);
         const files = await listImagesInFolder(drive, folderId);
         files.sort(pickOrder(order));
+        const fileIds = files.map(f => f.id);
 
-        const attachments = [];
+        // Decisions are taken in gallery order; transfers then run concurrently and their
+        // bookkeeping is applied in gallery order again once they have all finished
+        const slots = new Array(files.length); // attachment per file
+        const transfers = []; // promises of () => bookkeeping
         const skipped = [];
+        // Files left for the next run when the time budget runs out; the folder is then redone
+        // on resume, reusing what was uploaded through the media map
+        let interrupted = false;
+        const defer = () => { interrupted = true; };
 
-        for (const f of files) {
+        for (const [index, f] of files.entries()) {
+            if (isOutOfTime()) {
+                interrupted = true;
+                break;
+            }
+            seenFileIds.add(f.id);
             const filename = f.name || `${f.id}.jpg`;
-            const alt = ''; // Empty alt text to prevent filename from showing in lightbox
+            // Alt text from Drive fields; embedded metadata is added once the file is downloaded
+            // (or from the media map for reused media)
+            const textOptions = { folder: folderTitle, path: folderName, altTemplate, captionTemplate, titleTemplate, hideFilenames };
+            let { alt } = makeMediaText(f, textOptions);
 
-            // Create unique filename by prefixing with folder name to handle duplicates across folders
-            const uniqueFilename = makeUniqueFilename(folderName, filename);
+            // Create unique filename by prefixing with folder name to handle duplicates across folders;
+            // the extension is the one of the uploaded (possibly converted) file
+            const outputFilename = makeOutputFilename(filename, f.mimeType, format);
+            const uniqueFilename = makeUniqueFilename(folderName, outputFilename);
 
-            // try to reuse existing - search by unique filename first, then by original filename
+            // try to reuse existing - by Drive identity first, then by unique filename, then by original filename
             // Skip this check if forceReupload is enabled
             if (!forceReupload) {
-                let existing = await wp.findMediaByFilename(uniqueFilename);
+                let existing = dedupe === 'identity' ? wp.findMediaByDriveFile(f) : null;
                 if (!existing) {
-                    // Fallback to original filename for backwards compatibility
-                    existing = await wp.findMediaByFilename(filename);
+                    // Filename lookup: migration fallback for media uploaded before identity tracking
+                    existing = await wp.findMediaByFilename(uniqueFilename);
+                    if (!existing) {
+                        // Fallback to original filename for backwards compatibility
+                        existing = await wp.findMediaByFilename(outputFilename);
+                    }
+                    // Never adopt media that already belongs to another Drive file (same name, different photo)
+                    if (existing && dedupe === 'identity' && wp.isMediaMapped(existing.id)) {
+                        existing = null;
+                    }
+                    if (existing) existing = { ...existing, matchedBy: 'filename' };
                 }
 
                 if (existing && !usedMediaIds.has(existing.id)) {
+                    const reusedText = makeMediaText(f, { ...textOptions, embedded: existing.mapping && existing.mapping.embedded });
+                    alt = reusedText.alt;
                     const url = existing.source_url || existing.media_details?.sizes?.large?.source_url || '';
-                    attachments.push({ id: existing.id, url, alt });
+                    // Only an identity match knows what was uploaded, so only it can detect a changed file
+                    // or other processing settings. Media mapped before signatures existed is adopted as is.
+                    const isIdentity = existing.matchedBy === 'fileId';
+                    const isChanged = isIdentity && isDriveFileChanged(existing.mapping, f);
+                    const isReprocess = isIdentity && !!existing.mapping.processing && existing.mapping.processing !== processingSignature;
+                    const isStale = isChanged || isReprocess;
+                    const limitReached = uploadLimit > 0 && totalUploaded >= uploadLimit;
+
+                    if (!isStale || limitReached) {
+                        slots[index] = { id: existing.id, url, alt };
+                        usedMediaIds.add(existing.id);
+                        reused.push({ folder: folderName, filename, matchedBy: existing.matchedBy });
+                        if (!isIdentity || !(existing.mapping.targets || []).includes(target) || !existing.mapping.processing) {
+                            // Remember this Drive file (and this target) so future runs match by identity
+                            wp.recordDriveFile(f, { id: existing.id, source_url: url }, uniqueFilename, {
+                                target,
+                                processing: isIdentity && existing.mapping.processing ? null : processingSignature
+                            });
+                        }
+                        if (syncMetadata) {
+                            const recorded = existing.matchedBy === 'fileId' ? existing.mapping.text : null;
+                            metadataCandidates.push({ id: existing.id, fileId: f.id, folder: folderName, filename, text: reusedText, recorded });
+                        }
+                        continue;
+                    }
+
+                    if (dryRun) {
+                        slots[index] = { id: existing.id, url, alt };
+                        usedMediaIds.add(existing.id);
+                        replaced.push({ folder: folderName, filename, id: existing.id, reason: isChanged ? 'changed' : 'settings' });
+                        totalUploaded++;
+                        continue;
+                    }
+
+                    // Counted when scheduled: with concurrent transfers the limit bounds attempts
                     usedMediaIds.add(existing.id);
-                    reused.push({ folder: folderName, filename });
+                    totalUploaded++;
+                    const reason = isChanged ? 'changed' : 'settings';
+                    transfers.push(transferFile(f, textOptions, (buf, text) => wp.replaceMedia(existing.id, buf, uniqueFilename, text)).then(
+                        result => !result ? defer : () => {
+                            const { media, embedded, text, locationRemoved: removed } = result;
+                            const newUrl = media.source_url || media.media_details?.sizes?.large?.source_url || url;
+                            slots[index] = { id: media.id, url: newUrl, alt: text.alt };
+                            usedMediaIds.add(media.id);
+                            if (removed) locationRemoved.push({ folder: folderName, filename });
+                            wp.recordDriveFile(f, { id: media.id, source_url: newUrl }, uniqueFilename, {
+                                uploaded: media.id !== existing.id,
+                                target,
+                                embedded,
+                                text,
+                                processing: processingSignature
+                            });
+                            replaced.push(media.id === existing.id
+                                ? { folder: folderName, filename, id: media.id, reason }
+                                : { folder: folderName, filename, id: media.id, previousId: existing.id, reason });
+                        },
+                        err => () => {
+                            // Keep the stale attachment in the gallery rather than dropping the photo
+                            const errorMsg = err.message || String(err);
+                            console.log(`[sync] Failed to replace "${filename}" in folder "${folderName}": ${errorMsg}`);
+                            slots[index] = { id: existing.id, url, alt };
+                            skipped.push({ folder: folderName, filename, error: errorMsg });
+                        }
+                    ));
                     continue;
                 }
             }
@@ -585,89 +3165,338 @@ async function syncOnce({
             }
 
             if (dryRun) {
+                // Shown in the plan's content with a placeholder until it has an attachment
+                slots[index] = { id: 0, url: `${PLACEHOLDER_SCHEME}${f.id}`, alt };
+                placeholders[f.id] = uniqueFilename;
                 toUpload.push({ folder: folderName, filename });
                 totalUploaded++;
                 continue;
             }
 
-            try {
-                let buf = await downloadDriveFile(drive, f.id);
-                buf = await resizeImageIfNeeded(buf, maxSize);
-                // Upload with unique filename to prevent conflicts
-                const media = await wp.uploadMedia(buf, uniqueFilename, {
-                    caption: f.description || '',
-                    alt
-                });
-                const url = media.source_url || media.media_details?.sizes?.large?.source_url || '';
-                attachments.push({ id: media.id, url, alt });
-                usedMediaIds.add(media.id);
-                toUpload.push({ folder: folderName, filename });
-                totalUploaded++;
-            } catch (err) {
-                // Skip images that fail to process (e.g., unsupported formats, corrupt files)
-                const errorMsg = err.message || String(err);
-                console.log(`[sync] Skipping "${filename}" in folder "${folderName}": ${errorMsg}`);
-                skipped.push({ folder: folderName, filename, error: errorMsg });
-            }
+            totalUploaded++;
+            // Upload with unique filename to prevent conflicts
+            transfers.push(transferFile(f, textOptions, (buf, text) => wp.uploadMedia(buf, uniqueFilename, text)).then(
+                result => !result ? defer : () => {
+                    const { media, embedded, text, locationRemoved: removed } = result;
+                    const url = media.source_url || media.media_details?.sizes?.large?.source_url || '';
+                    slots[index] = { id: media.id, url, alt: text.alt };
+                    usedMediaIds.add(media.id);
+                    if (removed) locationRemoved.push({ folder: folderName, filename });
+                    wp.recordDriveFile(f, media, uniqueFilename, { uploaded: true, target, embedded, text, processing: processingSignature });
+                    toUpload.push({ folder: folderName, filename });
+                },
+                err => () => {
+                    // Skip images that fail to process (e.g., unsupported formats, corrupt files)
+                    const errorMsg = err.message || String(err);
+                    console.log(`[sync] Skipping "${filename}" in folder "${folderName}": ${errorMsg}`);
+                    skipped.push({ folder: folderName, filename, error: errorMsg });
+                }
+            ));
         }
 
-        return { attachments, skipped };
-    }
+        for (const apply of await Promise.all(transfers)) apply();
+        const attachments = slots.filter(Boolean);
 
-    // Process root folder photos if enabled
-    if (usePhotosFromRoot) {
-        const { attachments: rootAttachments, skipped } = await processFolderImages(driveFolderId, 'Root');
-        skippedFiles.push(...skipped);
-        if (rootAttachments.length > 0) {
-            sections.push({ name: 'Root', attachments: rootAttachments });
-        }
-    }
-
-    // Process sub-folders
-    for (const folder of subFolders) {
-        const { attachments, skipped } = await processFolderImages(folder.id, folder.name);
-        skippedFiles.push(...skipped);
-        if (attachments.length > 0) {
-            sections.push({ name: folder.name, attachments });
-        }
+        // Incomplete folders (upload limit, failures) are processed again by the next incremental run
+        return { attachments, skipped, fileIds, complete: attachments.length === files.length, interrupted };
     }
 
-    // 3) write/replace content on page (all sections)
-    if (!dryRun) {
-        const page = await wp.getPage(wpPageId);
+    async function buildContent(sections) {
+        // The content a write would leave on the page -> { prevContent, content, mode }
+        const page = await wp.getPost(postType, wpPageId);
         const prevContent = (page.content && (page.content.raw || page.content.rendered)) || '';
         console.log(`[sync] Previous content length: ${prevContent.length}`);
 
-        const newPageContent = makePageContent(sections, makeSections);
+        const newPageContent = makePageContent(sections, makeSections, { layout, layoutParams, regionId, locale, strings });
         if (makeSections) {
             console.log(`[sync] Generated ${sections.length} sections with table of contents`);
         } else {
             console.log(`[sync] Generated single gallery with ${sections.reduce((sum, s) => sum + s.attachments.length, 0)} images`);
         }
 
+        const regionBlock = makeManagedRegion(newPageContent, regionId, { strings: uiStrings });
         let newContent;
+        let mode;
         if (clearContent) {
             // Clear all existing content and replace with new content
             console.log(`[sync] Clearing existing page content`);
-            newContent = newPageContent;
+            newContent = regionBlock;
+            mode = 'cleared';
         } else {
-            // Replace all existing content (TOC + heading+gallery blocks), or append if none exist
-            // Match from first wp:heading (TOC) to last wp:gallery end
-            const sectionPattern = /<!--\s*wp:heading[\s\S]*<!--\s*\/wp:gallery\s*-->/g;
-            const hasExistingSections = sectionPattern.test(prevContent);
-
-            if (hasExistingSections) {
-                // Replace all section content (including old TOC)
-                newContent = prevContent.replace(sectionPattern, '').trim();
-                newContent = newContent ? `${newContent}\n\n${newPageContent}` : newPageContent;
-            } else {
-                newContent = prevContent ? `${prevContent}\n\n${newPageContent}` : newPageContent;
-            }
+            // Replace only the managed region; migrate pages written by the old format
+            ({ content: newContent, mode } = replaceManagedRegion(prevContent, regionBlock, { regionId, position }));
+            console.log(`[sync] Managed region "${regionId}" ${mode}`);
         }
-
         console.log(`[sync] New content length: ${newContent.length}`);
-        await wp.patchPageContent(wpPageId, newContent);
+        return { prevContent, content: newContent, mode };
+    }
+
+    async function writeContent(sections) {
+        // Writes the managed region (or the whole content with clearContent) -> content update mode.
+        // A snapshot that cannot be saved throws before the post is touched.
+        const { prevContent, content: newContent, mode } = await buildContent(sections);
+        if (!snapshot && snapshotLimit > 0 && prevContent !== newContent) {
+            // What the run replaces; with partialWrites only the first write has the original content
+            snapshot = await saveSnapshot(snapshots, {
+                wpBaseUrl,
+                postType,
+                postId: wpPageId,
+                content: prevContent,
+                revision: await wp.getLatestRevision(postType, wpPageId),
+                reason: 'sync',
+                options: {
+                    driveFolderId, order, recursive, maxDepth, flattenDepth, makeSections, usePhotosFromRoot, clearContent,
+                    regionId, position, layout, locale, maxSize, format, prune, incremental, partialWrites, resumed: !!checkpoint
+                }
+            }, { limit: snapshotLimit });
+            console.log(`[sync] Previous content saved as snapshot ${snapshot.id}`);
+        }
+        await wp.patchPostContent(postType, wpPageId, newContent);
         console.log(`[sync] Page content patched`);
+        return mode;
+    }
+
+    // Root folder photos (if enabled) come first, then sub-folders
+    const folders = [
+        ...(usePhotosFromRoot ? [{ id: driveFolderId, name: uiStrings.rootSection, depth: 1, path: [uiStrings.rootSection], parentId: null }] : []),
+        ...subFolders
+    ];
+    const attachmentsByFolder = new Map();
+    const prevFolders = new Map(((prevState && prevState.folders) || []).map(f => [f.folderId, f]));
+    const finishedFolders = new Map(((checkpoint && checkpoint.folders) || []).map(f => [f.folderId, f]));
+    const folderStates = []; // persisted for the next incremental run
+    let processedFolders = 0;
+    let interrupted = false;
+    let contentUpdate = null;
+    // Snapshot of the content this run replaces, taken before its first write
+    let snapshot = null;
+    progress.foldersTotal = folders.length;
+
+    for (const folder of folders) {
+        const prev = prevFolders.get(folder.id);
+        const canReuse = affected && prev && prev.complete && !affected.folderIds.has(folder.id);
+        const finished = finishedFolders.get(folder.id);
+
+        let folderState;
+        if (finished) {
+            // Done by the run this one resumes
+            finished.fileIds.forEach(id => seenFileIds.add(id));
+            finished.attachments.forEach(a => usedMediaIds.add(a.id));
+            folderState = { ...finished, name: folder.name, depth: folder.depth, path: folder.path, parentId: folder.parentId };
+        } else if (canReuse) {
+            // Unchanged since the last run: keep its attachments without listing it
+            prev.fileIds.forEach(id => seenFileIds.add(id));
+            prev.attachments.forEach(a => usedMediaIds.add(a.id));
+            folderState = { ...prev, name: folder.name, depth: folder.depth, path: folder.path, parentId: folder.parentId };
+        } else {
+            if (isOutOfTime()) {
+                interrupted = true;
+                break;
+            }
+            processedFolders++;
+            // Nested folders are labelled by their full path so "A/Day 1" and "B/Day 1" stay distinct
+            const result = await processFolderImages(folder.id, folder.path.join(' / '), folder.name);
+            const { attachments, skipped, fileIds, complete } = result;
+            skippedFiles.push(...skipped);
+            if (result.interrupted) {
+                interrupted = true;
+                break;
+            }
+            folderState = {
+                folderId: folder.id,
+                name: folder.name,
+                depth: folder.depth,
+                path: folder.path,
+                parentId: folder.parentId,
+                attachments,
+                fileIds,
+                complete
+            };
+        }
+
+        folderStates.push(folderState);
+        attachmentsByFolder.set(folder.id, folderState.attachments);
+        progress.foldersDone++;
+        report('processing');
+        if (partialWrites && !dryRun && !finished && !canReuse) {
+            // Publish each finished section; folders not done yet are left out
+            contentUpdate = await writeContent(groupSections(folders, attachmentsByFolder, { flattenDepth }));
+        }
+    }
+
+    // { name, depth, path, anchor, attachments: [{ id, url, alt }, ...] }
+    const sections = groupSections(folders, attachmentsByFolder, { flattenDepth });
+
+    // 3b) bring alt text, caption and title of reused media up to date (syncMetadata)
+    // The media map remembers what was last written, so unchanged items cost no request at all
+    const metadataUpdated = [];
+    const pendingText = metadataCandidates.filter(c => !isMediaTextSynced(c.recorded, c.text));
+    if (pendingText.length > 0) {
+        report('metadata');
+        const current = await wp.getMediaText(pendingText.map(c => c.id));
+        const updates = [];
+        for (const c of pendingText) {
+            if (!current.has(c.id)) continue;
+            const fields = diffMediaText(c.text, current.get(c.id));
+            if (Object.keys(fields).length > 0) {
+                updates.push({ candidate: c, fields });
+            } else if (!dryRun) {
+                wp.recordMediaText(c.fileId, c.text);
+            }
+        }
+
+        if (dryRun) {
+            for (const { candidate, fields } of updates) {
+                metadataUpdated.push({ folder: candidate.folder, filename: candidate.filename, id: candidate.id, fields: Object.keys(fields) });
+            }
+        } else if (updates.length > 0) {
+            const results = await wp.updateMediaText(updates.map(({ candidate, fields }) => ({ id: candidate.id, fields })));
+            results.forEach(({ ok, error }, i) => {
+                const { candidate, fields } = updates[i];
+                if (ok) {
+                    wp.recordMediaText(candidate.fileId, candidate.text);
+                    metadataUpdated.push({ folder: candidate.folder, filename: candidate.filename, id: candidate.id, fields: Object.keys(fields) });
+                } else {
+                    console.log(`[sync] Failed to update metadata of "${candidate.filename}" (media ${candidate.id}): ${error}`);
+                    skippedFiles.push({ folder: candidate.folder, filename: candidate.filename, error: `metadata update failed: ${error}` });
+                }
+            });
+        }
+        console.log(`[sync] ${dryRun ? 'Would update' : 'Updated'} metadata of ${metadataUpdated.length} of ${pendingText.length} changed media item(s)`);
+    }
+
+    // An incremental run where nothing relevant changed has nothing to write
+    if (affected) scan.affectedFolders = processedFolders;
+    const unchanged = !checkpoint && !!affected && !affected.structureChanged && processedFolders === 0 && prevState.renderKey === renderKey;
+
+    // 4) write/replace content on page (all sections), unless the run stopped early
+    if (interrupted) {
+        console.log(`[sync] Time budget used up after ${folderStates.length} of ${folders.length} folder(s)`);
+    } else if (unchanged) {
+        console.log(`[sync] No changes since last run, page left as is`);
+        contentUpdate = 'unchanged';
+    } else if (!dryRun) {
+        report('writing');
+        contentUpdate = await writeContent(sections);
+    }
+
+    // A dry run shows the content it would write and how it differs from the page
+    let plan = null;
+    if (dryRun) {
+        const { prevContent, content, mode } = await buildContent(sections);
+        const diff = diffBlocks(prevContent, content);
+        plan = { mode: prevContent === content ? 'unchanged' : mode, content, diff, placeholders };
+        console.log(`[sync] Plan: ${diff.added.length} block(s) added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.moved.length} moved`);
+    }
+
+    let nextToken = null;
+    if (interrupted && !canCheckpoint) {
+        console.log(`[sync] Out of time; no checkpoint is kept without a shared state store (STORE_BUCKET), so the next run starts over`);
+    } else if (interrupted) {
+        // The next run resumes here: finished folders are kept, the interrupted one is redone
+        nextToken = crypto.randomBytes(16).toString('hex');
+        await store.set(checkpointKey, {
+            token: nextToken,
+            fingerprint,
+            renderKey,
+            startPageToken: nextPageToken,
+            scan,
+            affected: affected && { folderIds: [...affected.folderIds], structureChanged: affected.structureChanged },
+            savedAt: new Date().toISOString(),
+            folders: folderStates
+        });
+    } else if (checkpoint) {
+        await store.delete(checkpointKey);
+    }
+
+    if (incremental && !dryRun && !interrupted) {
+        await store.set(stateKey, {
+            startPageToken: nextPageToken,
+            fingerprint,
+            renderKey,
+            savedAt: new Date().toISOString(),
+            folders: folderStates
+        });
+    }
+
+    // 5) attachments that a changed file's new upload replaced: each page synced from that file
+    // lets go of them once written; only prune removes the last copy, since posts written by
+    // hand may still embed it
+    const superseded = [];
+    for (const item of wp.listSupersededMedia(target)) {
+        if (wp.isMediaMapped(item.id)) {
+            // A Drive file uses it again
+            if (!dryRun) wp.releaseSupersededMedia(item.fileId, item.id);
+            continue;
+        }
+        const listed = { id: item.id, filename: item.filename, driveFileId: item.fileId, removed: false };
+        superseded.push(listed);
+        if (dryRun || interrupted) continue;
+        if (item.targets.some(t => t !== target)) {
+            // Another target still shows it
+            wp.releaseSupersededMedia(item.fileId, item.id, target);
+            continue;
+        }
+        if (!prune) continue;
+        try {
+            await wp.deleteMedia(item.id, { force: pruneMode === 'delete' });
+            listed.removed = true;
+            console.log(`[sync] Removed superseded media ${item.id} ("${item.filename}")`);
+        } catch (err) {
+            if (err.response?.status !== 404) {
+                // Kept on record, so the next run tries again
+                const errorMsg = err.message || String(err);
+                console.log(`[sync] Failed to remove superseded media ${item.id} ("${item.filename}"): ${errorMsg}`);
+                skippedFiles.push({ filename: item.filename, error: `removing superseded media failed: ${errorMsg}` });
+                continue;
+            }
+            listed.removed = true;
+        }
+        wp.releaseSupersededMedia(item.fileId, item.id);
+    }
+
+    // 6) prune media this tool uploaded for this target whose Drive file is gone
+    const pruned = [];
+    // Only a complete run has seen every Drive file it owns
+    if (prune && !interrupted) {
+        report('pruning');
+        for (const { fileId, entry } of wp.listOwnedMedia(target)) {
+            if (seenFileIds.has(fileId) || usedMediaIds.has(entry.id)) continue;
+
+            // Not listed here, but it may have moved to another folder: only a Drive file that
+            // is trashed or gone proves the attachment is orphaned
+            const status = await getDriveFileStatus(drive, fileId);
+            if (status === 'exists') continue;
+
+            if (wp.isMediaMapped(entry.id, fileId)) {
+                // Another Drive file still uses this attachment (same checksum); only drop this mapping
+                if (!dryRun) wp.forgetDriveFile(fileId);
+                continue;
+            }
+            if (entry.targets.some(t => t !== target)) {
+                // Other targets show it too (they may not have run since): the last of them removes it
+                if (!dryRun) wp.removeMediaTarget(fileId, target);
+                continue;
+            }
+
+            const item = { id: entry.id, filename: entry.filename, driveFileId: fileId, driveStatus: status };
+            if (dryRun) {
+                pruned.push(item);
+                continue;
+            }
+
+            try {
+                await wp.deleteMedia(entry.id, { force: pruneMode === 'delete' });
+                wp.forgetDriveFile(fileId);
+                pruned.push(item);
+                console.log(`[sync] Pruned media ${entry.id} ("${entry.filename}")`);
+            } catch (err) {
+                const errorMsg = err.message || String(err);
+                console.log(`[sync] Failed to prune media ${entry.id} ("${entry.filename}"): ${errorMsg}`);
+                skippedFiles.push({ filename: entry.filename, error: `prune failed: ${errorMsg}` });
+            }
+        }
+        console.log(`[sync] ${dryRun ? 'Would prune' : 'Pruned'} ${pruned.length} media item(s)`);
     }
 
     const totalImages = sections.reduce((sum, s) => sum + s.attachments.length, 0);
@@ -677,21 +3506,713 @@ async function syncOnce({
         console.log(`[sync] Skipped ${skippedFiles.length} file(s) due to processing errors`);
     }
 
-    return {
+    // A run whose uploads are not on record would upload them again next time
+    await wp.flushMediaMap();
+
+    const result = {
         uploadedCount: toUpload.length,
         reusedCount: reused.length,
+        replacedCount: replaced.length,
+        prunedCount: pruned.length,
+        metadataUpdatedCount: metadataUpdated.length,
+        locationRemovedCount: locationRemoved.length,
         skippedCount: skippedFiles.length,
         totalIdsInGallery: totalImages,
         sectionsCount: sections.length,
-        sections: sections.map(s => ({ name: s.name, imageCount: s.attachments.length })),
+        sections: sections.map(s => ({ name: s.name, depth: s.depth, path: s.path.join(' / '), imageCount: s.attachments.length })),
         pageId: wpPageId,
-        updated: !dryRun,
+        postType,
+        updated: !!contentUpdate && contentUpdate !== 'unchanged',
+        contentUpdate,
+        complete: !interrupted,
+        continuationToken: nextToken,
+        snapshotId: snapshot && snapshot.id,
+        scan,
+        warnings,
+        ...(plan ? { plan } : {}),
         images: {
             toUpload,
             reused,
+            replaced,
+            pruned,
+            superseded,
+            metadataUpdated,
+            locationRemoved,
             skipped: skippedFiles
         }
     };
+
+    if (plan && previewFile) {
+        fs.writeFileSync(previewFile, makePreviewHtml(result));
+        console.log(`[sync] Preview written to ${previewFile}`);
+    }
+    return result;
+}
+
+// ---------- multi-target jobs ----------
+function loadJobConfig(filePath) {
+    // Accepts { defaults, targets: [...] } or a bare array of targets
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Failed to read job config "${filePath}": ${err.message}`);
+    }
+    return Array.isArray(data) ? { defaults: {}, targets: data } : { defaults: data.defaults || {}, targets: data.targets || [] };
+}
+
+function resolveJobTargets(targets, defaults = {}, overrides = {}, { trusted = true, trustedOverrides = false } = {}) {
+    // Each target is written with request parameter names (folderId, pageId, order, ...).
+    // Precedence: target > request overrides > config defaults > environment. Targets and
+    // defaults sent in a request (trusted: false) are checked like any other request parameter
+    if (!Array.isArray(targets) || targets.length === 0) throw new Error('Job config has no targets');
+    // Bad options of every target are reported together
+    const errors = [];
+    const resolved = targets.map((target, i) => {
+        try {
+            const options = readSyncOptionsFrom([{ values: target, trusted }, { values: overrides, trusted: trustedOverrides }, { values: defaults, trusted }]);
+            const name = target.name || makeTargetKey(options.driveFolderId, options.wpPageId || options.slug, options.postType);
+            return { name, index: i, options };
+        } catch (err) {
+            if (!err.errors) throw err;
+            errors.push(...err.errors.map(message => `target ${target.name ? `"${target.name}"` : i}: ${message}`));
+            return null;
+        }
+    });
+    if (errors.length > 0) throw optionsError(errors);
+    return resolved;
+}
+
+async function syncTargets(targets, { drive = null } = {}) {
+    // targets = resolveJobTargets(...) output. Runs in sequence with one Drive client and one
+    // WP client (and media cache) per site; a failing target is reported, not fatal.
+    if (!drive) drive = await createDrive();
+    const wpClients = new Map();
+    const results = [];
+
+    for (const { name, options } of targets) {
+        console.log(`[job] Syncing target "${name}"`);
+        try {
+            const wpKey = `${options.wpBaseUrl}|${options.wpUser}`;
+            if (options.wpBaseUrl && options.wpUser && options.wpPass && !wpClients.has(wpKey)) {
+                wpClients.set(wpKey, createWp(options.wpBaseUrl, options.wpUser, options.wpPass, {
+                    refreshCache: options.refreshCache,
+                    replaceRoute: options.replaceRoute
+                }));
+            }
+            const result = await syncOnce({ ...options, drive, wp: wpClients.get(wpKey) || null });
+            results.push({ name, ok: true, result });
+        } catch (err) {
+            console.log(`[job] Target "${name}" failed: ${err.message}`);
+            results.push({ name, ok: false, error: err.message });
+        }
+    }
+
+    const failedCount = results.filter(r => !r.ok).length;
+    return { targetsCount: results.length, okCount: results.length - failedCount, failedCount, targets: results };
+}
+
+// ---------- async jobs ----------
+// A submitted sync runs detached from the request that submitted it. Its record lives in the
+// 'jobs' store (see getStore) and is what the status route reports:
+// { id, status, phase, progress, errors, result, error }.
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+const JOB_PROGRESS_INTERVAL_MS = 1000;
+
+function redactRequest(request) {
+    // Job records are readable by anyone with the job ID: never keep credentials in them
+    return JSON.parse(JSON.stringify(request, (key, value) => (key === 'wpPass' ? undefined : value)));
+}
+
+async function createJob(store, request) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        phase: null,
+        progress: {},
+        errors: [],
+        request: redactRequest(request),
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        result: null,
+        error: null
+    };
+    await store.set(`job:${job.id}`, job);
+    return job;
+}
+
+async function getJob(store, id) {
+    return store.get(`job:${id}`);
+}
+
+async function updateJob(store, id, patch) {
+    const job = await getJob(store, id);
+    if (!job) throw new Error(`Unknown job "${id}"`);
+    const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+    await store.set(`job:${id}`, updated);
+    return updated;
+}
+
+function findContinuation(result) {
+    // -> what resumes a sync that stopped early, or null: a single target's continuationToken,
+    // or the continuationTokens ({ [target name]: token }) of the targets that did not finish
+    if (!result) return null;
+    if (result.continuationToken) return { continuationToken: result.continuationToken };
+    const tokens = Object.fromEntries((result.targets || [])
+        .filter(t => t.ok && t.result.continuationToken)
+        .map(t => [t.name, t.result.continuationToken]));
+    return Object.keys(tokens).length > 0 ? { continuationTokens: tokens } : null;
+}
+
+function mergeTargetResults(previous, result) {
+    // A continued multi-target run only runs the targets that had not finished; the job keeps
+    // the results of the others
+    if (!previous || !previous.targets || !result || !result.targets) return result;
+    const latest = new Map(result.targets.map(t => [t.name, t]));
+    const targets = previous.targets.map(t => latest.get(t.name) || t);
+    for (const t of result.targets) {
+        if (!previous.targets.some(p => p.name === t.name)) targets.push(t);
+    }
+    const failedCount = targets.filter(t => !t.ok).length;
+    return { targetsCount: targets.length, okCount: targets.length - failedCount, failedCount, targets };
+}
+
+async function runJob(store, id, run) {
+    // run(onProgress) -> { ok, result }, e.g. a syncOnce call. Progress is written at most once
+    // per JOB_PROGRESS_INTERVAL_MS, and on every phase change.
+    // -> { job, continuation } where a continuation (see findContinuation) means the sync
+    // stopped early and must go on
+    let writes = Promise.resolve();
+    const save = patch => {
+        writes = writes
+            .then(() => updateJob(store, id, patch))
+            .catch(err => console.log(`[job] Failed to update job ${id}: ${err.message}`));
+        return writes;
+    };
+
+    let lastPhase = null;
+    let lastWrite = 0;
+    const onProgress = ({ phase, errors, ...progress }) => {
+        const now = Date.now();
+        if (phase === lastPhase && now - lastWrite < JOB_PROGRESS_INTERVAL_MS) return;
+        lastPhase = phase;
+        lastWrite = now;
+        save({ phase, progress, errors });
+    };
+
+    const previous = await getJob(store, id);
+    await save({ status: 'running', phase: 'listing' });
+    let patch;
+    let continuation = null;
+    try {
+        const outcome = await run(onProgress);
+        const result = mergeTargetResults(previous && previous.result, outcome.result);
+        const ok = result && result.targets ? result.failedCount === 0 : outcome.ok;
+        continuation = findContinuation(result);
+        patch = continuation
+            // Still running: a new invocation picks up where this one stopped
+            ? { phase: 'continuing', result }
+            : { status: ok ? 'succeeded' : 'failed', phase: 'done', result, finishedAt: new Date().toISOString() };
+    } catch (err) {
+        console.log(`[job] Job ${id} failed: ${err.message}`);
+        patch = { status: 'failed', error: err.message, finishedAt: new Date().toISOString() };
+    }
+    await save(patch);
+    return { job: await getJob(store, id), continuation };
+}
+
+// ---------- Drive push notifications ----------
+// A watch channel's token carries its sync target plus an HMAC, so notifications can be
+// validated and routed without a lookup: "<base64url {f: folderId, p: pageId, t?: postType}>.<signature>"
+function signChannelPayload(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function makeChannelToken({ folderId, pageId, postType = 'page' }, secret) {
+    const target = postType === 'page' ? { f: folderId, p: pageId } : { f: folderId, p: pageId, t: postType };
+    const payload = Buffer.from(JSON.stringify(target)).toString('base64url');
+    return `${payload}.${signChannelPayload(payload, secret)}`;
+}
+
+function verifyChannelToken(token, secret) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !secret) return null;
+
+    const expected = signChannelPayload(payload, secret);
+    if (signature.length !== expected.length) return null;
+    if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+
+    try {
+        const { f, p, t } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return f && p ? { folderId: f, pageId: p, postType: t || 'page' } : null;
+    } catch {
+        return null;
+    }
+}
+
+function getHeader(event, name) {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+    return key === undefined ? undefined : headers[key];
+}
+
+function isDriveNotification(event) {
+    return !!getHeader(event, 'x-goog-channel-id');
+}
+
+async function debounceNotification(stateStore, jobStore, key, notificationId) {
+    // Notifications of one target share a marker { jobId, lastNotificationAt } in the state
+    // store. While its job is still queued (waiting for quiet, see waitForQuiet) a notification
+    // only moves the marker on -> the queued job, or null when a new one must be submitted
+    const marker = await stateStore.get(key);
+    const job = marker && marker.jobId ? await getJob(jobStore, marker.jobId) : null;
+    if (!job || job.status !== 'queued') return null;
+    await stateStore.set(key, { ...marker, notificationId, lastNotificationAt: new Date().toISOString() });
+    return job;
+}
+
+async function waitForQuiet(store, key, quietMs) {
+    // Trailing debounce, in the job: returns once no notification came for quietMs
+    for (;;) {
+        const marker = await store.get(key);
+        const waitMs = marker ? Date.parse(marker.lastNotificationAt) + quietMs - Date.now() : 0;
+        if (!(waitMs > 0)) return;
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+}
+
+async function registerDriveWatch({
+    folderId, pageId, slug = null, postType = 'page', address, secret, ttlMs, driveId = null, store = null,
+    wpBaseUrl, wpUser, wpPass,
+    // Injected clients, as for syncOnce
+    drive = null, wp = null
+}) {
+    // Creates a changes.watch channel for the target and stops the one it replaces
+    if (!address) throw new Error('DRIVE_WEBHOOK_URL (webhook address) is required to register a watch channel');
+    if (!secret) throw new Error('DRIVE_WEBHOOK_SECRET is required to register a watch channel');
+    if (!folderId || (!pageId && !slug)) throw httpError(400, 'folderId and pageId or slug are required to register a watch channel');
+
+    // The channel token carries the post ID: a slug is resolved once, here
+    if (!pageId) {
+        if (!wp && (!wpBaseUrl || !wpUser || !wpPass)) throw httpError(400, 'WP credentials/baseUrl required to resolve the slug');
+        pageId = (await (wp || createWp(wpBaseUrl, wpUser, wpPass)).findPostBySlug(postType, slug)).id;
+        console.log(`[watch] Resolved ${postType} "${slug}" to ID ${pageId}`);
+    }
+
+    if (!drive) drive = await createDrive();
+    const channelStore = store || getStore('state');
+    const key = `channel:${makeTargetKey(folderId, pageId, postType)}`;
+    const previous = await channelStore.get(key);
+
+    // Create the new channel before stopping the old one so no notification window is lost
+    const channel = await watchDriveChanges(drive, {
+        address,
+        token: makeChannelToken({ folderId, pageId, postType }, secret),
+        ttlMs,
+        driveId
+    });
+    await channelStore.set(key, { ...channel, address, createdAt: new Date().toISOString() });
+    console.log(`[watch] Registered channel ${channel.id}, expires ${new Date(channel.expiration).toISOString()}`);
+
+    if (previous) {
+        try {
+            await stopDriveChannel(drive, previous);
+            console.log(`[watch] Stopped previous channel ${previous.id}`);
+        } catch (err) {
+            // Already expired channels cannot be stopped; nothing to clean up
+            console.log(`[watch] Could not stop previous channel ${previous.id}: ${err.message}`);
+        }
+    }
+
+    return { channel, pageId, renewed: !!previous };
+}
+
+// ---------- request options ----------
+// Every sync option, read from the query string, then the JSON body, then the environment.
+// `name` is the request parameter (and CLI flag), `key` the syncOnce option where it differs;
+// `request: false` options only come from the environment, and `group` options are folded
+// into layoutParams or watermark. The README's parameter table is made from this list.
+const SYNC_OPTIONS = [
+    { name: 'folderId', key: 'driveFolderId', aliases: ['driveFolderId'], env: 'GOOGLE_DRIVE_FOLDER_ID', type: 'string', description: 'Google Drive folder ID containing images' },
+    { name: 'pageId', key: 'wpPageId', aliases: ['wpPageId'], env: 'WP_PAGE_ID', type: 'integer', min: 1, default: null, description: 'ID of the WordPress page (or post of `postType`) to update with gallery' },
+    { name: 'postType', env: 'WP_POST_TYPE', type: 'string', default: 'page', description: 'Post type of the target: `page`, `post`, a custom post type, or `wp_block` (synced pattern)' },
+    { name: 'slug', env: 'WP_POST_SLUG', type: 'string', default: null, description: 'Target slug, used instead of `pageId`' },
+    { name: 'recursive', env: 'RECURSIVE', type: 'boolean', default: false, description: 'Map the whole folder tree to nested sections (see [Nested folders](#nested-folders))' },
+    { name: 'maxDepth', env: 'MAX_DEPTH', type: 'integer', min: 0, default: 0, description: 'Deepest folder level scanned when recursive; `0` = unlimited' },
+    { name: 'flattenDepth', env: 'FLATTEN_DEPTH', type: 'integer', min: 0, default: 0, description: 'Folders deeper than this level add their images to their ancestor\'s section; `0` = never' },
+    { name: 'order', env: 'ORDER', type: 'string', values: SORT_ORDERS, default: 'name_asc', description: 'Sort order for images (see [Sort order options](#sort-order-options))' },
+    { name: 'usePhotosFromRoot', env: 'USE_PHOTOS_FROM_ROOT_FOLDER', type: 'boolean', default: false, description: 'Add the images of `folderId` itself as a first section' },
+    { name: 'makeSections', env: 'MAKE_SECTIONS', type: 'boolean', default: true, description: 'One headed gallery per folder, with a table of contents; `false` puts all images in one gallery' },
+    { name: 'layout', env: 'GALLERY_LAYOUT', type: 'string', parse: parseLayoutOption, untrusted: refuseCustomLayout, default: DEFAULT_LAYOUT, description: '`grid`, `columns`, `justified`, `masonry`, `carousel`, or a custom template from the environment or a job config (see [Gallery layouts](#gallery-layouts))' },
+    { name: 'layoutParams', type: 'json', description: 'Layout parameters as one object, e.g. `{"columns": {"desktop": 4}, "gap": 4}`; the flat parameters below override its keys' },
+    { name: 'columns', group: 'layoutParams', path: ['columns', 'desktop'], env: 'GALLERY_COLUMNS', type: 'integer', min: 1, defaultText: `\`${DEFAULT_LAYOUT_PARAMS.columns.desktop}\``, description: 'Columns on desktop' },
+    { name: 'columnsTablet', group: 'layoutParams', path: ['columns', 'tablet'], env: 'GALLERY_COLUMNS_TABLET', type: 'integer', min: 1, defaultText: `\`${DEFAULT_LAYOUT_PARAMS.columns.tablet}\``, description: 'Columns on tablets' },
+    { name: 'columnsMobile', group: 'layoutParams', path: ['columns', 'mobile'], env: 'GALLERY_COLUMNS_MOBILE', type: 'integer', min: 1, defaultText: `\`${DEFAULT_LAYOUT_PARAMS.columns.mobile}\``, description: 'Columns on phones' },
+    { name: 'rowHeight', group: 'layoutParams', path: ['rowHeight', 'desktop'], env: 'GALLERY_ROW_HEIGHT', type: 'integer', min: 1, defaultText: `\`${DEFAULT_LAYOUT_PARAMS.rowHeight.desktop}\``, description: 'Row height in pixels on desktop' },
+    { name: 'rowHeightTablet', group: 'layoutParams', path: ['rowHeight', 'tablet'], env: 'GALLERY_ROW_HEIGHT_TABLET', type: 'integer', min: 1, defaultText: `\`${DEFAULT_LAYOUT_PARAMS.rowHeight.tablet}\``, description: 'Row height in pixels on tablets' },
+    { name: 'rowHeightMobile', group: 'layoutParams', path: ['rowHeight', 'mobile'], env: 'GALLERY_ROW_HEIGHT_MOBILE', type: 'integer', min: 1, defaultText: `\`${DEFAULT_LAYOUT_PARAMS.rowHeight.mobile}\``, description: 'Row height in pixels on phones' },
+    { name: 'gap', group: 'layoutParams', path: ['gap'], env: 'GALLERY_GAP', type: 'integer', min: 0, defaultText: `\`${DEFAULT_LAYOUT_PARAMS.gap}\``, description: 'Space between images in pixels' },
+    { name: 'crop', group: 'layoutParams', path: ['crop'], env: 'GALLERY_CROP', type: 'boolean', defaultText: `\`${DEFAULT_LAYOUT_PARAMS.crop}\``, description: 'Crop images to fill their cell (`false` letterboxes them)' },
+    { name: 'locale', env: 'LOCALE', type: 'string', default: DEFAULT_LOCALE, description: `Language of the table of contents and other generated labels: ${Object.keys(LOCALES).map(l => `\`${l}\``).join(', ')}` },
+    { name: 'strings', env: 'UI_STRINGS', type: 'json', description: 'Overrides for single labels, e.g. `{"tocLabel": "Galleries:"}` (see [Languages](#languages))' },
+    { name: 'altTemplate', env: 'ALT_TEMPLATE', type: 'string', allowEmpty: true, default: DEFAULT_ALT_TEMPLATE, description: 'Alt text of each image, written to the media and to the gallery markup (see [Alt text and captions](#alt-text-and-captions))' },
+    { name: 'captionTemplate', env: 'CAPTION_TEMPLATE', type: 'string', allowEmpty: true, default: DEFAULT_CAPTION_TEMPLATE, description: 'Caption of uploaded media' },
+    { name: 'titleTemplate', env: 'TITLE_TEMPLATE', type: 'string', allowEmpty: true, default: '', description: 'Title of uploaded media (WordPress uses the filename when empty)' },
+    { name: 'hideFilenames', env: 'HIDE_FILENAMES', type: 'boolean', default: true, description: 'Drop `{filename}` and any value equal to the filename' },
+    { name: 'syncMetadata', env: 'SYNC_METADATA', type: 'boolean', default: false, description: 'Update alt text, caption and title of reused media when they differ' },
+    { name: 'metadataPolicy', env: 'METADATA_POLICY', type: 'string', values: METADATA_POLICIES, default: DEFAULT_METADATA_POLICY, description: 'Embedded metadata kept in uploaded files (see [Image metadata and privacy](#image-metadata-and-privacy))' },
+    { name: 'format', env: 'OUTPUT_FORMAT', type: 'string', values: OUTPUT_FORMATS, default: 'keep', description: 'Format of uploaded files (see [Output format](#output-format))' },
+    { name: 'quality', env: 'QUALITY', type: 'integer', min: 1, max: 100, default: null, defaultText: 'encoder default', description: 'Encoder quality' },
+    { name: 'progressive', env: 'PROGRESSIVE', type: 'boolean', default: false, description: 'Progressive JPEG / interlaced PNG' },
+    { name: 'srgb', env: 'SRGB', type: 'boolean', default: false, description: 'Convert colours to sRGB' },
+    { name: 'watermark', type: 'json', untrusted: mark => refuseLocalWatermark(mark.image), description: '`{ text | image, position, opacity, scale, margin, color }` (see [Watermark](#watermark)); the flat `watermark...` parameters override its keys' },
+    { name: 'watermarkText', group: 'watermark', path: ['text'], env: 'WATERMARK_TEXT', type: 'string', description: 'Text watermark, e.g. `© Jane Doe`' },
+    { name: 'watermarkImage', group: 'watermark', path: ['image'], env: 'WATERMARK_IMAGE', type: 'string', untrusted: refuseLocalWatermark, description: 'Image watermark: `drive:<fileId>`, or a local path from the environment or a job config' },
+    { name: 'watermarkPosition', group: 'watermark', path: ['position'], env: 'WATERMARK_POSITION', type: 'string', values: WATERMARK_POSITIONS, defaultText: `\`${DEFAULT_WATERMARK.position}\``, description: 'Watermark position' },
+    { name: 'watermarkOpacity', group: 'watermark', path: ['opacity'], env: 'WATERMARK_OPACITY', type: 'number', defaultText: `\`${DEFAULT_WATERMARK.opacity}\``, description: 'Watermark opacity, 0–1' },
+    { name: 'watermarkScale', group: 'watermark', path: ['scale'], env: 'WATERMARK_SCALE', type: 'number', defaultText: `\`${DEFAULT_WATERMARK.scale}\``, description: 'Largest watermark width, as a fraction of the image width' },
+    { name: 'watermarkMargin', group: 'watermark', path: ['margin'], env: 'WATERMARK_MARGIN', type: 'number', defaultText: `\`${DEFAULT_WATERMARK.margin}\``, description: 'Distance from the edges, as a fraction of the shorter side' },
+    { name: 'watermarkColor', group: 'watermark', path: ['color'], env: 'WATERMARK_COLOR', type: 'string', defaultText: `\`${DEFAULT_WATERMARK.color}\``, description: 'Text colour (name or `#rrggbb`)' },
+    { name: 'maxSize', env: 'MAX_SIZE', type: 'integer', min: 0, default: DEFAULT_MAX_IMAGE_SIZE, description: 'Max width/height in pixels. Images exceeding this are resized proportionally; `0` disables resizing' },
+    { name: 'uploadLimit', env: 'UPLOAD_LIMIT', type: 'integer', min: 0, default: 0, description: 'Stop uploading after this many new files; `0` = no limit' },
+    { name: 'downloadConcurrency', env: 'DOWNLOAD_CONCURRENCY', type: 'integer', min: 1, default: DEFAULT_CONCURRENCY.download, description: 'Parallel Drive downloads (see [Performance](#performance))' },
+    { name: 'processConcurrency', env: 'PROCESS_CONCURRENCY', type: 'integer', min: 1, default: DEFAULT_CONCURRENCY.process, description: 'Images resized/converted in parallel' },
+    { name: 'uploadConcurrency', env: 'UPLOAD_CONCURRENCY', type: 'integer', min: 1, default: DEFAULT_CONCURRENCY.upload, description: 'Parallel WordPress uploads' },
+    { name: 'timeBudgetMs', env: 'TIME_BUDGET_MS', type: 'integer', min: 0, default: 0, description: 'Time budget of this run in milliseconds; `0` = until the Lambda timeout nears (see [Long runs](#long-runs-and-checkpoints))' },
+    { name: 'continuationToken', type: 'string', default: null, description: 'Resume the run that returned this token' },
+    { name: 'partialWrites', env: 'PARTIAL_WRITES', type: 'boolean', default: false, description: 'Write the page after each finished section' },
+    { name: 'selfInvoke', env: 'SELF_INVOKE', type: 'boolean', default: false, description: 'Re-invoke the function to continue an interrupted run' },
+    { name: 'dryRun', env: 'DRY_RUN', type: 'boolean', default: false, description: 'Preview mode without making changes (see [Dry runs](#dry-runs))' },
+    { name: 'incremental', env: 'INCREMENTAL', type: 'boolean', default: false, description: 'Use the Drive Changes API to only re-process folders that changed (see [Incremental sync](#incremental-sync))' },
+    { name: 'regionId', env: 'REGION_ID', type: 'string', pattern: /^[a-z0-9-]+$/i, patternText: 'may only contain letters, digits and hyphens', default: DEFAULT_REGION_ID, description: 'Managed region to replace; use different IDs to put several galleries on one page' },
+    { name: 'position', env: 'REGION_POSITION', type: 'string', pattern: /^(append|prepend|(before|after):.+)$/, patternText: 'must be append, prepend, before:<anchor> or after:<anchor>', default: 'append', description: 'Where to insert a new region: `append`, `prepend`, `before:<anchor>` or `after:<anchor>`' },
+    { name: 'clearContent', env: 'CLEAR_CONTENT', type: 'boolean', default: false, description: 'Replace the whole page content with the managed region' },
+    { name: 'snapshotLimit', env: 'SNAPSHOT_LIMIT', type: 'integer', min: 0, default: DEFAULT_SNAPSHOT_LIMIT, description: 'Snapshots kept per post; `0` = no snapshots (see [Snapshots and rollback](#snapshots-and-rollback))' },
+    { name: 'prune', env: 'PRUNE', type: 'boolean', default: false, description: 'Remove media this tool uploaded for this folder/page whose Drive file was deleted (see [Pruning](#pruning))' },
+    { name: 'pruneMode', env: 'PRUNE_MODE', type: 'string', values: PRUNE_MODES, default: 'delete', description: '`delete` is permanent; `trash` requires `MEDIA_TRASH` on the site' },
+    { name: 'dedupe', env: 'DEDUPE', type: 'string', values: DEDUPE_MODES, default: 'identity', description: '`identity` reuses media by Drive file ID/checksum with filename as migration fallback; `filename` uses the legacy filename-only lookup' },
+    { name: 'forceReupload', env: 'FORCE_REUPLOAD', type: 'boolean', default: false, description: 'Upload every image again instead of reusing media' },
+    { name: 'refreshCache', env: 'REFRESH_CACHE', type: 'boolean', default: false, description: 'Reload the WordPress media list instead of using the cached one' },
+    { name: 'replaceRoute', request: false, env: 'WP_MEDIA_REPLACE_ROUTE', type: 'string', default: null },
+    { name: 'sharedDriveId', request: false, env: 'GOOGLE_SHARED_DRIVE_ID', type: 'string', default: null },
+    // A path on this machine: never taken from a request
+    { name: 'previewFile', request: false, env: 'PREVIEW_FILE', type: 'string', default: null },
+    { name: 'wpBaseUrl', env: 'WP_BASE_URL', type: 'string', description: 'WordPress site URL' },
+    { name: 'wpUser', env: 'WP_USERNAME', type: 'string', description: 'WordPress username' },
+    { name: 'wpPass', env: 'WP_APP_PASSWORD', type: 'string', description: 'WordPress application password' }
+];
+
+function refuseCustomLayout(layout) {
+    // Custom CSS is published as is, so only the operator may write it
+    return typeof layout === 'string' ? null : 'must name a layout (custom templates only from the environment or a job config)';
+}
+
+function refuseLocalWatermark(image) {
+    // A request must not make the function read (and publish) files of its own machine
+    return image && !String(image).startsWith('drive:') ? 'must be drive:<fileId> (local paths only from the environment or a job config)' : null;
+}
+
+// What a rollback restores, on top of the post and credentials of SYNC_OPTIONS
+const ROLLBACK_OPTIONS = [
+    { name: 'snapshotId', type: 'string', default: null, description: 'Snapshot to restore' },
+    { name: 'revisionId', type: 'integer', min: 1, default: null, description: 'WordPress revision to restore instead of a snapshot' },
+    { name: 'fromRevision', type: 'boolean', default: false, description: 'Restore the revision recorded with `snapshotId`' }
+];
+
+const BOOLEAN_VALUES = { true: true, false: false, 1: true, 0: false, yes: true, no: false, on: true, off: false };
+
+function findOptionValue(option, sources) {
+    // sources: [{ values, trusted? }] in priority order, then the environment.
+    // -> { value, label, fromRequest }: label is the parameter or environment variable the value
+    // came from. Trusted sources (a job config file, CLI flags) count as the environment's
+    const present = v => v !== undefined && v !== null && (v !== '' || option.allowEmpty);
+    if (option.request !== false) {
+        const names = [option.name, ...(option.aliases || [])];
+        for (const { values, trusted = false } of sources) {
+            const name = names.find(n => present(values[n]));
+            if (name) return { value: values[name], label: name, fromRequest: !trusted };
+        }
+    }
+    const value = option.env ? env(option.env) : undefined;
+    return { value, label: option.env, fromRequest: false };
+}
+
+function parseOptionValue(option, value, label) {
+    // -> the value converted to the option's type; throws when it does not fit
+    if (option.parse) return option.parse(value);
+    let parsed;
+    if (option.type === 'boolean') {
+        parsed = typeof value === 'boolean' ? value : BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+        if (parsed === undefined) throw new Error(`${label} must be true or false`);
+    } else if (option.type === 'integer' || option.type === 'number') {
+        parsed = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+        if (option.type === 'integer' ? !Number.isInteger(parsed) : !Number.isFinite(parsed)) {
+            throw new Error(`${label} must be ${option.type === 'integer' ? 'an integer' : 'a number'}`);
+        }
+        const { min, max } = option;
+        if ((min !== undefined && parsed < min) || (max !== undefined && parsed > max)) {
+            throw new Error(`${label} must be ${max === undefined ? `at least ${min}` : `from ${min} to ${max}`}`);
+        }
+    } else if (option.type === 'json') {
+        parsed = parseJsonOption(value, label);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error(`${label} must be an object`);
+    } else {
+        if (typeof value === 'object') throw new Error(`${label} must be a string`);
+        parsed = String(value);
+    }
+    if (option.values && !option.values.includes(parsed)) throw new Error(`${label} must be one of: ${option.values.join(', ')}`);
+    if (option.pattern && !option.pattern.test(parsed)) throw new Error(`${label} ${option.patternText}`);
+    return parsed;
+}
+
+function readOptions(schema, sources, errors) {
+    // -> { [key]: value } for every option of the schema; each bad value adds a message to errors.
+    // `untrusted` tells what a request may not set (reading local files, ...) -> message or null
+    const options = {};
+    for (const option of schema) {
+        const key = option.key || option.name;
+        const { value, label, fromRequest } = findOptionValue(option, sources);
+        if (value === undefined || value === null) {
+            options[key] = option.default;
+            continue;
+        }
+        try {
+            const parsed = parseOptionValue(option, value, label);
+            const refused = fromRequest && option.untrusted ? option.untrusted(parsed) : null;
+            if (refused) throw new Error(`${label} ${refused}`);
+            options[key] = parsed;
+        } catch (err) {
+            errors.push(err.message);
+        }
+    }
+    return options;
+}
+
+function optionsError(errors) {
+    // One 400 listing every problem
+    return Object.assign(httpError(400, errors.join('; ')), { errors });
+}
+
+function setGroupValue(group, [key, sub], value) {
+    // A per-breakpoint value joins a single number given for the desktop
+    if (!sub) return { ...group, [key]: value };
+    const current = typeof group[key] === 'number' ? { desktop: group[key] } : group[key];
+    return { ...group, [key]: { ...current, [sub]: value } };
+}
+
+function readSyncOptions(qs, body, { required = false, trusted = false } = {}) {
+    // -> syncOnce options. Every problem is reported at once, as a 400 whose `errors` lists
+    // them; `required` also asks for what a sync cannot run without. `trusted` is for
+    // parameters of the operator (CLI flags) rather than of an HTTP request
+    return readSyncOptionsFrom([{ values: qs, trusted }, { values: body, trusted }], { required });
+}
+
+function readSyncOptionsFrom(sources, { required = false } = {}) {
+    // readSyncOptions over any sources, e.g. a job config target and the request's overrides
+    const errors = [];
+    const values = readOptions(SYNC_OPTIONS, sources, errors);
+    const options = {};
+    const groups = { layoutParams: { ...values.layoutParams }, watermark: { ...values.watermark } };
+    for (const option of SYNC_OPTIONS) {
+        const key = option.key || option.name;
+        if (!option.group) {
+            if (!groups[key]) options[key] = values[key];
+        } else if (values[key] !== undefined) {
+            groups[option.group] = setGroupValue(groups[option.group], option.path, values[key]);
+        }
+    }
+    options.layoutParams = groups.layoutParams;
+    options.watermark = groups.watermark.text || groups.watermark.image ? groups.watermark : null;
+    options.strings = options.strings || {};
+
+    if (required) {
+        // A value that failed to parse is reported already
+        const missing = key => key in values && !values[key];
+        if (missing('driveFolderId')) errors.push('folderId is required');
+        if (missing('wpPageId') && missing('slug')) errors.push('pageId or slug is required');
+        if (['wpBaseUrl', 'wpUser', 'wpPass'].some(missing)) errors.push('wpBaseUrl, wpUser and wpPass are required');
+    }
+    // Checks across options: layout parameters, label overrides and the watermark as a whole
+    for (const check of [
+        () => resolveGalleryLayout(options.layout, options.layoutParams),
+        () => getStrings(options.locale, options.strings),
+        () => normalizeWatermark(options.watermark)
+    ]) {
+        try {
+            check();
+        } catch (err) {
+            errors.push(err.message);
+        }
+    }
+    if (errors.length > 0) throw optionsError(errors);
+    return options;
+}
+
+function readRollbackOptions(qs, body) {
+    // The post and credentials as for a sync, plus what to restore
+    const { postType, wpPageId, slug, dryRun, snapshotLimit, wpBaseUrl, wpUser, wpPass } = readSyncOptions(qs, body);
+    const errors = [];
+    const { snapshotId, revisionId, fromRevision } = readOptions(ROLLBACK_OPTIONS, [{ values: qs }, { values: body }], errors);
+    if (errors.length > 0) throw optionsError(errors);
+    return { postType, wpPageId, slug, snapshotId, revisionId, fromRevision, dryRun, snapshotLimit, wpBaseUrl, wpUser, wpPass };
+}
+
+function readWatchOptions(qs, body) {
+    // registerDriveWatch arguments: the target and credentials as for a sync, the channel
+    // address, secret and lifetime from the environment
+    const { driveFolderId, wpPageId, slug, postType, sharedDriveId, wpBaseUrl, wpUser, wpPass } = readSyncOptions(qs, body);
+    return {
+        folderId: driveFolderId,
+        pageId: wpPageId,
+        slug,
+        postType,
+        wpBaseUrl,
+        wpUser,
+        wpPass,
+        address: env('DRIVE_WEBHOOK_URL'),
+        secret: env('DRIVE_WEBHOOK_SECRET'),
+        ttlMs: parseInt(env('DRIVE_WATCH_TTL_MS', DEFAULT_WATCH_TTL_MS), 10),
+        driveId: sharedDriveId
+    };
+}
+
+function makeOptionsTable(schema = SYNC_OPTIONS) {
+    // The README's parameter table (`drive-wp-gallery-sync options` prints it)
+    const code = v => `\`${String(v).replace(/\|/g, '\\|')}\``;
+    const rows = schema.filter(option => option.request !== false).map(option => {
+        const type = option.values ? option.values.map(code).join(', ') : (option.type === 'json' ? 'object' : option.type);
+        const hasDefault = option.default !== undefined && option.default !== null && option.default !== '';
+        const defaultText = option.defaultText || (hasDefault ? code(option.default) : '-');
+        const aliases = (option.aliases || []).map(code).join(', ');
+        const description = `${option.description}${aliases ? ` (also ${aliases})` : ''}`;
+        return `| ${code(option.name)} | ${option.env ? code(option.env) : '-'} | ${type} | ${defaultText} | ${description} |`;
+    });
+    return [
+        '| Parameter | Environment | Type | Default | Description |',
+        '|-----------|-------------|------|---------|-------------|',
+        ...rows
+    ].join('\n');
+}
+
+function parseJsonOption(value, name) {
+    // Objects arrive as-is in a JSON body and as JSON strings from the query string or environment
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        throw httpError(400, `Invalid ${name} JSON: ${err.message}`);
+    }
+}
+
+function parseLayoutOption(value) {
+    // A layout name, or a custom { className, css } template
+    if (typeof value === 'string' && value.trim().startsWith('{')) return parseJsonOption(value, 'custom layout');
+    return value;
+}
+
+// ---------- authentication ----------
+// HTTP callers prove themselves with a shared bearer token (AUTH_TOKEN) or an HMAC signature
+// (AUTH_HMAC_SECRET) over the timestamp and the request. Direct invocations are authorized by
+// IAM and Drive notifications by their channel token, so neither goes through this.
+const REQUEST_CREDENTIAL_KEYS = ['wpUser', 'wpPass', 'wpBaseUrl'];
+
+function readAuthConfig() {
+    return {
+        token: env('AUTH_TOKEN', null),
+        hmacSecret: env('AUTH_HMAC_SECRET', null),
+        maxSkewMs: parseInt(env('AUTH_MAX_SKEW_MS', DEFAULT_AUTH_MAX_SKEW_MS), 10),
+        allowRequestCredentials: parseBool(env('ALLOW_REQUEST_CREDENTIALS'), true)
+    };
+}
+
+function readRawRequest(event) {
+    // Function URL (payload v2) and API Gateway (v1) events
+    const body = event.body && event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : (event.body || '');
+    return {
+        method: (event.requestContext && event.requestContext.http && event.requestContext.http.method) || event.httpMethod || 'GET',
+        path: event.rawPath || event.path || '/',
+        query: event.rawQueryString || '',
+        body
+    };
+}
+
+function signRequest({ timestamp, method, path, query = '', body = '' }, secret) {
+    // Hex HMAC-SHA256 of "<timestamp>\n<METHOD>\n<path>\n<raw query string>\n<raw body>"
+    const payload = [timestamp, method.toUpperCase(), path, query, body].join('\n');
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function authenticateRequest(event, { token = null, hmacSecret = null, maxSkewMs = DEFAULT_AUTH_MAX_SKEW_MS, now = Date.now() } = {}) {
+    // -> 'none' (no authentication configured), 'bearer' or 'hmac'; throws 401/403 otherwise
+    if (!token && !hmacSecret) return 'none';
+
+    const bearer = /^Bearer\s+(\S+)$/i.exec(getHeader(event, 'authorization') || '');
+    const signature = getHeader(event, 'x-sync-signature');
+    const challenge = { 'www-authenticate': token ? 'Bearer' : 'HMAC-SHA256' };
+
+    if (token && bearer) {
+        if (!safeEqual(bearer[1], token)) throw httpError(403, 'Invalid bearer token');
+        return 'bearer';
+    }
+
+    if (hmacSecret && signature) {
+        const timestamp = getHeader(event, 'x-sync-timestamp');
+        if (!timestamp) throw httpError(401, 'Missing X-Sync-Timestamp header', challenge);
+        // Unix seconds; outside the window a captured request can no longer be replayed
+        if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp) * 1000) > maxSkewMs) {
+            throw httpError(403, 'Request timestamp outside the allowed window');
+        }
+        const expected = signRequest({ timestamp, ...readRawRequest(event) }, hmacSecret);
+        if (!safeEqual(String(signature).replace(/^sha256=/, ''), expected)) throw httpError(403, 'Invalid request signature');
+        return 'hmac';
+    }
+
+    throw httpError(401, 'Authentication required', challenge);
+}
+
+function isSameSite(wpBaseUrl, configuredBaseUrl) {
+    const trim = url => String(url).replace(/\/+$/, '').toLowerCase();
+    return Boolean(configuredBaseUrl) && trim(wpBaseUrl) === trim(configuredBaseUrl);
+}
+
+function findRequestCredentials(qs, body, configuredBaseUrl = null) {
+    // Credential parameters in a request -> their names (targets[i].wpPass, ...). A base URL
+    // naming the configured site sends nothing anywhere new, so it does not count.
+    const isCredential = (key, value) => value !== undefined && !(key === 'wpBaseUrl' && isSameSite(value, configuredBaseUrl));
+    const found = [];
+    for (const key of REQUEST_CREDENTIAL_KEYS) {
+        if (isCredential(key, qs[key] !== undefined ? qs[key] : body[key])) found.push(key);
+    }
+    (Array.isArray(body.targets) ? body.targets : []).forEach((target, i) => {
+        for (const key of REQUEST_CREDENTIAL_KEYS) {
+            if (target && isCredential(key, target[key])) found.push(`targets[${i}].${key}`);
+        }
+    });
+    return found;
+}
+
+function findForeignBaseUrls(qs, body, configuredBaseUrl = null) {
+    // Request base URLs naming another site than WP_BASE_URL without wpUser and wpPass of their
+    // own -> their names. Those would send the configured credentials to that site.
+    const pick = key => (qs[key] !== undefined ? qs[key] : body[key]);
+    const isForeign = (wpBaseUrl, wpUser, wpPass) => wpBaseUrl !== undefined && !isSameSite(wpBaseUrl, configuredBaseUrl) && !(wpUser && wpPass);
+    const found = [];
+    if (isForeign(pick('wpBaseUrl'), pick('wpUser'), pick('wpPass'))) found.push('wpBaseUrl');
+    (Array.isArray(body.targets) ? body.targets : []).forEach((target, i) => {
+        if (!target) return;
+        const wpUser = target.wpUser !== undefined ? target.wpUser : pick('wpUser');
+        const wpPass = target.wpPass !== undefined ? target.wpPass : pick('wpPass');
+        if (isForeign(target.wpBaseUrl, wpUser, wpPass)) found.push(`targets[${i}].wpBaseUrl`);
+    });
+    return found;
 }
 
 // ---------- exported for testing ----------
@@ -699,6 +4220,7 @@ module.exports = {
     // utilities
     env,
     parseBool,
+    createLimiter,
     pickOrder,
     stripExt,
     makeUniqueFilename,
@@ -712,74 +4234,522 @@ module.exports = {
     makeMasonryStyles,
     makeSectionContent,
     makePageContent,
+    // localization
+    LOCALES,
+    getStrings,
+    escapeHtml,
+    // gallery layouts
+    GALLERY_LAYOUTS,
+    registerGalleryLayout,
+    resolveGalleryLayout,
+    mergeLayoutParams,
+    renderTemplate,
+    // managed region
+    parseBlocks,
+    findManagedRegion,
+    makeManagedRegion,
+    findLegacyBlocks,
+    replaceManagedRegion,
+    // dry-run plan
+    diffBlocks,
+    makePreviewHtml,
     // cache
     loadCache,
     saveCache,
     isCacheValid,
+    describeCache,
+    // media map
+    loadMediaMap,
+    saveMediaMap,
+    findMappedMedia,
+    isDriveFileChanged,
+    makeTargetKey,
+    // state
+    createFileStore,
+    createS3Store,
+    setStore,
+    getStore,
+    makeSyncFingerprint,
+    findAffectedFolders,
+    groupSections,
     // image processing
-    resizeImageIfNeeded,
+    prepareImage,
+    resolveOutputFormat,
+    makeOutputFilename,
+    makeProcessingSignature,
+    normalizeWatermark,
+    loadWatermark,
+    hasLocationData,
+    stripJpegLocation,
+    stripJpegMetadata,
+    decodeHeic,
+    // image metadata
+    parseIptc,
+    parseXmp,
+    parseExif,
+    readEmbeddedMetadata,
+    renderMetadataTemplate,
+    makeMediaText,
+    isMediaTextSynced,
+    diffMediaText,
+    // Drive push notifications
+    makeChannelToken,
+    verifyChannelToken,
+    isDriveNotification,
+    debounceNotification,
+    waitForQuiet,
+    registerDriveWatch,
+    // request options
+    SYNC_OPTIONS,
+    ROLLBACK_OPTIONS,
+    readSyncOptions,
+    readRollbackOptions,
+    readWatchOptions,
+    makeOptionsTable,
+    runRequest,
+    // multi-target jobs
+    loadJobConfig,
+    resolveJobTargets,
+    syncTargets,
+    // authentication
+    authenticateRequest,
+    signRequest,
+    findRequestCredentials,
+    findForeignBaseUrls,
+    // routing
+    matchRoute,
+    errorStatus,
+    checkHealth,
+    clearCache,
+    // async jobs
+    createJob,
+    getJob,
+    updateJob,
+    runJob,
+    // snapshots
+    saveSnapshot,
+    listSnapshots,
+    listPostSnapshots,
+    getSnapshot,
+    extractAttachmentIds,
+    rollbackPost,
     // core
     createDrive,
+    isRejectedCredential,
     createWp,
     listSubFolders,
+    listFolderTree,
     listImagesInFolder,
     downloadDriveFile,
+    getDriveFileStatus,
+    getStartPageToken,
+    listChanges,
+    watchDriveChanges,
+    stopDriveChannel,
     syncOnce,
     // Lambda handler (added below)
 };
 
 // ---------- Lambda handler ----------
-module.exports.handler = async (event) => {
+function jsonResponse(statusCode, payload) {
+    return {
+        statusCode,
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload)
+    };
+}
+
+// Network failures of Drive or WordPress calls, answered with 502 like their 5xx responses
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED'];
+
+function errorStatus(err) {
+    // -> the error's own status (httpError), 401/502 for Drive or WordPress failures, else 500
+    if (err.statusCode) return err.statusCode;
+    const upstream = err.response && err.response.status;
+    if (upstream === 401) return 401;
+    if (upstream >= 500 || UNAVAILABLE_CODES.includes(err.code)) return 502;
+    return 500;
+}
+
+// HTTP routes -> actions. Requests to "/" (and direct invocations) name the action in an
+// `action` parameter instead, as before routes existed.
+const ROUTES = [
+    { method: 'POST', path: '/sync', action: 'sync' },
+    { method: 'GET', path: '/sync', action: 'sync' }, // kept for existing scheduled callers
+    { method: 'GET', path: '/plan', action: 'plan' },
+    { method: 'GET', path: '/health', action: 'health' },
+    { method: 'DELETE', path: '/cache', action: 'clear-cache' },
+    { method: 'GET', path: '/targets', action: 'targets' },
+    { method: 'POST', path: '/jobs', action: 'submit' },
+    { method: 'GET', path: /^\/jobs\/([^/]+)$/, action: 'status', params: ['jobId'] },
+    { method: 'POST', path: '/watch', action: 'watch' },
+    { method: 'GET', path: '/snapshots', action: 'snapshots' },
+    { method: 'POST', path: '/rollback', action: 'rollback' }
+];
+
+function matchRoute(method, path) {
+    // -> { action, params }, or null for "/"; throws 404/405 for anything else
+    const normalized = path.replace(/\/+$/, '') || '/';
+    if (normalized === '/') return null;
+    const matches = ROUTES
+        .map(route => ({ route, match: typeof route.path === 'string' ? (route.path === normalized ? [] : null) : route.path.exec(normalized) }))
+        .filter(({ match }) => match);
+    if (matches.length === 0) throw httpError(404, `No route for ${normalized}`);
+    const found = matches.find(({ route }) => route.method === method.toUpperCase());
+    if (!found) {
+        const allow = matches.map(({ route }) => route.method).join(', ');
+        throw httpError(405, `${method.toUpperCase()} is not allowed on ${normalized}`, { allow });
+    }
+    const values = found.match.slice(1).map(decodeURIComponent);
+    return { action: found.route.action, params: Object.fromEntries((found.route.params || []).map((name, i) => [name, values[i]])) };
+}
+
+async function checkHealth({ driveFolderId, wpBaseUrl, wpUser, wpPass }) {
+    // Read-only checks of the Drive and WordPress credentials -> { ok, drive, wordpress }
+    const check = async fn => {
+        try {
+            return { ok: true, ...(await fn()) };
+        } catch (err) {
+            return { ok: false, status: errorStatus(err), error: err.message };
+        }
+    };
+    const drive = await check(async () => {
+        const client = await createDrive();
+        if (!driveFolderId) return {};
+        const { data } = await client.files.get({ fileId: driveFolderId, fields: 'id, name, mimeType', supportsAllDrives: true })
+            .catch(err => {
+                if ((err.response && err.response.status) === 404 || err.code === 404) {
+                    throw httpError(400, `Drive folder ${driveFolderId} not found or not shared with the service account`);
+                }
+                throw err;
+            });
+        if (data.mimeType !== FOLDER_MIME) throw httpError(400, `Drive file ${driveFolderId} is not a folder`);
+        return { folder: data.name };
+    });
+    const wordpress = await check(async () => {
+        if (!wpBaseUrl || !wpUser || !wpPass) throw httpError(400, 'WP credentials/baseUrl required');
+        const user = await createWp(wpBaseUrl, wpUser, wpPass).getCurrentUser();
+        const capabilities = user.capabilities || {};
+        return { user: user.slug || user.name, canUpload: !!capabilities.upload_files, canEditPages: !!capabilities.edit_pages };
+    });
+    return { ok: drive.ok && wordpress.ok, drive, wordpress };
+}
+
+function listTargets() {
+    // Targets of JOB_CONFIG_FILE, without credentials
+    const configFile = env('JOB_CONFIG_FILE');
+    if (!configFile) return [];
+    const config = loadJobConfig(configFile);
+    return resolveJobTargets(config.targets, config.defaults).map(({ name, options }) => ({
+        name,
+        folderId: options.driveFolderId,
+        pageId: options.wpPageId || null,
+        postType: options.postType,
+        slug: options.slug,
+        wpBaseUrl: options.wpBaseUrl
+    }));
+}
+
+function lambdaDeadline(context) {
+    // Leaves time to finish in-flight transfers, write the page and store the checkpoint
+    if (!context || typeof context.getRemainingTimeInMillis !== 'function') return null;
+    const marginMs = parseInt(env('LAMBDA_TIME_MARGIN_MS', DEFAULT_LAMBDA_TIME_MARGIN_MS), 10);
+    return Date.now() + context.getRemainingTimeInMillis() - marginMs;
+}
+
+async function invokeSelf(functionName, payload) {
+    // Asynchronous invocation of this function to continue a run. The AWS SDK ships with the
+    // Lambda Node.js runtime and is loaded on demand, so it is not a dependency.
+    let lambda;
     try {
+        lambda = require('@aws-sdk/client-lambda');
+    } catch {
+        throw new Error('Re-invoking needs the "@aws-sdk/client-lambda" package');
+    }
+    const client = new lambda.LambdaClient({});
+    await client.send(new lambda.InvokeCommand({
+        FunctionName: functionName,
+        InvocationType: 'Event',
+        Payload: Buffer.from(JSON.stringify(payload))
+    }));
+}
+
+function isMultiTarget(qs, body) {
+    // Targets in the body, or every target of JOB_CONFIG_FILE when the request names no folder
+    return Array.isArray(body.targets) || (!!env('JOB_CONFIG_FILE') && !(qs.folderId || body.folderId));
+}
+
+async function runRequest(qs, body, { deadline = null, onProgress = null, trusted = false, previewFile = null } = {}) {
+    // One sync request, single or multi-target -> { ok, result, options? } (options for single targets)
+    // In a multi-target run a `target` parameter picks one by name, and `continuationTokens`
+    // ({ [target name]: token }) resumes the targets that stopped early. `trusted`: see
+    // readSyncOptions; `previewFile` overrides PREVIEW_FILE
+    const preview = previewFile ? { previewFile } : {};
+    const configFile = env('JOB_CONFIG_FILE');
+    if (isMultiTarget(qs, body)) {
+        const requestOptions = { ...body, ...qs };
+        const targetName = requestOptions.target;
+        const tokens = requestOptions.continuationTokens || null;
+        if (tokens && (typeof tokens !== 'object' || Array.isArray(tokens) || Object.values(tokens).some(t => typeof t !== 'string'))) {
+            throw httpError(400, 'continuationTokens must map target names to tokens');
+        }
+        delete requestOptions.targets;
+        delete requestOptions.target;
+        delete requestOptions.continuationTokens;
+        delete requestOptions.action;
+        const inline = Array.isArray(body.targets);
+        const config = inline ? { defaults: {}, targets: body.targets } : loadJobConfig(configFile);
+        let targets = resolveJobTargets(config.targets, config.defaults, requestOptions, { trusted: trusted || !inline, trustedOverrides: trusted });
+        if (targetName) {
+            targets = targets.filter(t => t.name === targetName);
+            if (targets.length === 0) throw httpError(400, `Unknown target "${targetName}"`);
+        }
+        if (tokens) {
+            const unknown = Object.keys(tokens).filter(name => !targets.some(t => t.name === name));
+            if (unknown.length > 0) throw httpError(400, `Unknown target "${unknown[0]}" in continuationTokens`);
+            targets = targets.filter(t => tokens[t.name]);
+        }
+        const result = await syncTargets(targets.map(t => ({
+            ...t,
+            options: {
+                ...t.options,
+                ...preview,
+                ...(tokens ? { continuationToken: tokens[t.name] } : {}),
+                deadline,
+                onProgress: onProgress && (p => onProgress({ ...p, target: t.name }))
+            }
+        })));
+        return { ok: result.failedCount === 0, result };
+    }
+
+    const options = readSyncOptions(qs, body, { required: true, trusted });
+    const result = await syncOnce({ ...options, ...preview, deadline, onProgress });
+    return { ok: true, result, options };
+}
+
+async function startJob(store, jobId, request, context) {
+    // On Lambda the response freezes the instance, so the job runs in a new asynchronous
+    // invocation; elsewhere (local development) it runs in the background of this process
+    if (context && context.invokedFunctionArn) {
+        try {
+            await invokeSelf(context.invokedFunctionArn, { ...request, action: 'run-job', jobId });
+        } catch (err) {
+            await updateJob(store, jobId, { status: 'failed', error: `Failed to start: ${err.message}`, finishedAt: new Date().toISOString() });
+            throw err;
+        }
+        return;
+    }
+    executeJob(store, jobId, request, null).catch(err => console.log(`[job] Job ${jobId} failed: ${err.message}`));
+}
+
+async function executeJob(store, jobId, submitted, context) {
+    // Runs a submitted sync to the end, continuing after checkpoints: in a new invocation on
+    // Lambda, in a loop elsewhere. Jobs of Drive notifications first wait for quiet.
+    const { debounce = null, continuationToken = null, continuationTokens = null, ...request } = submitted;
+    if (debounce) await waitForQuiet(getStore('state'), debounce.key, debounce.ms);
+    let continuation = continuationTokens ? { continuationTokens } : continuationToken ? { continuationToken } : null;
+    for (;;) {
+        const outcome = await runJob(store, jobId, onProgress =>
+            runRequest({}, { ...request, ...continuation }, { deadline: lambdaDeadline(context), onProgress }));
+        if (!outcome.continuation) return outcome.job;
+        continuation = outcome.continuation;
+        if (context && context.invokedFunctionArn) {
+            try {
+                await invokeSelf(context.invokedFunctionArn, { ...request, action: 'run-job', jobId, ...continuation });
+            } catch (err) {
+                // The token stays in the job's result, so the sync can still be resumed by hand
+                return updateJob(store, jobId, { status: 'failed', error: `Failed to continue: ${err.message}`, finishedAt: new Date().toISOString() });
+            }
+            return outcome.job;
+        }
+    }
+}
+
+async function handleDriveNotification(event, context) {
+    // Answers at once: Drive retries slow webhooks. The sync runs as a job, after a quiet period
+    const channelId = getHeader(event, 'x-goog-channel-id');
+    const state = getHeader(event, 'x-goog-resource-state');
+    const messageNumber = getHeader(event, 'x-goog-message-number');
+    if (!state) return jsonResponse(400, { ok: false, error: 'Missing X-Goog-Resource-State header' });
+
+    const target = verifyChannelToken(getHeader(event, 'x-goog-channel-token'), env('DRIVE_WEBHOOK_SECRET'));
+    if (!target) {
+        console.log(`[webhook] Rejected notification for channel ${channelId}: invalid channel token`);
+        return jsonResponse(403, { ok: false, error: 'Invalid channel token' });
+    }
+
+    // Drive sends a "sync" message when a channel is created; there is nothing to do yet
+    if (state === 'sync') return jsonResponse(200, { ok: true, ignored: 'sync' });
+
+    // Notifications of a burst reach different instances, and the job runs in another one
+    const stateStore = requireSharedStore('state', 'Drive notifications');
+    const jobStore = requireSharedStore('jobs', 'Drive notifications');
+    const targetKey = makeTargetKey(target.folderId, target.pageId, target.postType);
+
+    // Only the channel registered last for the target counts: a renewed channel keeps notifying
+    // until it expires, and a valid token may come with a channel this function never made.
+    // Acknowledged all the same, or Drive would retry.
+    const channel = await stateStore.get(`channel:${targetKey}`);
+    if (!channel || channel.id !== channelId || channel.resourceId !== getHeader(event, 'x-goog-resource-id')) {
+        console.log(`[webhook] Ignored notification for channel ${channelId}: not the channel registered for ${targetKey}`);
+        return jsonResponse(200, { ok: true, ignored: 'channel' });
+    }
+
+    const debounceMs = parseInt(env('WEBHOOK_DEBOUNCE_MS', DEFAULT_WEBHOOK_DEBOUNCE_MS), 10);
+    const key = `webhook:${targetKey}`;
+    const notificationId = `${channelId}:${messageNumber}`;
+    const queued = await debounceNotification(stateStore, jobStore, key, notificationId);
+    if (queued) {
+        console.log(`[webhook] Notification ${messageNumber} joins queued job ${queued.id}`);
+        return jsonResponse(202, { ok: true, debounced: true, jobId: queued.id });
+    }
+
+    // Webhook syncs are incremental unless explicitly disabled; a matching JOB_CONFIG_FILE
+    // target supplies the remaining options, the environment otherwise
+    let request = {
+        folderId: target.folderId,
+        pageId: target.pageId,
+        postType: target.postType
+    };
+    const configFile = env('JOB_CONFIG_FILE');
+    if (configFile) {
+        const config = loadJobConfig(configFile);
+        const match = resolveJobTargets(config.targets, config.defaults)
+            .find(t => t.options.driveFolderId === target.folderId
+                && t.options.wpPageId === Number(target.pageId)
+                && t.options.postType === target.postType);
+        if (match) request = { target: match.name };
+    }
+    request.incremental = env('INCREMENTAL', 'true');
+    request.debounce = { key, ms: debounceMs };
+
+    const job = await createJob(jobStore, request);
+    await stateStore.set(key, { jobId: job.id, notificationId, lastNotificationAt: new Date().toISOString() });
+    await startJob(jobStore, job.id, request, context);
+    console.log(`[webhook] Notification ${messageNumber} submitted job ${job.id}`);
+    return jsonResponse(202, { ok: true, jobId: job.id });
+}
+
+module.exports.handler = async (event, context) => {
+    try {
+        if (isDriveNotification(event)) return await handleDriveNotification(event, context);
+
+        // Direct (e.g. scheduled EventBridge) invocations carry their parameters on the event itself
+        const isDirect = !event.headers && !event.requestContext;
+        const auth = readAuthConfig();
+        if (!isDirect) authenticateRequest(event, auth);
+
         const qs = event.queryStringParameters || {};
         const isJson = event.headers && /json/i.test(event.headers['content-type'] || '');
-        const body = isJson && event.body ? JSON.parse(event.body) : {};
-
-        const driveFolderId = qs.folderId || body.folderId || env('GOOGLE_DRIVE_FOLDER_ID');
-        const wpPageId = parseInt(qs.pageId || body.pageId || env('WP_PAGE_ID'), 10);
-
-        const order = (qs.order || body.order || env('ORDER') || 'name_asc');
-        const dryRun = parseBool(qs.dryRun ?? body.dryRun ?? env('DRY_RUN'), false);
-        const clearContent = parseBool(qs.clearContent ?? body.clearContent ?? env('CLEAR_CONTENT'), false);
-        const refreshCache = parseBool(qs.refreshCache ?? body.refreshCache ?? env('REFRESH_CACHE'), false);
-        const makeSections = parseBool(qs.makeSections ?? body.makeSections ?? env('MAKE_SECTIONS'), true);
-        const usePhotosFromRoot = parseBool(qs.usePhotosFromRoot ?? body.usePhotosFromRoot ?? env('USE_PHOTOS_FROM_ROOT_FOLDER'), false);
-        const forceReupload = parseBool(qs.forceReupload ?? body.forceReupload ?? env('FORCE_REUPLOAD'), false);
-        const maxSize = parseInt(qs.maxSize || body.maxSize || env('MAX_SIZE') || DEFAULT_MAX_IMAGE_SIZE, 10);
-        const uploadLimit = parseInt(qs.uploadLimit || body.uploadLimit || env('UPLOAD_LIMIT') || '0', 10);
-
-        const wpBaseUrl = qs.wpBaseUrl || body.wpBaseUrl || env('WP_BASE_URL');
-        const wpUser = qs.wpUser || body.wpUser || env('WP_USERNAME');
-        const wpPass = qs.wpPass || body.wpPass || env('WP_APP_PASSWORD');
-
-        const result = await syncOnce({
-            driveFolderId,
-            wpPageId,
-            order,
-            dryRun,
-            clearContent,
-            refreshCache,
-            makeSections,
-            usePhotosFromRoot,
-            forceReupload,
-            maxSize,
-            uploadLimit,
-            wpBaseUrl,
-            wpUser,
-            wpPass
-        });
+        const rawBody = isJson && event.body ? readRawRequest(event).body : null;
+        const body = rawBody ? parseJsonOption(rawBody, 'request body') : (isDirect ? event : {});
+        const configuredBaseUrl = env('WP_BASE_URL', null);
+        if (!auth.allowRequestCredentials) {
+            // Credentials in a URL end up in access logs; a base URL would send the configured
+            // credentials to another site
+            const found = findRequestCredentials(qs, body, configuredBaseUrl);
+            if (found.length > 0) throw httpError(403, `Credentials are not accepted in requests (${found.join(', ')}); configure them in the environment`);
+        }
+        const foreign = findForeignBaseUrls(qs, body, configuredBaseUrl);
+        if (foreign.length > 0) throw httpError(403, `A wpBaseUrl other than WP_BASE_URL needs its own wpUser and wpPass (${foreign.join(', ')})`);
+        const method = (event.requestContext && event.requestContext.http && event.requestContext.http.method) || event.httpMethod || 'GET';
+        const route = isDirect ? null : matchRoute(method, event.rawPath || event.path || '/');
+        const action = route ? route.action : (qs.action || body.action || 'sync');
+        const params = (route && route.params) || {};
 
-        return {
-            statusCode: 200,
-            headers: { 'content-type': 'application/json' },
-            body: JSON.stringify({ ok: true, result })
-        };
+        if (action === 'watch') {
+            return jsonResponse(200, { ok: true, result: await registerDriveWatch(readWatchOptions(qs, body)) });
+        }
+
+        if (action === 'health') {
+            const health = await checkHealth(readSyncOptions(qs, body));
+            const failed = [health.drive, health.wordpress].filter(check => !check.ok).map(check => check.status);
+            const status = failed.length === 0 ? 200 : failed.includes(401) ? 401 : failed.includes(400) ? 400 : 502;
+            return jsonResponse(status, health);
+        }
+
+        if (action === 'clear-cache') {
+            return jsonResponse(200, { ok: true, cleared: clearCache() });
+        }
+
+        if (action === 'targets') {
+            return jsonResponse(200, { ok: true, targets: listTargets() });
+        }
+
+        if (action === 'status') {
+            const jobId = params.jobId || qs.jobId || body.jobId;
+            const job = jobId ? await getJob(getStore('jobs'), jobId) : null;
+            if (!job) return jsonResponse(404, { ok: false, error: `Unknown job "${jobId || ''}"` });
+            return jsonResponse(200, { ok: true, job });
+        }
+
+        if (action === 'snapshots') {
+            return jsonResponse(200, { ok: true, ...(await listPostSnapshots(readSyncOptions(qs, body))) });
+        }
+
+        if (action === 'rollback') {
+            return jsonResponse(200, { ok: true, result: await rollbackPost(readRollbackOptions(qs, body)) });
+        }
+
+        if (action === 'submit') {
+            // Bad options are answered now instead of in the job's record
+            if (!isMultiTarget(qs, body)) readSyncOptions(qs, body, { required: true });
+            const request = { ...body, ...qs };
+            delete request.action;
+            // The status route and the run itself are other invocations: they must see the record,
+            // and a run that runs out of time must find its checkpoint
+            const store = requireSharedStore('jobs', 'submit');
+            requireSharedStore('state', 'submit');
+            const job = await createJob(store, request);
+            await startJob(store, job.id, request, context);
+            return jsonResponse(202, { ok: true, jobId: job.id, status: job.status });
+        }
+
+        if (action === 'run-job') {
+            // Internal: the asynchronous invocation made by startJob, never an HTTP request
+            if (!isDirect) return jsonResponse(400, { ok: false, error: 'run-job is only available to direct invocations' });
+            const request = { ...body };
+            const jobId = request.jobId;
+            delete request.action;
+            delete request.jobId;
+            await executeJob(getStore('jobs'), jobId, request, context);
+            return jsonResponse(200, { ok: true, jobId });
+        }
+
+        if (action !== 'sync' && action !== 'plan') throw httpError(400, `Unknown action "${action}"`);
+        // A plan is a dry run, whatever the request says; preview=true answers with its HTML preview
+        const preview = action === 'plan' && parseBool(qs.preview ?? body.preview, false);
+        if (preview && isMultiTarget(qs, body)) {
+            throw httpError(400, 'preview needs a single target');
+        }
+        const { ok, result, options } = action === 'plan'
+            ? await runRequest({ ...qs, dryRun: 'true' }, { ...body, dryRun: true })
+            : await runRequest(qs, body, { deadline: lambdaDeadline(context) });
+        if (!options) return jsonResponse(200, { ok, result });
+        if (preview) {
+            return { statusCode: 200, headers: { 'content-type': 'text/html; charset=utf-8' }, body: makePreviewHtml(result) };
+        }
+
+        if (result.continuationToken && options.selfInvoke && context && context.invokedFunctionArn) {
+            // Continue in a fresh invocation with the same parameters; the response still carries
+            // the token, so a failed re-invocation can be resumed by hand
+            const payload = { ...body, ...qs, continuationToken: result.continuationToken };
+            delete payload.action;
+            try {
+                await invokeSelf(context.invokedFunctionArn, payload);
+                result.continued = true;
+                console.log(`[sync] Continuing in a new invocation`);
+            } catch (err) {
+                console.log(`[sync] Failed to re-invoke: ${err.message}`);
+                result.continued = false;
+            }
+        }
+        return jsonResponse(200, { ok: true, result });
     } catch (err) {
-        console.error(err);
-        return {
-            statusCode: 500,
-            headers: { 'content-type': 'application/json' },
-            body: JSON.stringify({ ok: false, error: err.message })
-        };
+        const status = errorStatus(err);
+        if (status === 500) console.error(err);
+        else console.log(`[http] ${status}: ${err.message}`);
+        const response = jsonResponse(status, { ok: false, error: err.message, ...(err.errors ? { errors: err.errors } : {}) });
+        return { ...response, headers: { ...response.headers, ...err.headers } };
     }
-};
\ No newline at end of file
+};
@@ -1,7 +1,11 @@
 // index.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
     env,
     parseBool,
+    createLimiter,
     pickOrder,
     stripExt,
     makeUniqueFilename,
@@ -15,6 +19,75 @@ const {
     makeSectionContent,
     makePageContent,
     isCacheValid,
+    findMappedMedia,
+    loadMediaMap,
+    saveMediaMap,
+    isDriveFileChanged,
+    makeTargetKey,
+    parseBlocks,
+    findManagedRegion,
+    makeManagedRegion,
+    findLegacyBlocks,
+    replaceManagedRegion,
+    diffBlocks,
+    makePreviewHtml,
+    createFileStore,
+    createS3Store,
+    setStore,
+    getStore,
+    makeSyncFingerprint,
+    findAffectedFolders,
+    makeChannelToken,
+    verifyChannelToken,
+    registerDriveWatch,
+    isDriveNotification,
+    waitForQuiet,
+    readSyncOptions,
+    createWp,
+    makeOptionsTable,
+    loadJobConfig,
+    resolveJobTargets,
+    authenticateRequest,
+    signRequest,
+    findRequestCredentials,
+    findForeignBaseUrls,
+    handler,
+    matchRoute,
+    errorStatus,
+    isRejectedCredential,
+    createJob,
+    saveSnapshot,
+    syncOnce,
+    syncTargets,
+    listSnapshots,
+    getSnapshot,
+    extractAttachmentIds,
+    rollbackPost,
+    getJob,
+    updateJob,
+    runJob,
+    groupSections,
+    listFolderTree,
+    resolveGalleryLayout,
+    mergeLayoutParams,
+    renderTemplate,
+    getStrings,
+    parseIptc,
+    parseXmp,
+    readEmbeddedMetadata,
+    renderMetadataTemplate,
+    makeMediaText,
+    isMediaTextSynced,
+    diffMediaText,
+    prepareImage,
+    resolveOutputFormat,
+    makeOutputFilename,
+    makeProcessingSignature,
+    normalizeWatermark,
+    loadWatermark,
+    hasLocationData,
+    stripJpegMetadata,
+    decodeHeic,
 } = require('./index');
 
 // ---------- env ----------
@@ -64,9 +137,15 @@ describe('parseBool', () => {
         expect(parseBool('false')).toBe(false);
     });
 
+    it('returns true for "1", "yes" and "on"', () => {
+        expect(parseBool('1')).toBe(true);
+        expect(parseBool('yes')).toBe(true);
+        expect(parseBool('On')).toBe(true);
+    });
+
     it('returns false for other strings', () => {
-        expect(parseBool('yes')).toBe(false);
-        expect(parseBool('1')).toBe(false);
+        expect(parseBool('0')).toBe(false);
+        expect(parseBool('nope')).toBe(false);
     });
 
     it('returns default when undefined', () => {
@@ -114,6 +193,33 @@ describe('pickOrder', () => {
 });
 
 // ---------- stripExt ----------
+describe('createLimiter', () => {
+    it('runs at most `concurrency` tasks at a time, in call order', async () => {
+        const run = createLimiter(2);
+        let active = 0;
+        let peak = 0;
+        const started = [];
+        const task = (n, ms) => run(async () => {
+            started.push(n);
+            peak = Math.max(peak, ++active);
+            await new Promise(resolve => setTimeout(resolve, ms));
+            active--;
+            return n;
+        });
+        const results = await Promise.all([task(1, 20), task(2, 5), task(3, 5), task(4, 1)]);
+        expect(results).toEqual([1, 2, 3, 4]);
+        expect(started).toEqual([1, 2, 3, 4]);
+        expect(peak).toBe(2);
+    });
+
+    it('keeps going after a failed task', async () => {
+        const run = createLimiter(1);
+        const failed = run(() => { throw new Error('boom'); });
+        await expect(failed).rejects.toThrow('boom');
+        await expect(run(() => 'next')).resolves.toBe('next');
+    });
+});
+
 describe('stripExt', () => {
     it('removes file extension', () => {
         expect(stripExt('photo.jpg')).toBe('photo');
@@ -186,6 +292,12 @@ describe('makeHeadingBlock', () => {
         expect(block).toContain('"anchor":"test-anchor"');
         expect(block).toContain('id="test-anchor"');
     });
+
+    it('escapes the folder name', () => {
+        const block = makeHeadingBlock('Tom & Jerry <script>', 2, 'tom-jerry');
+        expect(block).toContain('>Tom &amp; Jerry &lt;script&gt;</h2>');
+        expect(block).not.toContain('<script>');
+    });
 });
 
 // ---------- makeSpacerBlock ----------
@@ -234,6 +346,11 @@ describe('makeGalleryBlock', () => {
         expect(block).toContain('"group":"custom-group"');
     });
 
+    it('escapes alt text', () => {
+        const attachments = [{ id: 1, url: 'http://example.com/img1.jpg', alt: 'Tom "Ace" & co' }];
+        expect(makeGalleryBlock(attachments)).toContain('alt="Tom &quot;Ace&quot; &amp; co"');
+    });
+
     it('handles empty alt text', () => {
         const attachments = [{ id: 1, url: 'http://example.com/img1.jpg', alt: '' }];
         const block = makeGalleryBlock(attachments);
@@ -257,6 +374,52 @@ describe('makeTocBlock', () => {
         expect(block).toContain('>Section One</option>');
         expect(block).toContain('>Section Two</option>');
     });
+
+    it('escapes folder names', () => {
+        const block = makeTocBlock([{ name: 'R&D </option><img src=x onerror=alert(1)>' }]);
+        expect(block).toContain('>R&amp;D &lt;/option&gt;&lt;img src=x onerror=alert(1)&gt;</option>');
+        expect(block).not.toContain('<img');
+    });
+});
+
+describe('localized UI strings', () => {
+    const sections = [{ name: 'A', attachments: [] }];
+
+    it('keeps the French strings by default', () => {
+        const block = makeTocBlock(sections);
+        expect(block).toContain('Aller à la section:');
+        expect(block).toContain('-- Choisir une section --');
+        expect(block).toContain('id="toc-select"');
+    });
+
+    it('uses the bundled locale, with region subtags falling back to the language', () => {
+        const block = makeTocBlock(sections, { strings: getStrings('en-GB') });
+        expect(block).toContain('>Jump to section:</label>');
+        expect(getStrings('es').tocPlaceholder).toBe('-- Elegir una sección --');
+    });
+
+    it('applies and escapes string overrides', () => {
+        const block = makeTocBlock(sections, { strings: getStrings('en', { tocLabel: 'Sections <2024>' }) });
+        expect(block).toContain('>Sections &lt;2024&gt;</label>');
+        expect(block).toContain('-- Choose a section --');
+    });
+
+    it('rejects unknown locales and string keys', () => {
+        expect(() => getStrings('de')).toThrow('Unknown locale "de"');
+        expect(() => getStrings('en', { tocTitle: 'x' })).toThrow('Unknown UI string "tocTitle"');
+    });
+
+    it('gives each region its own element IDs', () => {
+        const content = makePageContent([{ name: 'Summer', attachments: [{ id: 1, url: 'u', alt: '' }] }], true, { regionId: 'en-gallery', locale: 'en' });
+        expect(content).toContain('<label for="toc-select-en-gallery"');
+        expect(content).toContain('<select id="toc-select-en-gallery"');
+        expect(content).toContain('value="#en-gallery-summer"');
+        expect(content).toContain('id="en-gallery-summer"');
+    });
+
+    it('labels the managed region in the editor', () => {
+        expect(makeManagedRegion('X', 'summer', { strings: getStrings('en') })).toContain('"name":"Drive gallery (summer)"');
+    });
 });
 
 // ---------- makeSectionContent ----------
@@ -430,3 +593,2033 @@ describe('isCacheValid', () => {
         expect(isCacheValid(cache, 'http://example.com')).toBe(true);
     });
 });
+
+
+// ---------- findMappedMedia ----------
+describe('findMappedMedia', () => {
+    const files = {
+        'drive-1': { id: 10, url: 'http://example.com/a.jpg', md5Checksum: 'aaa' },
+        'drive-2': { id: 20, url: 'http://example.com/b.jpg', md5Checksum: 'bbb' },
+    };
+
+    it('matches by Drive file ID even when renamed', () => {
+        const match = findMappedMedia(files, { id: 'drive-1', name: 'renamed.jpg', md5Checksum: 'aaa' });
+        expect(match.entry.id).toBe(10);
+        expect(match.matchedBy).toBe('fileId');
+    });
+
+    it('matches by checksum when the Drive file ID is new', () => {
+        const match = findMappedMedia(files, { id: 'drive-3', name: 'copy.jpg', md5Checksum: 'bbb' });
+        expect(match.entry.id).toBe(20);
+        expect(match.matchedBy).toBe('checksum');
+    });
+
+    it('returns null for an unknown file with the same name as a mapped one', () => {
+        expect(findMappedMedia(files, { id: 'drive-4', name: 'a.jpg', md5Checksum: 'ccc' })).toBeNull();
+    });
+
+    it('does not match by checksum when the file has none', () => {
+        expect(findMappedMedia(files, { id: 'drive-5', name: 'x.jpg' })).toBeNull();
+    });
+});
+
+// ---------- isDriveFileChanged ----------
+describe('media map', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgs-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps the map file format, one entry per site', async () => {
+        const file = path.join(dir, 'map.json');
+        const store = createFileStore(file);
+        await saveMediaMap('https://a.example', { f1: { id: 1 } }, store);
+        await saveMediaMap('https://b.example', { f2: { id: 2 } }, store);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ sites: { 'https://a.example': { f1: { id: 1 } }, 'https://b.example': { f2: { id: 2 } } } });
+        expect(await loadMediaMap('https://a.example', store)).toEqual({ f1: { id: 1 } });
+        expect(await loadMediaMap('https://c.example', store)).toEqual({});
+    });
+
+    it('merges the entries of overlapping runs', async () => {
+        const store = createFileStore(path.join(dir, 'map.json'));
+        const first = createWp('https://example.com', 'u', 'p', { mediaStore: store });
+        const second = createWp('https://example.com', 'u', 'p', { mediaStore: store });
+        await saveMediaMap('https://example.com', { f0: { id: 1 } }, store);
+        await first.loadMediaMap();
+        await second.loadMediaMap();
+
+        first.recordDriveFile({ id: 'f1', name: 'a.jpg' }, { id: 5 }, 'a.jpg', { uploaded: true });
+        await first.flushMediaMap();
+        second.recordDriveFile({ id: 'f2', name: 'b.jpg' }, { id: 6 }, 'b.jpg', { uploaded: true });
+        second.forgetDriveFile('f0');
+        await second.flushMediaMap();
+
+        expect(Object.keys(await loadMediaMap('https://example.com', store)).sort()).toEqual(['f1', 'f2']);
+        expect(second.findMediaByDriveFile({ id: 'f1', name: 'a.jpg' })).toMatchObject({ id: 5 });
+    });
+
+    it('fails loudly when an upload cannot be recorded', async () => {
+        const store = { get: async () => null, set: async () => { throw new Error('EROFS: read-only file system'); } };
+        const wp = createWp('https://example.com', 'u', 'p', { mediaStore: store });
+        await wp.loadMediaMap();
+        wp.recordDriveFile({ id: 'f1', name: 'a.jpg' }, { id: 5, source_url: 'https://example.com/a.jpg' }, 'a.jpg', { uploaded: true });
+        await expect(wp.flushMediaMap()).rejects.toThrow('Failed to save the media map: EROFS');
+    });
+
+    it('forgets a mapping only when WordPress confirms its attachment is gone', async () => {
+        const axios = require('axios');
+        const defaultAdapter = axios.defaults.adapter;
+        const cwd = process.cwd();
+        const requests = [];
+        axios.defaults.adapter = async config => {
+            requests.push(config.url);
+            if (config.url.includes('page=2')) throw new Error('socket hang up');
+            const data = config.url.startsWith('/wp/v2/media?per_page')
+                ? [{ id: 1, source_url: 'https://example.com/a.jpg' }]
+                : [{ id: 7 }];
+            return { data, status: 200, statusText: '', headers: { 'x-wp-totalpages': '2' }, config };
+        };
+        process.chdir(dir);
+        try {
+            const files = { f1: { id: 1 }, f7: { id: 7 }, f8: { id: 8 } };
+            const wp = createWp('https://example.com', 'u', 'p', { mediaStore: { get: async () => ({ 'https://example.com': files }), set: async () => {} } });
+            await wp.loadMediaCache();
+            // The listing broke off after page 1: nothing is cached for later runs
+            expect(fs.existsSync(path.join(dir, '.wp-media-cache.json'))).toBe(false);
+
+            await wp.loadMediaMap();
+            await wp.verifyMappedMedia();
+            expect(requests.slice(2)).toEqual(['/wp/v2/media']);
+            expect(wp.findMediaByDriveFile({ id: 'f7', name: 'b.jpg' })).toMatchObject({ id: 7 });
+            expect(wp.findMediaByDriveFile({ id: 'f8', name: 'c.jpg' })).toBeNull();
+            expect(wp.findMediaByDriveFile({ id: 'f1', name: 'a.jpg' })).toMatchObject({ id: 1 });
+            await wp.flushMediaMap();
+        } finally {
+            process.chdir(cwd);
+            axios.defaults.adapter = defaultAdapter;
+        }
+    });
+
+    it('keeps the attachment a new upload replaced until every target let go of it', async () => {
+        const store = { get: async () => null, set: async () => {} };
+        const wp = createWp('https://example.com', 'u', 'p', { mediaStore: store });
+        await wp.loadMediaMap();
+        const file = { id: 'f1', name: 'a.jpg' };
+        wp.recordDriveFile(file, { id: 5 }, 'a.jpg', { uploaded: true, target: 'A:1' });
+        wp.recordDriveFile(file, { id: 5 }, 'a.jpg', { target: 'A:2' });
+        wp.recordDriveFile(file, { id: 9 }, 'a.jpg', { uploaded: true, target: 'A:1' });
+
+        expect(wp.listSupersededMedia('A:1')).toEqual([{ fileId: 'f1', id: 5, filename: 'a.jpg', targets: ['A:1', 'A:2'] }]);
+        wp.releaseSupersededMedia('f1', 5, 'A:1');
+        expect(wp.listSupersededMedia('A:1')).toEqual([]);
+        expect(wp.listSupersededMedia('A:2')).toEqual([{ fileId: 'f1', id: 5, filename: 'a.jpg', targets: ['A:2'] }]);
+        wp.releaseSupersededMedia('f1', 5);
+        expect(wp.listSupersededMedia('A:2')).toEqual([]);
+        await wp.flushMediaMap();
+    });
+
+    it('refuses incremental runs on Lambda without a shared state store', async () => {
+        process.env.AWS_LAMBDA_FUNCTION_NAME = 'sync';
+        const options = { driveFolderId: 'A', wpPageId: 4, wpBaseUrl: 'https://example.com', wpUser: 'u', wpPass: 'p', snapshotLimit: 0 };
+        try {
+            await expect(syncOnce({ ...options, incremental: true })).rejects.toMatchObject({ statusCode: 503, message: expect.stringMatching(/^incremental needs/) });
+        } finally {
+            delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+        }
+    });
+});
+
+describe('isDriveFileChanged', () => {
+    it('detects a different checksum', () => {
+        expect(isDriveFileChanged({ md5Checksum: 'aaa' }, { md5Checksum: 'bbb' })).toBe(true);
+    });
+
+    it('ignores modifiedTime when checksums match', () => {
+        const entry = { md5Checksum: 'aaa', modifiedTime: '2024-01-01T00:00:00Z' };
+        const file = { md5Checksum: 'aaa', modifiedTime: '2024-02-01T00:00:00Z' };
+        expect(isDriveFileChanged(entry, file)).toBe(false);
+    });
+
+    it('falls back to modifiedTime without checksums', () => {
+        expect(isDriveFileChanged({ modifiedTime: '2024-01-01T00:00:00Z' }, { modifiedTime: '2024-02-01T00:00:00Z' })).toBe(true);
+        expect(isDriveFileChanged({ modifiedTime: '2024-01-01T00:00:00Z' }, { modifiedTime: '2024-01-01T00:00:00Z' })).toBe(false);
+    });
+
+    it('treats entries without any baseline as unchanged', () => {
+        expect(isDriveFileChanged({}, { md5Checksum: 'aaa' })).toBe(false);
+    });
+});
+
+// ---------- makeTargetKey ----------
+describe('makeTargetKey', () => {
+    it('combines folder and page IDs', () => {
+        expect(makeTargetKey('ABC123', 42)).toBe('ABC123:42');
+    });
+
+    it('distinguishes the same folder synced to different pages', () => {
+        expect(makeTargetKey('ABC123', 42)).not.toBe(makeTargetKey('ABC123', 43));
+    });
+
+    it('includes non-page post types', () => {
+        expect(makeTargetKey('ABC123', 42, 'page')).toBe('ABC123:42');
+        expect(makeTargetKey('ABC123', 42, 'portfolio')).toBe('ABC123:portfolio/42');
+    });
+});
+
+// ---------- managed region ----------
+describe('parseBlocks', () => {
+    it('returns top-level blocks with nested inner blocks', () => {
+        const content = '<!-- wp:group -->\n<div class="wp-block-group"><!-- wp:paragraph -->\n<p>Hi</p>\n<!-- /wp:paragraph --></div>\n<!-- /wp:group -->\n\n<!-- wp:spacer /-->';
+        const blocks = parseBlocks(content);
+        expect(blocks.map(b => b.name)).toEqual(['core/group', 'core/spacer']);
+        expect(blocks[0].innerBlocks.map(b => b.name)).toEqual(['core/paragraph']);
+        expect(content.slice(blocks[0].start, blocks[0].end)).toBe(blocks[0].raw);
+    });
+
+    it('parses block attributes and namespaces', () => {
+        const blocks = parseBlocks('<!-- wp:acme/card {"level":3} -->x<!-- /wp:acme/card -->');
+        expect(blocks[0].name).toBe('acme/card');
+        expect(blocks[0].attrs).toEqual({ level: 3 });
+    });
+
+    it('keeps non-block text as freeform', () => {
+        const blocks = parseBlocks('<p>Classic</p>');
+        expect(blocks).toHaveLength(1);
+        expect(blocks[0].name).toBeNull();
+    });
+
+    it('reads void blocks with braces inside attribute strings', () => {
+        const blocks = parseBlocks('<!-- wp:image {"id":5,"alt":"a } b"} /--><!-- wp:spacer /-->');
+        expect(blocks.map(b => b.name)).toEqual(['core/image', 'core/spacer']);
+        expect(blocks[0].attrs).toEqual({ id: 5, alt: 'a } b' });
+    });
+
+    it('gives up on an unterminated comment in linear time', () => {
+        const started = Date.now();
+        const blocks = parseBlocks(`<p>Before</p><!-- wp:image {${'a'.repeat(20)} `);
+        expect(Date.now() - started).toBeLessThan(500);
+        expect(blocks).toHaveLength(1);
+        expect(blocks[0].name).toBeNull();
+    });
+});
+
+describe('findManagedRegion', () => {
+    it('finds the region for the given ID, even when nested', () => {
+        const region = makeManagedRegion('X', 'summer');
+        const content = `<!-- wp:columns -->\n<div class="wp-block-columns">${region}</div>\n<!-- /wp:columns -->`;
+        const found = findManagedRegion(parseBlocks(content), 'summer');
+        expect(found.raw).toBe(region);
+    });
+
+    it('ignores regions with another ID', () => {
+        const blocks = parseBlocks(makeManagedRegion('X', 'winter'));
+        expect(findManagedRegion(blocks, 'summer')).toBeNull();
+    });
+
+    it('uses a bare placeholder group inserted by an editor', () => {
+        const content = '<!-- wp:group {"className":"drive-gallery-sync"} -->\n<div class="wp-block-group drive-gallery-sync"></div>\n<!-- /wp:group -->';
+        expect(findManagedRegion(parseBlocks(content), 'default')).not.toBeNull();
+    });
+});
+
+describe('replaceManagedRegion', () => {
+    const intro = '<!-- wp:heading -->\n<h2 class="wp-block-heading">Hand written</h2>\n<!-- /wp:heading -->';
+    const outro = '<!-- wp:paragraph -->\n<p>Outro</p>\n<!-- /wp:paragraph -->';
+
+    it('replaces only the existing region', () => {
+        const prev = `${intro}\n\n${makeManagedRegion('OLD')}\n\n${outro}`;
+        const { content, mode } = replaceManagedRegion(prev, makeManagedRegion('NEW'));
+        expect(mode).toBe('replaced');
+        expect(content).toBe(`${intro}\n\n${makeManagedRegion('NEW')}\n\n${outro}`);
+    });
+
+    it('appends a region by default and prepends on request', () => {
+        expect(replaceManagedRegion(intro, 'R').content).toBe(`${intro}\n\nR`);
+        expect(replaceManagedRegion(intro, 'R', { position: 'prepend' }).content).toBe(`R\n\n${intro}`);
+    });
+
+    it('inserts after an anchored block', () => {
+        const anchored = '<!-- wp:heading {"anchor":"photos"} -->\n<h2 id="photos" class="wp-block-heading">Photos</h2>\n<!-- /wp:heading -->';
+        const { content, mode } = replaceManagedRegion(`${anchored}\n\n${outro}`, 'R', { position: 'after:photos' });
+        expect(mode).toBe('inserted');
+        expect(content).toBe(`${anchored}\n\nR\n\n${outro}`);
+    });
+
+    it('migrates old-format output and keeps hand-written blocks', () => {
+        const sections = [{ name: 'A', attachments: [{ id: 1, url: 'http://example.com/a.jpg', alt: '' }] }];
+        const legacy = makePageContent(sections, true);
+        // Old syncs appended styles and TOC every time, so they may be duplicated
+        const prev = `${intro}\n\n${makeMasonryStyles()}\n\n${legacy}\n\n${outro}`;
+        expect(findLegacyBlocks(parseBlocks(prev)).length).toBeGreaterThan(0);
+
+        const { content, mode } = replaceManagedRegion(prev, 'R');
+        expect(mode).toBe('migrated');
+        expect(content).toBe(`${intro}\n\nR\n\n${outro}`);
+    });
+
+    it('does not treat headings without a generated gallery as legacy', () => {
+        expect(findLegacyBlocks(parseBlocks(`${intro}\n\n${outro}`))).toEqual([]);
+    });
+});
+
+// ---------- dry-run plan ----------
+describe('diffBlocks', () => {
+    const page = attachments => makeManagedRegion(makePageContent([{ name: 'Summer', attachments }], true));
+    const photo = (id, alt = '') => ({ id, url: `http://example.com/${id}.jpg`, alt });
+
+    it('reports nothing for identical content', () => {
+        const content = page([photo(1), photo(2)]);
+        const diff = diffBlocks(content, content);
+        expect(diff).toMatchObject({ added: [], removed: [], changed: [], moved: [] });
+        expect(diff.unchanged).toBe(flattenCount(content));
+    });
+
+    it('lists added, removed and changed images', () => {
+        const diff = diffBlocks(page([photo(1), photo(2), photo(3)]), page([photo(2, 'New alt'), photo(3), photo(4)]));
+        expect(diff.added).toEqual([expect.objectContaining({ block: 'core/image', id: 4, url: 'http://example.com/4.jpg' })]);
+        expect(diff.removed).toEqual([expect.objectContaining({ block: 'core/image', id: 1 })]);
+        expect(diff.changed).toEqual([{ from: expect.objectContaining({ id: 2 }), to: expect.objectContaining({ id: 2 }) }]);
+        expect(diff.moved).toEqual([]);
+    });
+
+    it('lists reordered images as moved', () => {
+        const diff = diffBlocks(page([photo(1), photo(2), photo(3)]), page([photo(2), photo(3), photo(1)]));
+        expect(diff).toMatchObject({ added: [], removed: [], changed: [], moved: [expect.objectContaining({ id: 1 })] });
+    });
+
+    it('reports a new region as added blocks and leaves the rest alone', () => {
+        const intro = '<!-- wp:paragraph -->\n<p>Hello</p>\n<!-- /wp:paragraph -->';
+        const { content } = replaceManagedRegion(intro, page([photo(1)]));
+        const diff = diffBlocks(intro, content);
+        expect(diff.unchanged).toBe(1);
+        expect(diff.removed).toEqual([]);
+        expect(diff.added.map(b => b.block)).toContain('core/gallery');
+        expect(diff.added.find(b => b.block === 'core/heading')).toMatchObject({ text: 'Summer', anchor: 'summer' });
+    });
+
+    it('falls back to a replace-all diff when the pages are too long to compare', () => {
+        // 2100 × 2100 blocks is past the LCS table cap
+        const ids = Array.from({ length: 2100 }, (_, i) => i + 1);
+        const prev = page(ids.map(id => photo(id)));
+        const next = page([...ids.slice(1).map(id => photo(id)), photo(1, 'New alt')]);
+        const diff = diffBlocks(prev, next);
+        expect(diff.added).toEqual([]);
+        expect(diff.removed).toEqual([]);
+        expect(diff.changed).toEqual([{ from: expect.objectContaining({ id: 1 }), to: expect.objectContaining({ id: 1 }) }]);
+        expect(diff.moved).toHaveLength(2099);
+    });
+
+    function flattenCount(content) {
+        const count = blocks => blocks.reduce((n, b) => n + 1 + count(b.innerBlocks), 0);
+        return count(parseBlocks(content));
+    }
+});
+
+describe('makePreviewHtml', () => {
+    it('renders the planned content with placeholders and a summary', () => {
+        const content = makeManagedRegion(makePageContent([{ name: 'Summer', attachments: [{ id: 0, url: 'drive:abc123', alt: 'Beach' }] }], true));
+        const result = {
+            postType: 'page', pageId: 42, uploadedCount: 1, reusedCount: 0, replacedCount: 0, prunedCount: 0, metadataUpdatedCount: 0, skippedCount: 0,
+            plan: { mode: 'inserted', content, diff: diffBlocks('', content), placeholders: { abc123: 'Summer-beach.jpg' } }
+        };
+        const html = makePreviewHtml(result);
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('Sync preview: page 42');
+        expect(html).toContain('<li>upload: 1</li>');
+        expect(html).toContain('added core/heading: Summer');
+        expect(html).not.toContain('drive:abc123');
+        const svg = /src="data:image\/svg\+xml;base64,([^"]+)"/.exec(html);
+        expect(Buffer.from(svg[1], 'base64').toString()).toContain('Summer-beach.jpg');
+    });
+});
+
+// ---------- state store ----------
+describe('createFileStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgs-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('stores, lists and deletes values', async () => {
+        const store = createFileStore(path.join(dir, 'state.json'));
+        expect(await store.get('sync:a')).toBeNull();
+
+        await store.set('sync:a', { token: '1' });
+        await store.set('other:b', 2);
+        expect(await store.get('sync:a')).toEqual({ token: '1' });
+        expect(await store.list('sync:')).toEqual([{ key: 'sync:a', value: { token: '1' } }]);
+
+        await store.delete('sync:a');
+        expect(await store.get('sync:a')).toBeNull();
+    });
+
+    it('persists across store instances', async () => {
+        const file = path.join(dir, 'state.json');
+        await createFileStore(file).set('k', 'v');
+        expect(await createFileStore(file).get('k')).toBe('v');
+    });
+
+    it('throws when it cannot save', async () => {
+        // A directory cannot be written as a file, like a read-only working directory on Lambda
+        await expect(createFileStore(dir).set('k', 'v')).rejects.toThrow(`Failed to save ${dir}`);
+    });
+});
+
+describe('createS3Store', () => {
+    // Just enough of @aws-sdk/client-s3 over a Map
+    const makeSdk = objects => {
+        const command = name => class { constructor(input) { this.name = name; this.input = input; } };
+        class S3Client {
+            async send({ name, input }) {
+                if (name === 'get') {
+                    if (!objects.has(input.Key)) throw Object.assign(new Error('missing'), { name: 'NoSuchKey' });
+                    return { Body: { transformToString: async () => objects.get(input.Key) } };
+                }
+                if (name === 'put') objects.set(input.Key, input.Body);
+                if (name === 'delete') objects.delete(input.Key);
+                if (name === 'list') {
+                    // Two keys per page, to go through continuation tokens
+                    const keys = [...objects.keys()].filter(k => k.startsWith(input.Prefix)).sort();
+                    const start = input.ContinuationToken ? Number(input.ContinuationToken) : 0;
+                    const end = start + 2;
+                    return { Contents: keys.slice(start, end).map(Key => ({ Key })), IsTruncated: end < keys.length, NextContinuationToken: String(end) };
+                }
+                return {};
+            }
+        }
+        return { S3Client, GetObjectCommand: command('get'), PutObjectCommand: command('put'), DeleteObjectCommand: command('delete'), ListObjectsV2Command: command('list') };
+    };
+
+    it('stores, lists and deletes values as objects', async () => {
+        const objects = new Map();
+        const store = createS3Store({ bucket: 'b', prefix: 'drive-sync/state/', sdk: makeSdk(objects) });
+        expect(store.shared).toBe(true);
+        expect(await store.get('sync:a')).toBeNull();
+        for (const key of ['sync:a', 'sync:b', 'sync:c']) await store.set(key, { key });
+        await store.set('other:d', 1);
+        expect([...objects.keys()]).toContain('drive-sync/state/sync%3Aa.json');
+        expect(await store.list('sync:')).toEqual(['a', 'b', 'c'].map(k => ({ key: `sync:${k}`, value: { key: `sync:${k}` } })));
+        await store.delete('sync:a');
+        expect(await store.get('sync:a')).toBeNull();
+    });
+});
+
+describe('getStore', () => {
+    afterEach(() => {
+        setStore('jobs', null);
+        delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+        delete process.env.JOB_STORE_FILE;
+    });
+
+    it('uses local files, which Lambda instances do not share', () => {
+        expect(getStore('jobs').shared).toBe(true);
+        process.env.AWS_LAMBDA_FUNCTION_NAME = 'sync';
+        expect(getStore('jobs').shared).toBe(false);
+        process.env.JOB_STORE_FILE = '/mnt/efs/jobs.json';
+        expect(getStore('jobs').shared).toBe(true);
+    });
+
+    it('takes a store of its own', () => {
+        const store = { get: async () => null };
+        setStore('jobs', store);
+        expect(getStore('jobs')).toBe(store);
+        expect(() => setStore('cache', store)).toThrow('Unknown store "cache"');
+    });
+});
+
+describe('makeSyncFingerprint', () => {
+    it('changes when an option affecting attachments changes', () => {
+        const base = { order: 'name_asc', usePhotosFromRoot: false, maxSize: 1024, dedupe: 'identity' };
+        expect(makeSyncFingerprint(base)).toBe(makeSyncFingerprint({ ...base }));
+        expect(makeSyncFingerprint(base)).not.toBe(makeSyncFingerprint({ ...base, maxSize: 2048 }));
+    });
+});
+
+describe('findAffectedFolders', () => {
+    const state = {
+        folders: [
+            { folderId: 'f1', name: 'One', fileIds: ['a', 'b'] },
+            { folderId: 'f2', name: 'Two', fileIds: ['c'] },
+        ],
+    };
+    const image = (id, parents, extra = {}) => ({ fileId: id, file: { id, mimeType: 'image/jpeg', parents, ...extra } });
+
+    it('marks the folder of a new or modified image', () => {
+        const { folderIds, structureChanged } = findAffectedFolders([image('new', ['f2'])], state, 'root');
+        expect([...folderIds]).toEqual(['f2']);
+        expect(structureChanged).toBe(false);
+    });
+
+    it('marks both folders when an image moves', () => {
+        const { folderIds } = findAffectedFolders([image('a', ['f2'])], state, 'root');
+        expect([...folderIds].sort()).toEqual(['f1', 'f2']);
+    });
+
+    it('marks the folder of a removed or trashed image', () => {
+        expect([...findAffectedFolders([{ fileId: 'c', removed: true }], state, 'root').folderIds]).toEqual(['f2']);
+        expect([...findAffectedFolders([image('b', ['f1'], { trashed: true })], state, 'root').folderIds]).toEqual(['f1']);
+    });
+
+    it('ignores changes elsewhere in Drive', () => {
+        const { folderIds, structureChanged } = findAffectedFolders([image('x', ['elsewhere'])], state, 'root');
+        expect(folderIds.size).toBe(0);
+        expect(structureChanged).toBe(false);
+    });
+
+    it('flags folder changes under the root as structural', () => {
+        const folder = { fileId: 'f3', file: { id: 'f3', mimeType: 'application/vnd.google-apps.folder', parents: ['root'] } };
+        expect(findAffectedFolders([folder], state, 'root').structureChanged).toBe(true);
+        expect(findAffectedFolders([{ fileId: 'f1', removed: true }], state, 'root').structureChanged).toBe(true);
+    });
+});
+
+// ---------- Drive push notifications ----------
+describe('channel tokens', () => {
+    it('round-trips the sync target', () => {
+        const token = makeChannelToken({ folderId: 'ABC123', pageId: 42 }, 'secret');
+        expect(verifyChannelToken(token, 'secret')).toEqual({ folderId: 'ABC123', pageId: 42, postType: 'page' });
+    });
+
+    it('carries non-page post types', () => {
+        const token = makeChannelToken({ folderId: 'ABC123', pageId: 7, postType: 'wp_block' }, 'secret');
+        expect(verifyChannelToken(token, 'secret').postType).toBe('wp_block');
+    });
+
+    it('fits in the 256 characters Drive allows', () => {
+        const token = makeChannelToken({ folderId: '1'.repeat(44), pageId: 123456 }, 'secret');
+        expect(token.length).toBeLessThanOrEqual(256);
+    });
+
+    it('rejects a wrong secret or a tampered target', () => {
+        const token = makeChannelToken({ folderId: 'ABC123', pageId: 42 }, 'secret');
+        expect(verifyChannelToken(token, 'other')).toBeNull();
+
+        const forged = Buffer.from(JSON.stringify({ f: 'EVIL', p: 1 })).toString('base64url');
+        expect(verifyChannelToken(`${forged}.${token.split('.')[1]}`, 'secret')).toBeNull();
+    });
+
+    it('rejects missing tokens and secrets', () => {
+        expect(verifyChannelToken(undefined, 'secret')).toBeNull();
+        expect(verifyChannelToken('abc.def', undefined)).toBeNull();
+    });
+});
+
+describe('registerDriveWatch', () => {
+    it('resolves a slug to the post ID carried by the channel token', async () => {
+        const values = {};
+        const store = { get: async k => values[k] ?? null, set: async (k, v) => { values[k] = v; } };
+        const watched = [];
+        const drive = {
+            changes: {
+                getStartPageToken: async () => ({ data: { startPageToken: '1' } }),
+                watch: async ({ requestBody }) => {
+                    watched.push(requestBody);
+                    return { data: { id: requestBody.id, resourceId: 'R', expiration: requestBody.expiration } };
+                }
+            },
+            channels: { stop: async () => {} }
+        };
+        const wp = { findPostBySlug: async (postType, slug) => ({ id: slug === 'summer' && postType === 'post' ? 17 : 0 }) };
+        const result = await registerDriveWatch({
+            folderId: 'ABC', slug: 'summer', postType: 'post', address: 'https://example.com/hook', secret: 's', ttlMs: 1000, store, drive, wp
+        });
+        expect(result.pageId).toBe(17);
+        expect(verifyChannelToken(watched[0].token, 's')).toEqual({ folderId: 'ABC', pageId: 17, postType: 'post' });
+        expect(values['channel:ABC:post/17']).toMatchObject({ id: watched[0].id });
+    });
+
+    it('needs a page ID or a slug', async () => {
+        await expect(registerDriveWatch({ folderId: 'ABC', address: 'https://example.com/hook', secret: 's' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('isDriveNotification', () => {
+    it('detects channel headers regardless of case', () => {
+        expect(isDriveNotification({ headers: { 'X-Goog-Channel-ID': 'c1' } })).toBe(true);
+        expect(isDriveNotification({ headers: { 'content-type': 'application/json' } })).toBe(false);
+        expect(isDriveNotification({})).toBe(false);
+    });
+});
+
+describe('Drive notifications', () => {
+    const memoryStore = () => {
+        const values = new Map();
+        return {
+            get: async k => values.get(k) ?? null,
+            set: async (k, v) => { values.set(k, v); },
+            delete: async k => { values.delete(k); },
+            list: async prefix => [...values].filter(([k]) => k.startsWith(prefix)).map(([key, value]) => ({ key, value }))
+        };
+    };
+    const notify = (number, channelId = 'c') => handler({
+        headers: {
+            'x-goog-channel-id': channelId,
+            'x-goog-resource-id': 'R',
+            'x-goog-resource-state': 'change',
+            'x-goog-message-number': String(number),
+            'x-goog-channel-token': makeChannelToken({ folderId: 'ABC123', pageId: 42 }, 'secret')
+        }
+    });
+    let state;
+    let jobs;
+
+    beforeEach(() => {
+        // Started jobs wait for quiet on these timers, which never run
+        vi.useFakeTimers();
+        process.env.DRIVE_WEBHOOK_SECRET = 'secret';
+        state = memoryStore();
+        jobs = memoryStore();
+        setStore('state', state);
+        setStore('jobs', jobs);
+        return state.set('channel:ABC123:42', { id: 'c', resourceId: 'R' });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        setStore('state', null);
+        setStore('jobs', null);
+        delete process.env.DRIVE_WEBHOOK_SECRET;
+        delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+    });
+
+    it('answers at once and collapses a burst into one queued job', async () => {
+        const first = await notify(1);
+        expect(first.statusCode).toBe(202);
+        const { jobId } = JSON.parse(first.body);
+        expect(await getJob(jobs, jobId)).toMatchObject({
+            status: 'queued',
+            request: { folderId: 'ABC123', pageId: 42, postType: 'page', incremental: 'true', debounce: { key: 'webhook:ABC123:42', ms: 30000 } }
+        });
+
+        vi.advanceTimersByTime(5000);
+        const second = await notify(2);
+        expect(JSON.parse(second.body)).toEqual({ ok: true, debounced: true, jobId });
+        expect(await state.get('webhook:ABC123:42')).toMatchObject({ jobId, notificationId: 'c:2', lastNotificationAt: new Date().toISOString() });
+
+        // Once the job runs, changes need a new one
+        await updateJob(jobs, jobId, { status: 'running' });
+        const third = JSON.parse((await notify(3)).body);
+        expect(third.jobId).not.toBe(jobId);
+        expect(third.debounced).toBeUndefined();
+    });
+
+    it('ignores notifications of a channel that is not the registered one', async () => {
+        // e.g. the channel replaced by the last renewal, still notifying until it expires
+        const response = await notify(1, 'old');
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toEqual({ ok: true, ignored: 'channel' });
+        await state.set('channel:ABC123:42', { id: 'old', resourceId: 'other' });
+        expect(JSON.parse((await notify(2, 'old')).body).ignored).toBe('channel');
+        expect(await jobs.list('')).toEqual([]);
+        expect(await state.get('webhook:ABC123:42')).toBeNull();
+    });
+
+    it('refuses notifications without stores shared between invocations', async () => {
+        setStore('state', null);
+        process.env.AWS_LAMBDA_FUNCTION_NAME = 'sync';
+        const response = await notify(1);
+        expect(response.statusCode).toBe(503);
+    });
+
+    it('waits until no notification came for the quiet period', async () => {
+        await state.set('webhook:t', { lastNotificationAt: new Date().toISOString() });
+        let done = false;
+        const waiting = waitForQuiet(state, 'webhook:t', 1000).then(() => { done = true; });
+        await vi.advanceTimersByTimeAsync(600);
+        await state.set('webhook:t', { lastNotificationAt: new Date().toISOString() });
+        await vi.advanceTimersByTimeAsync(600);
+        expect(done).toBe(false);
+        await vi.advanceTimersByTimeAsync(500);
+        await waiting;
+        expect(done).toBe(true);
+    });
+});
+
+// ---------- readSyncOptions ----------
+describe('readSyncOptions', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+    });
+
+    it('prefers query string over body over environment', () => {
+        process.env.GOOGLE_DRIVE_FOLDER_ID = 'env-folder';
+        process.env.ORDER = 'modified_desc';
+        const options = readSyncOptions({ folderId: 'qs-folder' }, { folderId: 'body-folder', pageId: 7 });
+        expect(options.driveFolderId).toBe('qs-folder');
+        expect(options.wpPageId).toBe(7);
+        expect(options.order).toBe('modified_desc');
+    });
+
+    it('reads the post type and slug', () => {
+        const options = readSyncOptions({ postType: 'portfolio', slug: 'summer-shoot' }, {});
+        expect(options.postType).toBe('portfolio');
+        expect(options.slug).toBe('summer-shoot');
+    });
+
+    it('reads layout parameters per breakpoint', () => {
+        const options = readSyncOptions(
+            { layout: 'masonry', columnsMobile: '2' },
+            { columns: 4, layoutParams: { gap: 4 }, crop: 'false' }
+        );
+        expect(options.layout).toBe('masonry');
+        expect(options.layoutParams).toEqual({ gap: 4, columns: { desktop: 4, mobile: 2 }, crop: false });
+    });
+
+    it('parses a custom layout passed as JSON by the operator', () => {
+        const options = readSyncOptions({ layout: '{"className":"my-grid","css":"{selector} { gap: {gap}px; }"}' }, {}, { trusted: true });
+        expect(options.layout).toEqual({ className: 'my-grid', css: '{selector} { gap: {gap}px; }' });
+    });
+
+    it('reads the locale and string overrides', () => {
+        const options = readSyncOptions({ locale: 'es', strings: '{"tocLabel":"Secciones"}' }, {});
+        expect(options.locale).toBe('es');
+        expect(options.strings).toEqual({ tocLabel: 'Secciones' });
+    });
+
+    it('applies defaults', () => {
+        const options = readSyncOptions({}, {});
+        expect(options.postType).toBe('page');
+        expect(options.makeSections).toBe(true);
+        expect(options.dedupe).toBe('identity');
+        expect(options.maxSize).toBe(1024);
+    });
+
+    it('reads checkpoint options', () => {
+        expect(readSyncOptions({ continuationToken: 'abc', timeBudgetMs: '240000' }, { partialWrites: true })).toMatchObject({
+            continuationToken: 'abc',
+            timeBudgetMs: 240000,
+            partialWrites: true,
+            selfInvoke: false
+        });
+    });
+
+    it('reads per-stage concurrency limits', () => {
+        expect(readSyncOptions({ uploadConcurrency: '1' }, { downloadConcurrency: 8 })).toMatchObject({
+            downloadConcurrency: 8,
+            processConcurrency: 2,
+            uploadConcurrency: 1
+        });
+    });
+
+    it('accepts aliases and boolean spellings', () => {
+        expect(readSyncOptions({ dryRun: 'yes' }, { driveFolderId: 'A', wpPageId: '7', recursive: 1 })).toMatchObject({
+            driveFolderId: 'A',
+            wpPageId: 7,
+            dryRun: true,
+            recursive: true
+        });
+    });
+
+    it('reports every bad value at once', () => {
+        let error;
+        try {
+            readSyncOptions({ pageId: 'abc', order: 'random', dryRun: 'maybe' }, { quality: 0, strings: '{bad' });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.statusCode).toBe(400);
+        expect(error.errors).toEqual([
+            'pageId must be an integer',
+            'order must be one of: name_asc, name_desc, modified_desc, modified_asc',
+            expect.stringMatching(/^Invalid strings JSON/),
+            'quality must be from 1 to 100',
+            'dryRun must be true or false'
+        ]);
+        expect(error.message).toBe(error.errors.join('; '));
+    });
+
+    it('names the environment variable of a bad value', () => {
+        process.env.WP_PAGE_ID = '12a';
+        process.env.GALLERY_COLUMNS = '0';
+        expect(() => readSyncOptions({}, {})).toThrow('WP_PAGE_ID must be an integer; GALLERY_COLUMNS must be at least 1');
+        expect(readSyncOptions({ pageId: '12' }, { columns: 2 })).toMatchObject({ wpPageId: 12, layoutParams: { columns: { desktop: 2 } } });
+    });
+
+    it('checks layouts, locales and watermarks', () => {
+        expect(() => readSyncOptions({ layout: 'mosaic', locale: 'de' }, { watermark: { text: 'a', image: 'drive:b' } })).toThrow(expect.objectContaining({
+            errors: [
+                expect.stringMatching(/^Unknown layout "mosaic"/),
+                expect.stringMatching(/^Unknown locale "de"/),
+                'watermark takes either text or image, not both'
+            ]
+        }));
+    });
+
+    it('takes local watermark images only from the environment or a job config', () => {
+        expect(() => readSyncOptions({ watermarkImage: '/etc/passwd' }, {})).toThrow(expect.objectContaining({
+            errors: [expect.stringMatching(/^watermarkImage must be drive:<fileId>/)]
+        }));
+        expect(() => readSyncOptions({}, { watermark: { image: '../secret.png' } })).toThrow(expect.objectContaining({
+            errors: [expect.stringMatching(/^watermark must be drive:<fileId>/)]
+        }));
+        expect(() => resolveJobTargets([{ folderId: 'A', watermarkImage: 'logo.png' }], {}, {}, { trusted: false })).toThrow(/must be drive:<fileId>/);
+        expect(readSyncOptions({ watermarkImage: 'drive:logo' }, {}).watermark).toMatchObject({ image: 'drive:logo' });
+        expect(resolveJobTargets([{ folderId: 'A', watermarkImage: 'logo.png' }])[0].options.watermark).toMatchObject({ image: 'logo.png' });
+        process.env.WATERMARK_IMAGE = 'logo.png';
+        try {
+            expect(readSyncOptions({}, {}).watermark).toMatchObject({ image: 'logo.png' });
+        } finally {
+            delete process.env.WATERMARK_IMAGE;
+        }
+    });
+
+    it('requires a folder, a post and credentials for a sync', () => {
+        expect(() => readSyncOptions({}, {}, { required: true })).toThrow(expect.objectContaining({
+            errors: ['folderId is required', 'pageId or slug is required', 'wpBaseUrl, wpUser and wpPass are required']
+        }));
+        expect(readSyncOptions({}, {}).wpPageId).toBeNull();
+    });
+});
+
+describe('makeOptionsTable', () => {
+    it('lists request parameters with their environment variable and default', () => {
+        const table = makeOptionsTable();
+        expect(table).toContain('| `order` | `ORDER` | `name_asc`, `name_desc`, `modified_desc`, `modified_asc` | `name_asc` |');
+        expect(table).toContain('| `pageId` | `WP_PAGE_ID` | integer | - |');
+        expect(table).toContain('`{title} \\| {headline} \\| {caption}`');
+        expect(table).not.toContain('PREVIEW_FILE');
+    });
+
+    it('matches the README', () => {
+        const readme = fs.readFileSync(path.join(__dirname, 'readme.md'), 'utf8');
+        const [, table] = readme.match(/<!-- options:start -->\n([\s\S]*?)\n<!-- options:end -->/);
+        expect(table).toBe(makeOptionsTable());
+    });
+});
+
+// ---------- multi-target jobs ----------
+describe('loadJobConfig', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgs-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reads defaults and targets', () => {
+        const file = path.join(dir, 'jobs.json');
+        fs.writeFileSync(file, JSON.stringify({ defaults: { order: 'name_desc' }, targets: [{ folderId: 'A', pageId: 1 }] }));
+        expect(loadJobConfig(file)).toEqual({ defaults: { order: 'name_desc' }, targets: [{ folderId: 'A', pageId: 1 }] });
+    });
+
+    it('accepts a bare array of targets', () => {
+        const file = path.join(dir, 'jobs.json');
+        fs.writeFileSync(file, JSON.stringify([{ folderId: 'A', pageId: 1 }]));
+        expect(loadJobConfig(file).targets).toHaveLength(1);
+    });
+
+    it('reports unreadable files', () => {
+        expect(() => loadJobConfig(path.join(dir, 'missing.json'))).toThrow(/Failed to read job config/);
+    });
+});
+
+describe('resolveJobTargets', () => {
+    it('applies target > request overrides > defaults precedence', () => {
+        const targets = resolveJobTargets(
+            [
+                { name: 'summer', folderId: 'A', pageId: 1, order: 'modified_desc' },
+                { folderId: 'B', pageId: '2' },
+            ],
+            { order: 'name_desc', maxSize: 2048 },
+            { dryRun: 'true' }
+        );
+        expect(targets[0].name).toBe('summer');
+        expect(targets[0].options.order).toBe('modified_desc');
+        expect(targets[0].options.dryRun).toBe(true);
+        expect(targets[1].name).toBe('B:2');
+        expect(targets[1].options.order).toBe('name_desc');
+        expect(targets[1].options.maxSize).toBe(2048);
+        expect(targets[1].options.wpPageId).toBe(2);
+    });
+
+    it('rejects an empty target list', () => {
+        expect(() => resolveJobTargets([])).toThrow(/no targets/);
+    });
+
+    it('reports the bad options of every target', () => {
+        expect(() => resolveJobTargets([{ name: 'summer', folderId: 'A', order: 'oldest' }, { folderId: 'B', maxSize: 'big' }])).toThrow(expect.objectContaining({
+            statusCode: 400,
+            errors: ['target "summer": order must be one of: name_asc, name_desc, modified_desc, modified_asc', 'target 1: maxSize must be an integer']
+        }));
+    });
+});
+
+// ---------- nested folders ----------
+// ---------- authentication ----------
+describe('authentication', () => {
+    const originalEnv = process.env;
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    const timestamp = String(now / 1000);
+    const request = (headers, extra = {}) => ({
+        headers,
+        rawPath: '/',
+        rawQueryString: 'folderId=ABC&pageId=42',
+        requestContext: { http: { method: 'POST' } },
+        body: '{"order":"name_desc"}',
+        ...extra
+    });
+    const signed = (ts, secret = 'hmac-secret') => request({
+        'X-Sync-Timestamp': ts,
+        'X-Sync-Signature': signRequest({ timestamp: ts, method: 'POST', path: '/', query: 'folderId=ABC&pageId=42', body: '{"order":"name_desc"}' }, secret)
+    });
+
+    beforeEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+    });
+
+    it('accepts the bearer token and rejects others', () => {
+        const auth = { token: 's3cret' };
+        expect(authenticateRequest(request({ Authorization: 'Bearer s3cret' }), auth)).toBe('bearer');
+        expect(() => authenticateRequest(request({ Authorization: 'Bearer nope' }), auth)).toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(() => authenticateRequest(request({}), auth)).toThrow(expect.objectContaining({ statusCode: 401 }));
+        expect(authenticateRequest(request({}), {})).toBe('none');
+    });
+
+    it('accepts signed requests within the time window only', () => {
+        const auth = { hmacSecret: 'hmac-secret', now };
+        expect(authenticateRequest(signed(timestamp), auth)).toBe('hmac');
+        expect(() => authenticateRequest(signed(timestamp, 'other'), auth)).toThrow('Invalid request signature');
+        const old = String(now / 1000 - 600);
+        expect(() => authenticateRequest(signed(old), auth)).toThrow('outside the allowed window');
+        // Same signature, different body
+        expect(() => authenticateRequest({ ...signed(timestamp), body: '{"order":"name_asc"}' }, auth)).toThrow('Invalid request signature');
+    });
+
+    it('finds credentials supplied in the request', () => {
+        expect(findRequestCredentials({ wpPass: 'x' }, { targets: [{ folderId: 'A', wpUser: 'u' }] }))
+            .toEqual(['wpPass', 'targets[0].wpUser']);
+        expect(findRequestCredentials({ folderId: 'A' }, {})).toEqual([]);
+        // The configured site is not a credential
+        expect(findRequestCredentials({ wpBaseUrl: 'https://example.com/' }, {}, 'https://example.com')).toEqual([]);
+        expect(findRequestCredentials({ wpBaseUrl: 'https://other.example' }, {}, 'https://example.com')).toEqual(['wpBaseUrl']);
+    });
+
+    it('finds base URLs that would receive the configured credentials', () => {
+        const site = 'https://example.com';
+        expect(findForeignBaseUrls({ wpBaseUrl: 'https://evil.example' }, {}, site)).toEqual(['wpBaseUrl']);
+        expect(findForeignBaseUrls({ wpBaseUrl: 'https://EXAMPLE.com/' }, {}, site)).toEqual([]);
+        expect(findForeignBaseUrls({}, { wpBaseUrl: 'https://other.example', wpUser: 'u', wpPass: 'p' }, site)).toEqual([]);
+        expect(findForeignBaseUrls({}, {
+            wpUser: 'u',
+            targets: [{ wpBaseUrl: 'https://a.example', wpPass: 'p' }, { wpBaseUrl: 'https://b.example' }]
+        }, site)).toEqual(['targets[1].wpBaseUrl']);
+        expect(findForeignBaseUrls({ wpBaseUrl: site }, {}, null)).toEqual(['wpBaseUrl']);
+    });
+
+    it('answers unauthorized calls before any sync work', async () => {
+        process.env.AUTH_TOKEN = 's3cret';
+        const response = await handler(request({}));
+        expect(response.statusCode).toBe(401);
+        expect(response.headers['www-authenticate']).toBe('Bearer');
+
+        process.env.ALLOW_REQUEST_CREDENTIALS = 'false';
+        const refused = await handler(request({ authorization: 'Bearer s3cret' }, { queryStringParameters: { wpPass: 'x' } }));
+        expect(refused.statusCode).toBe(403);
+        expect(JSON.parse(refused.body).error).toContain('wpPass');
+    });
+
+    it('refuses to send the configured credentials to a site named in the request', async () => {
+        process.env.WP_BASE_URL = 'https://example.com';
+        const response = await handler(request({}, { queryStringParameters: { wpBaseUrl: 'https://evil.example' } }));
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.body).error).toContain('wpBaseUrl');
+
+        // Even with request credentials refused, naming the configured site is harmless
+        process.env.ALLOW_REQUEST_CREDENTIALS = 'false';
+        const refused = await handler(request({}, { queryStringParameters: { wpBaseUrl: 'https://evil.example' } }));
+        expect(refused.statusCode).toBe(403);
+        const same = await handler(request({}, { queryStringParameters: { wpBaseUrl: 'https://example.com', action: 'nope' } }));
+        expect(same.statusCode).toBe(400);
+    });
+});
+
+// ---------- routing ----------
+describe('routing', () => {
+    it('routes on method and path', () => {
+        expect(matchRoute('POST', '/sync')).toEqual({ action: 'sync', params: {} });
+        expect(matchRoute('get', '/plan/')).toEqual({ action: 'plan', params: {} });
+        expect(matchRoute('GET', '/jobs/4f0c%2Da')).toEqual({ action: 'status', params: { jobId: '4f0c-a' } });
+        expect(matchRoute('GET', '/')).toBeNull();
+    });
+
+    it('answers unknown paths with 404 and wrong methods with 405', () => {
+        expect(() => matchRoute('GET', '/nope')).toThrow(expect.objectContaining({ statusCode: 404 }));
+        expect(() => matchRoute('PUT', '/sync')).toThrow(expect.objectContaining({ statusCode: 405, headers: { allow: 'POST, GET' } }));
+    });
+
+    it('maps errors to status codes', () => {
+        const upstream = (status, code) => Object.assign(new Error('x'), status ? { response: { status } } : { code });
+        expect(errorStatus(Object.assign(new Error('bad'), { statusCode: 400 }))).toBe(400);
+        expect(errorStatus(upstream(401))).toBe(401);
+        expect(errorStatus(upstream(503))).toBe(502);
+        expect(errorStatus(upstream(null, 'ECONNREFUSED'))).toBe(502);
+        expect(errorStatus(new Error('bug'))).toBe(500);
+    });
+
+    it('treats only rejected grants and unusable keys as Drive credential failures', () => {
+        const grant = error => Object.assign(new Error(error), { response: { status: 400, data: { error } } });
+        expect(isRejectedCredential(grant('invalid_grant'))).toBe(true);
+        expect(isRejectedCredential(Object.assign(new Error('unsupported'), { code: 'ERR_OSSL_UNSUPPORTED' }))).toBe(true);
+        expect(isRejectedCredential(new Error('No key or keyFile set.'))).toBe(true);
+        expect(isRejectedCredential(Object.assign(new Error('getaddrinfo ENOTFOUND oauth2.googleapis.com'), { code: 'ENOTFOUND' }))).toBe(false);
+        expect(isRejectedCredential(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))).toBe(false);
+        expect(isRejectedCredential(Object.assign(new Error('unavailable'), { response: { status: 503, data: {} } }))).toBe(false);
+    });
+
+    it('answers bad options with 400 before touching Drive', async () => {
+        const response = await handler({
+            headers: { 'content-type': 'application/json' },
+            rawPath: '/sync',
+            requestContext: { http: { method: 'POST' } },
+            body: JSON.stringify({ folderId: 'A', pageId: 1, wpBaseUrl: 'https://example.com', wpUser: 'u', wpPass: 'p', dedupe: 'never' })
+        });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).error).toBe('dedupe must be one of: identity, filename');
+        expect(JSON.parse(response.body).errors).toEqual(['dedupe must be one of: identity, filename']);
+    });
+});
+
+// ---------- async jobs ----------
+describe('submit', () => {
+    const submit = () => handler({
+        headers: { 'content-type': 'application/json' },
+        rawPath: '/jobs',
+        requestContext: { http: { method: 'POST' } },
+        body: JSON.stringify({ folderId: 'A', pageId: 1, wpBaseUrl: 'https://example.com', wpUser: 'u', wpPass: 'p' })
+    });
+
+    afterEach(() => {
+        setStore('jobs', null);
+        delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+    });
+
+    it('refuses jobs whose record other invocations could not read', async () => {
+        process.env.AWS_LAMBDA_FUNCTION_NAME = 'sync';
+        const response = await submit();
+        expect(response.statusCode).toBe(503);
+        expect(JSON.parse(response.body).error).toMatch(/^submit needs a store shared between invocations/);
+    });
+
+    it('fails when the job record cannot be saved', async () => {
+        setStore('jobs', { get: async () => null, set: async () => { throw new Error('AccessDenied'); } });
+        const response = await submit();
+        expect(response.statusCode).toBe(500);
+        expect(JSON.parse(response.body).error).toBe('AccessDenied');
+    });
+});
+
+describe('async jobs', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgs-'));
+        store = createFileStore(path.join(dir, 'jobs.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('creates queued jobs without credentials', async () => {
+        const job = await createJob(store, { folderId: 'A', pageId: 1, wpPass: 'secret', targets: [{ folderId: 'B', wpPass: 'x' }] });
+        expect(job.status).toBe('queued');
+        expect((await getJob(store, job.id)).request).toEqual({ folderId: 'A', pageId: 1, targets: [{ folderId: 'B' }] });
+        expect(await getJob(store, 'unknown')).toBeNull();
+    });
+
+    it('records progress, errors and the final result', async () => {
+        const { id } = await createJob(store, {});
+        const { job } = await runJob(store, id, async onProgress => {
+            onProgress({ phase: 'processing', foldersDone: 1, foldersTotal: 2, errors: [{ filename: 'a.jpg', error: 'corrupt' }] });
+            expect((await getJob(store, id)).status).toBe('running');
+            return { ok: true, result: { uploadedCount: 3 } };
+        });
+        expect(job).toMatchObject({
+            status: 'succeeded',
+            phase: 'done',
+            progress: { foldersDone: 1, foldersTotal: 2 },
+            errors: [{ filename: 'a.jpg', error: 'corrupt' }],
+            result: { uploadedCount: 3 }
+        });
+        expect(job.finishedAt).toBeTruthy();
+    });
+
+    it('reports failures and continuations', async () => {
+        const failed = await createJob(store, {});
+        const { job } = await runJob(store, failed.id, async () => { throw new Error('WP credentials/baseUrl required'); });
+        expect(job).toMatchObject({ status: 'failed', error: 'WP credentials/baseUrl required' });
+
+        const partial = await createJob(store, {});
+        const outcome = await runJob(store, partial.id, async () => ({ ok: true, result: { complete: false, continuationToken: 'abc' } }));
+        expect(outcome.continuation).toEqual({ continuationToken: 'abc' });
+        expect(outcome.job).toMatchObject({ status: 'running', phase: 'continuing', finishedAt: null });
+    });
+
+    it('continues the targets of a multi-target run that did not finish', async () => {
+        const target = (name, continuationToken = null) => ({ name, ok: true, result: { complete: !continuationToken, continuationToken } });
+        const targets = (...list) => ({ targetsCount: list.length, okCount: list.length, failedCount: 0, targets: list });
+        const { id } = await createJob(store, {});
+
+        const first = await runJob(store, id, async () => ({ ok: true, result: targets(target('a'), target('b', 'tb'), target('c', 'tc')) }));
+        expect(first.continuation).toEqual({ continuationTokens: { b: 'tb', c: 'tc' } });
+        expect(first.job).toMatchObject({ status: 'running', phase: 'continuing' });
+
+        const second = await runJob(store, id, async () => ({ ok: true, result: targets(target('b'), target('c', 'tc2')) }));
+        expect(second.continuation).toEqual({ continuationTokens: { c: 'tc2' } });
+
+        const last = await runJob(store, id, async () => ({ ok: true, result: targets(target('c')) }));
+        expect(last.continuation).toBeNull();
+        expect(last.job.status).toBe('succeeded');
+        expect(last.job.result.targets.map(t => [t.name, t.result.complete])).toEqual([['a', true], ['b', true], ['c', true]]);
+    });
+});
+describe('snapshots', () => {
+    const site = { wpBaseUrl: 'https://example.com', wpUser: 'u', wpPass: 'p' };
+    const image = id => `<!-- wp:image {"id":${id}} -->\n<figure class="wp-block-image"><img src="https://example.com/${id}.jpg" class="wp-image-${id}"/></figure>\n<!-- /wp:image -->`;
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgs-'));
+        store = createFileStore(path.join(dir, 'snapshots.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function fakeWp(content, { revisions = {}, media = [] } = {}) {
+        const wp = {
+            content,
+            patched: [],
+            getPost: async () => ({ content: { raw: wp.content } }),
+            patchPostContent: async (postType, id, next) => { wp.patched.push(next); wp.content = next; },
+            getLatestRevision: async () => ({ id: 7 }),
+            getRevision: async (postType, id, revisionId) => ({ id: revisionId, content: { raw: revisions[revisionId] } }),
+            getMediaText: async ids => new Map(ids.filter(id => media.includes(id)).map(id => [id, {}]))
+        };
+        return wp;
+    }
+
+    it('lists attachment IDs of nested image blocks once', () => {
+        const content = `<!-- wp:gallery -->\n<figure>${image(3)}${image(1)}${image(3)}</figure>\n<!-- /wp:gallery -->`;
+        expect(extractAttachmentIds(content)).toEqual([3, 1]);
+    });
+
+    it('keeps the newest snapshots of a post, newest first and without content', async () => {
+        const post = { ...site, postType: 'page', postId: 4 };
+        for (const content of ['one', 'two', 'three']) {
+            await saveSnapshot(store, { ...post, content, reason: 'sync', options: { driveFolderId: 'A', wpPass: 'secret' } }, { limit: 2 });
+        }
+        await saveSnapshot(store, { ...post, postId: 42, content: 'other', reason: 'sync' });
+        const list = await listSnapshots(store, post);
+        expect(list.map(s => s.contentLength)).toEqual([5, 3]);
+        expect(list[0]).toMatchObject({ reason: 'sync', postId: 4, options: { driveFolderId: 'A' }, attachmentIds: [] });
+        expect(list[0]).not.toHaveProperty('content');
+        expect(list[0].options).not.toHaveProperty('wpPass');
+    });
+
+    it('restores a snapshot and snapshots the content it replaces', async () => {
+        const saved = await saveSnapshot(store, { ...site, postType: 'page', postId: 4, content: image(5), reason: 'sync' });
+        const wp = fakeWp('wiped', { media: [] });
+        const result = await rollbackPost({ ...site, wpPageId: 4, snapshotId: saved.id, snapshotStore: store, wp });
+        expect(wp.content).toBe(image(5));
+        expect(result).toMatchObject({ updated: true, restoredFrom: { snapshotId: saved.id, revisionId: null }, missingAttachmentIds: [5] });
+        const backup = await getSnapshot(store, { ...site, postType: 'page', postId: 4, id: result.snapshotId });
+        expect(backup).toMatchObject({ reason: 'rollback', content: 'wiped', revisionId: 7 });
+    });
+
+    it('restores the revision recorded with a snapshot', async () => {
+        const saved = await saveSnapshot(store, { ...site, postType: 'page', postId: 4, content: 'old', revision: { id: 9 }, reason: 'sync' });
+        const wp = fakeWp('current', { revisions: { 9: 'from revision' } });
+        const result = await rollbackPost({ ...site, wpPageId: 4, snapshotId: saved.id, fromRevision: true, snapshotStore: store, wp });
+        expect(wp.content).toBe('from revision');
+        expect(result.restoredFrom).toEqual({ snapshotId: saved.id, revisionId: 9 });
+    });
+
+    it('changes nothing on a dry run and rejects unknown or ambiguous sources', async () => {
+        const saved = await saveSnapshot(store, { ...site, postType: 'page', postId: 4, content: 'old', reason: 'sync' });
+        const wp = fakeWp('current');
+        expect(await rollbackPost({ ...site, wpPageId: 4, snapshotId: saved.id, dryRun: true, snapshotStore: store, wp })).toMatchObject({ updated: false, unchanged: false });
+        expect(wp.patched).toEqual([]);
+        await expect(rollbackPost({ ...site, wpPageId: 4, snapshotId: 'nope', snapshotStore: store, wp })).rejects.toMatchObject({ statusCode: 404 });
+        await expect(rollbackPost({ ...site, wpPageId: 4, snapshotId: saved.id, revisionId: 3, snapshotStore: store, wp })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(rollbackPost({ ...site, wpPageId: 4, snapshotId: saved.id, fromRevision: true, snapshotStore: store, wp })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('leaves the post alone when the snapshot cannot be saved', async () => {
+        const saved = await saveSnapshot(store, { ...site, postType: 'page', postId: 4, content: 'old', reason: 'sync' });
+        const readOnly = { ...store, set: async () => { throw new Error('Failed to save snapshots.json: EROFS'); } };
+        const wp = fakeWp('current');
+        await expect(rollbackPost({ ...site, wpPageId: 4, snapshotId: saved.id, snapshotStore: readOnly, wp })).rejects.toThrow('EROFS');
+        expect(wp.patched).toEqual([]);
+    });
+
+    it('refuses continuations without a store other invocations could read', async () => {
+        const local = createFileStore(path.join(dir, 'state.json'), { shared: false });
+        const options = { ...site, driveFolderId: 'A', wpPageId: 4, stateStore: local, snapshotStore: store };
+        await expect(syncOnce({ ...options, continuationToken: 'abc' })).rejects.toMatchObject({ statusCode: 503, message: expect.stringMatching(/^continuationToken needs a store shared/) });
+        await expect(syncOnce({ ...options, selfInvoke: true })).rejects.toMatchObject({ statusCode: 503, message: expect.stringMatching(/^selfInvoke needs a store shared/) });
+    });
+
+    it('refuses to roll back without a store other invocations could read', async () => {
+        process.env.AWS_LAMBDA_FUNCTION_NAME = 'sync';
+        try {
+            await expect(rollbackPost({ ...site, wpPageId: 4, snapshotId: 'x', wp: fakeWp('current') })).rejects.toMatchObject({ statusCode: 503 });
+        } finally {
+            delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+        }
+    });
+});
+
+
+describe('listFolderTree', () => {
+    const FOLDER = 'application/vnd.google-apps.folder';
+    const SHORTCUT = 'application/vnd.google-apps.shortcut';
+    const children = {
+        root: [{ id: 'y2024', name: '2024', mimeType: FOLDER }],
+        y2024: [{ id: 'summer', name: 'Summer', mimeType: FOLDER }],
+        summer: [
+            { id: 'day1', name: 'Day 1', mimeType: FOLDER },
+            // Shortcut back up the tree
+            { id: 'sc', name: 'Back to 2024', mimeType: SHORTCUT, shortcutDetails: { targetId: 'y2024', targetMimeType: FOLDER } },
+        ],
+        day1: [],
+    };
+    const fakeDrive = {
+        files: {
+            list: async ({ q }) => ({ data: { files: children[/'([^']+)' in parents/.exec(q)[1]] || [] } }),
+        },
+    };
+
+    it('walks nested folders depth-first with paths', async () => {
+        const tree = await listFolderTree(fakeDrive, 'root');
+        expect(tree.map(f => [f.path.join('/'), f.depth])).toEqual([
+            ['2024', 1],
+            ['2024/Summer', 2],
+            ['2024/Summer/Day 1', 3],
+        ]);
+        expect(tree[2].parentId).toBe('summer');
+    });
+
+    it('stops at maxDepth', async () => {
+        const tree = await listFolderTree(fakeDrive, 'root', { maxDepth: 2 });
+        expect(tree.map(f => f.name)).toEqual(['2024', 'Summer']);
+    });
+});
+
+describe('groupSections', () => {
+    const folders = [
+        { id: 'y', name: '2024', depth: 1, path: ['2024'], parentId: 'root' },
+        { id: 's', name: 'Summer', depth: 2, path: ['2024', 'Summer'], parentId: 'y' },
+        { id: 'd1', name: 'Day 1', depth: 3, path: ['2024', 'Summer', 'Day 1'], parentId: 's' },
+        { id: 'w', name: 'Winter', depth: 2, path: ['2024', 'Winter'], parentId: 'y' },
+    ];
+    const img = id => ({ id, url: `http://example.com/${id}.jpg`, alt: '' });
+    const attachments = new Map([['s', [img(1)]], ['d1', [img(2), img(3)]]]);
+
+    it('keeps image-less parents as headings and drops empty leaves', () => {
+        const sections = groupSections(folders, attachments);
+        expect(sections.map(s => [s.name, s.depth, s.attachments.length])).toEqual([
+            ['2024', 1, 0],
+            ['Summer', 2, 1],
+            ['Day 1', 3, 2],
+        ]);
+        expect(sections[2].anchor).toBe('2024-summer-day-1');
+    });
+
+    it('flattens deeper folders into their ancestor', () => {
+        const sections = groupSections(folders, attachments, { flattenDepth: 2 });
+        expect(sections.map(s => [s.name, s.attachments.map(a => a.id)])).toEqual([
+            ['2024', []],
+            ['Summer', [1, 2, 3]],
+        ]);
+    });
+
+    it('keeps the one-level anchors of the flat layout', () => {
+        const flat = [{ id: 'a', name: 'Section One', depth: 1, path: ['Section One'], parentId: 'root' }];
+        expect(groupSections(flat, new Map([['a', [img(1)]]]))[0].anchor).toBe('section-one');
+    });
+});
+
+describe('nested section rendering', () => {
+    const sections = [
+        { name: '2024', depth: 1, anchor: '2024', attachments: [] },
+        { name: 'Summer', depth: 2, anchor: '2024-summer', attachments: [{ id: 1, url: 'http://example.com/1.jpg', alt: '' }] },
+    ];
+
+    it('maps depth to heading levels and renders parents without a gallery', () => {
+        const content = makeSectionContent(sections);
+        expect(content).toContain('<h2 id="2024"');
+        expect(content).toContain('<h3 id="2024-summer"');
+        expect(content.match(/<!-- wp:gallery/g)).toHaveLength(1);
+    });
+
+    it('indents nested entries in the table of contents', () => {
+        const toc = makeTocBlock(sections);
+        expect(toc).toContain('<option value="#2024">2024</option>');
+        expect(toc).toContain('<option value="#2024-summer">&nbsp;&nbsp;&nbsp;Summer</option>');
+    });
+});
+
+// ---------- gallery layouts ----------
+describe('gallery layouts', () => {
+    const attachments = [{ id: 1, url: 'http://example.com/img1.jpg', alt: '' }];
+    const sections = [{ name: 'A', attachments }];
+
+    it('keeps the original grid output by default', () => {
+        const content = makePageContent(sections, false);
+        expect(content.startsWith(makeMasonryStyles())).toBe(true);
+        expect(makeMasonryStyles()).toContain('flex: 0 0 calc(33.333% - 7px);');
+        expect(makeMasonryStyles()).toContain('flex: 0 0 calc(50% - 5px);');
+    });
+
+    it('writes gallery markup matching the block attributes', () => {
+        // imageCrop defaults to true in the gallery block, so is-cropped must follow it
+        const uncropped = makeGalleryBlock(attachments);
+        expect(uncropped).toContain('"imageCrop":false');
+        expect(uncropped).not.toContain('is-cropped');
+
+        const native = makePageContent(sections, false, { layout: 'columns', layoutParams: { columns: 4 } });
+        expect(native).not.toContain('<style>');
+        expect(native).toContain('"columns":4');
+        expect(native).toContain('class="wp-block-gallery has-nested-images columns-4 is-cropped"');
+    });
+
+    it('renders each built-in layout with its own class', () => {
+        for (const [layout, className] of [['justified', 'dgs-justified'], ['masonry', 'dgs-masonry'], ['carousel', 'dgs-carousel']]) {
+            const content = makePageContent(sections, false, { layout });
+            expect(content).toContain(`.${className}.wp-block-gallery`);
+            expect(content).toContain(`"className":"${className}"`);
+        }
+    });
+
+    it('applies per-breakpoint parameters', () => {
+        const { css } = resolveGalleryLayout('masonry', { columns: { desktop: 5, mobile: 2 }, gap: 6 });
+        expect(css).toContain('column-count: 5;');
+        expect(css).toContain('column-count: 2;');
+        expect(css).toContain('column-gap: 6px;');
+    });
+
+    it('scopes the CSS to the managed region', () => {
+        const content = makePageContent(sections, false, { regionId: 'summer' });
+        expect(content).toContain('.drive-gallery-sync--summer .masonry-gallery.wp-block-gallery {');
+    });
+
+    it('renders a custom template', () => {
+        const { gallery, css } = resolveGalleryLayout(
+            { className: 'my-grid', css: '{selector} { gap: {gap}px; grid-template-columns: repeat({columns.desktop}, 1fr); }' },
+            { columns: 2 }
+        );
+        expect(gallery.className).toBe('my-grid');
+        expect(css).toBe('.my-grid.wp-block-gallery { gap: 10px; grid-template-columns: repeat(2, 1fr); }');
+    });
+
+    it('rejects unknown layouts and invalid parameters', () => {
+        expect(() => resolveGalleryLayout('mosaic')).toThrow('Unknown layout "mosaic"');
+        expect(() => mergeLayoutParams({ columns: { tablet: 0 } })).toThrow('Invalid layout columns.tablet');
+        expect(() => resolveGalleryLayout({ className: 'bad class', css: '' })).toThrow('Invalid layout className');
+        expect(() => resolveGalleryLayout('constructor')).toThrow('Unknown layout "constructor"');
+    });
+
+    it('only inserts numbers into the published CSS', () => {
+        expect(() => mergeLayoutParams({ breakpoints: { tablet: '1px) {} </style><script>alert(1)</script>' } })).toThrow('Invalid layout breakpoints.tablet');
+        expect(() => mergeLayoutParams({ crop: 'x;}' })).toThrow('Invalid layout crop');
+        expect(mergeLayoutParams({ breakpoints: { mobile: 400, extra: '</style>' } }).breakpoints).toEqual({ tablet: 900, mobile: 400 });
+    });
+
+    it('takes custom templates only from the environment or a job config', () => {
+        const layout = { className: 'my-grid', css: '{selector} { gap: {gap}px; }' };
+        expect(() => readSyncOptions({}, { layout })).toThrow(expect.objectContaining({
+            errors: [expect.stringMatching(/^layout must name a layout/)]
+        }));
+        expect(() => readSyncOptions({ layout: JSON.stringify(layout) }, {})).toThrow(/layout must name a layout/);
+        expect(readSyncOptions({ layout: 'masonry' }, {}).layout).toBe('masonry');
+        expect(resolveJobTargets([{ folderId: 'A', layout }])[0].options.layout).toEqual(layout);
+        process.env.GALLERY_LAYOUT = JSON.stringify(layout);
+        try {
+            expect(readSyncOptions({}, {}).layout).toEqual(layout);
+        } finally {
+            delete process.env.GALLERY_LAYOUT;
+        }
+    });
+
+    it('fills template placeholders', () => {
+        expect(renderTemplate('{a} / {b.c} / {missing}', { a: 1, b: { c: 'x' } })).toBe('1 / x / ');
+    });
+});
+
+// ---------- image metadata ----------
+describe('image metadata', () => {
+    const iim = (dataset, text) => {
+        const value = Buffer.from(text, 'utf8');
+        const head = Buffer.from([0x1c, 0x02, dataset, 0, 0]);
+        head.writeUInt16BE(value.length, 3);
+        return Buffer.concat([head, value]);
+    };
+
+    it('reads IPTC datasets wrapped in Photoshop image resources', () => {
+        const data = Buffer.concat([iim(5, 'Sunset'), iim(120, 'Plage à Biarritz'), iim(25, 'sea'), iim(25, 'sky')]);
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(data.length);
+        const app13 = Buffer.concat([
+            Buffer.from('Photoshop 3.0\0', 'latin1'),
+            Buffer.from('8BIM', 'latin1'), Buffer.from([0x04, 0x04, 0, 0]), size, data
+        ]);
+        expect(parseIptc(app13)).toEqual({ title: 'Sunset', caption: 'Plage à Biarritz', keywords: 'sea, sky' });
+        expect(parseIptc(iim(105, 'Headline'))).toEqual({ headline: 'Headline' });
+    });
+
+    it('reads XMP elements, language alternatives and attributes', () => {
+        const xmp = Buffer.from('<rdf:Description photoshop:Headline="Big &amp; bold"><dc:title><rdf:Alt><rdf:li xml:lang="x-default">Sunset</rdf:li></rdf:Alt></dc:title></rdf:Description>');
+        expect(parseXmp(xmp)).toEqual({ title: 'Sunset', headline: 'Big & bold' });
+    });
+
+    it('reads EXIF descriptions from an image', async () => {
+        const sharp = require('sharp');
+        const buf = await sharp({ create: { width: 4, height: 4, channels: 3, background: 'red' } })
+            .jpeg()
+            .withExif({ IFD0: { ImageDescription: 'Beach day', Artist: 'Ann' } })
+            .toBuffer();
+        expect(await readEmbeddedMetadata(buf)).toEqual({ caption: 'Beach day', creator: 'Ann' });
+        expect(await readEmbeddedMetadata(Buffer.from('not an image'))).toEqual({});
+    });
+
+    it('uses the first template alternative that has all its values', () => {
+        const values = { folder: 'Summer', title: '', headline: 'Regatta' };
+        expect(renderMetadataTemplate('{folder} – {title} | {folder} – {headline}', values)).toBe('Summer – Regatta');
+        expect(renderMetadataTemplate('{title} | Photo', values)).toBe('Photo');
+        expect(renderMetadataTemplate('{title}', values)).toBe('');
+    });
+
+    it('renders alt text and captions from Drive fields and embedded values', () => {
+        const file = { name: 'IMG_0042.jpg', description: 'From the boat', properties: { alt: 'Two sailboats' } };
+        const text = makeMediaText(file, {
+            folder: 'Summer',
+            embedded: { title: 'Regatta' },
+            altTemplate: '{properties.alt} | {folder} – {title}',
+            captionTemplate: '{description}'
+        });
+        expect(text).toEqual({ alt: 'Two sailboats', caption: 'From the boat', title: '' });
+        expect(makeMediaText({ name: 'a.jpg' }, { folder: 'Summer' }).alt).toBe('');
+    });
+
+    it('keeps filenames out of alt text and captions unless allowed', () => {
+        const file = { name: 'IMG_0042.jpg', description: 'IMG_0042' };
+        expect(makeMediaText(file, { folder: 'F', altTemplate: '{filename} | none' })).toEqual({ alt: 'none', caption: '', title: '' });
+        expect(makeMediaText(file, { folder: 'F', altTemplate: '{filename}', hideFilenames: false }).alt).toBe('IMG_0042');
+    });
+});
+
+// ---------- metadata sync ----------
+describe('metadata sync', () => {
+    it('skips media whose recorded text matches', () => {
+        const desired = { alt: 'Summer – Regatta', caption: 'From the boat', title: '' };
+        expect(isMediaTextSynced({ alt: 'Summer – Regatta', caption: 'From the boat', title: 'x' }, desired)).toBe(true);
+        expect(isMediaTextSynced({ alt: 'Summer', caption: 'From the boat' }, desired)).toBe(false);
+        expect(isMediaTextSynced(null, desired)).toBe(false);
+        expect(isMediaTextSynced(null, { alt: '', caption: '', title: '' })).toBe(true);
+    });
+
+    it('patches only fields that differ and never clears one', () => {
+        const current = { alt: 'Summer – Regatta', caption: 'Old caption', title: 'IMG_0042' };
+        expect(diffMediaText({ alt: 'Summer – Regatta', caption: 'From the boat', title: '' }, current))
+            .toEqual({ caption: 'From the boat' });
+        expect(diffMediaText({ alt: 'Summer – Regatta', caption: '', title: '' }, current)).toEqual({});
+    });
+});
+
+describe('updateMediaText', () => {
+    const axios = require('axios');
+    const defaultAdapter = axios.defaults.adapter;
+    afterEach(() => {
+        axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('patches each item when WordPress refuses to batch media routes', async () => {
+        const calls = [];
+        axios.defaults.adapter = async config => {
+            calls.push(`${config.method.toUpperCase()} ${config.url}`);
+            // What WordPress core answers for /wp/v2/media/{id} sub-requests with validation: normal
+            const data = config.url === '/batch/v1'
+                ? {
+                    responses: JSON.parse(config.data).requests.map(() => ({
+                        body: { code: 'rest_batch_not_allowed', message: 'The requested route does not support batch requests.', data: { status: 400 } },
+                        status: 400,
+                        headers: {}
+                    }))
+                }
+                : { id: Number(config.url.split('/').pop()) };
+            return { data, status: config.url === '/batch/v1' ? 207 : 200, statusText: '', headers: {}, config };
+        };
+        const wp = createWp('https://example.com', 'user', 'pass');
+        const results = await wp.updateMediaText([{ id: 1, fields: { alt_text: 'A' } }, { id: 2, fields: { caption: 'B' } }]);
+        expect(results).toEqual([{ id: 1, ok: true, error: null }, { id: 2, ok: true, error: null }]);
+        expect(calls).toEqual(['POST /batch/v1', 'PATCH /wp/v2/media/1', 'PATCH /wp/v2/media/2']);
+
+        // Later chunks go straight to single requests
+        await wp.updateMediaText([{ id: 3, fields: { title: 'C' } }]);
+        expect(calls.slice(3)).toEqual(['PATCH /wp/v2/media/3']);
+    });
+});
+
+// ---------- image privacy ----------
+describe('prepareImage', () => {
+    const sharp = require('sharp');
+    let photo;
+
+    beforeAll(async () => {
+        // 40x20 JPEG with GPS in EXIF and XMP, a caption and "rotate 90°" orientation
+        const xmp = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+            + '<rdf:Description xmlns:exif="http://ns.adobe.com/exif/1.0/" exif:GPSLatitude="48,51.5N"><exif:GPSLongitude>2,21.0E</exif:GPSLongitude>'
+            + '</rdf:Description></rdf:RDF></x:xmpmeta>';
+        photo = await sharp({ create: { width: 40, height: 20, channels: 3, background: 'red' } })
+            .jpeg()
+            .withIccProfile('p3')
+            .withMetadata({ orientation: 6 })
+            .withExif({ IFD0: { ImageDescription: 'Beach day' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '48/1 51/1 30/1' } })
+            .withXmp(xmp)
+            .toBuffer();
+    });
+
+    it('strips all metadata from JPEGs without re-encoding them', async () => {
+        const { buffer, locationRemoved } = await prepareImage(photo, { metadataPolicy: 'strip-all' });
+        const metadata = await sharp(buffer).metadata();
+        expect(locationRemoved).toBe(true);
+        expect(metadata.xmp).toBeUndefined();
+        expect(metadata.exif.toString('latin1')).not.toContain('Beach day');
+        expect(hasLocationData(metadata)).toBe(false);
+        expect(metadata.icc).toBeDefined();
+        expect(metadata.orientation).toBe(6);
+        // The compressed image data is copied as is
+        const scan = photo.subarray(photo.indexOf(Buffer.from([0xff, 0xda])));
+        expect(buffer.subarray(buffer.length - scan.length).equals(scan)).toBe(true);
+        await expect(sharp(buffer).raw().toBuffer()).resolves.toHaveLength(40 * 20 * 3);
+    });
+
+    it('drops everything after the end of the image', () => {
+        const plain = stripJpegMetadata(photo);
+        expect(stripJpegMetadata(Buffer.concat([photo, Buffer.from('trailing preview')])).equals(plain)).toBe(true);
+        expect(plain.indexOf('Exif')).toBe(-1);
+    });
+
+    it('strips all metadata but keeps the colour profile and orientation when re-encoding', async () => {
+        const { buffer, locationRemoved } = await prepareImage(photo, { metadataPolicy: 'strip-all', format: 'webp' });
+        const metadata = await sharp(buffer).metadata();
+        expect(locationRemoved).toBe(true);
+        expect(metadata.exif).toBeUndefined();
+        expect(metadata.icc).toBeDefined();
+        expect([metadata.width, metadata.height]).toEqual([20, 40]);
+    });
+
+    it('removes only the location from JPEGs without re-encoding them', async () => {
+        const { buffer, locationRemoved } = await prepareImage(photo, { metadataPolicy: 'strip-location' });
+        const metadata = await sharp(buffer).metadata();
+        expect(locationRemoved).toBe(true);
+        expect(buffer.length).toBe(photo.length);
+        expect(hasLocationData(metadata)).toBe(false);
+        expect(metadata.orientation).toBe(6);
+        expect(metadata.exif.toString('latin1')).toContain('Beach day');
+    });
+
+    it('keeps metadata as is and resizes by the displayed longest side', async () => {
+        expect(await prepareImage(photo, { metadataPolicy: 'keep' })).toEqual({ buffer: photo, format: 'jpeg', locationRemoved: false });
+        const { buffer } = await prepareImage(photo, { metadataPolicy: 'keep', maxSize: 10 });
+        const metadata = await sharp(buffer).metadata();
+        expect([metadata.width, metadata.height]).toEqual([5, 10]);
+        expect(hasLocationData(metadata)).toBe(true);
+    });
+
+    it('rejects unknown policies', async () => {
+        await expect(prepareImage(photo, { metadataPolicy: 'none' })).rejects.toThrow('metadataPolicy must be one of');
+    });
+});
+
+// ---------- output formats ----------
+describe('output formats', () => {
+    const sharp = require('sharp');
+
+    it('converts to the requested format with the requested quality', async () => {
+        const png = await sharp({ create: { width: 16, height: 16, channels: 3, background: 'blue' } }).png().toBuffer();
+        const webp = await prepareImage(png, { format: 'webp', quality: 60 });
+        expect(webp.format).toBe('webp');
+        expect((await sharp(webp.buffer).metadata()).format).toBe('webp');
+        const avif = await prepareImage(png, { format: 'avif' });
+        expect((await sharp(avif.buffer).metadata()).compression).toBe('av1');
+        const jpeg = await prepareImage(png, { format: 'jpeg', progressive: true, srgb: true });
+        const metadata = await sharp(jpeg.buffer).metadata();
+        expect([metadata.format, metadata.isProgressive]).toEqual(['jpeg', true]);
+        expect(metadata.icc).toBeDefined();
+    });
+
+    it('leaves GIF alone and turns HEIC into JPEG when keeping the format', () => {
+        expect(resolveOutputFormat('gif', 'webp')).toBe('gif');
+        expect(resolveOutputFormat('heif', 'keep')).toBe('jpeg');
+        expect(resolveOutputFormat('png', 'keep')).toBe('png');
+        expect(makeOutputFilename('IMG_0042.HEIC', 'image/heic', 'keep')).toBe('IMG_0042.jpg');
+        expect(makeOutputFilename('beach.png', 'image/png', 'avif')).toBe('beach.avif');
+        expect(makeOutputFilename('beach.jpg', 'image/jpeg', 'jpeg')).toBe('beach.jpg');
+    });
+
+    it('decodes HEIC with the heic-convert dependency', async () => {
+        // Reaching heic-convert's own input check shows the package is installed and used
+        await expect(decodeHeic(Buffer.from('not a HEIC file'))).rejects.toThrow('input buffer is not a HEIC image');
+    });
+
+    it('changes the processing signature with any encoder setting', () => {
+        const base = { maxSize: 2000, metadataPolicy: 'strip-all', format: 'keep', quality: null, progressive: false, srgb: false };
+        expect(makeProcessingSignature(base)).toBe(makeProcessingSignature({ ...base }));
+        expect(makeProcessingSignature({ ...base, quality: 80 })).not.toBe(makeProcessingSignature(base));
+        expect(makeProcessingSignature({ ...base, format: 'webp' })).not.toBe(makeProcessingSignature(base));
+    });
+
+    it('reads format options', () => {
+        const options = readSyncOptions({ format: 'webp', quality: '75', srgb: 'true' }, {});
+        expect(options).toMatchObject({ format: 'webp', quality: 75, progressive: false, srgb: true });
+        expect(readSyncOptions({}, {}).format).toBe('keep');
+    });
+});
+// ---------- watermark ----------
+describe('watermark', () => {
+    const sharp = require('sharp');
+    const pixel = async (buffer, left, top) => {
+        const { data } = await sharp(buffer).extract({ left, top, width: 1, height: 1 }).raw().toBuffer({ resolveWithObject: true });
+        return [...data];
+    };
+
+    it('composites an image at the requested position, relative to the resized image', async () => {
+        const photo = await sharp({ create: { width: 200, height: 100, channels: 3, background: 'black' } }).png().toBuffer();
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgs-'));
+        const logo = path.join(dir, 'logo.png');
+        await sharp({ create: { width: 10, height: 10, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 1 } } }).png().toFile(logo);
+        const watermark = await loadWatermark({ image: logo, position: 'top-left', scale: 0.5, margin: 0, opacity: 1 });
+
+        const { buffer } = await prepareImage(photo, { maxSize: 100, watermark });
+        expect(await pixel(buffer, 2, 2)).toEqual([255, 255, 255]);
+        expect(await pixel(buffer, 45, 45)).toEqual([255, 255, 255]);
+        expect(await pixel(buffer, 60, 20)).toEqual([0, 0, 0]);
+        expect(await pixel(buffer, 90, 40)).toEqual([0, 0, 0]);
+    });
+
+    it('renders text with the requested opacity', async () => {
+        const photo = await sharp({ create: { width: 400, height: 200, channels: 3, background: 'black' } }).png().toBuffer();
+        const plain = await prepareImage(photo, { watermark: await loadWatermark({ text: '█████', scale: 0.5, opacity: 1 }) });
+        const faint = await prepareImage(photo, { watermark: await loadWatermark({ text: '█████', scale: 0.5, opacity: 0.25 }) });
+        const { channels } = await sharp(plain.buffer).stats();
+        const { channels: faintChannels } = await sharp(faint.buffer).stats();
+        expect(channels[0].max).toBeGreaterThan(200);
+        expect(faintChannels[0].max).toBeLessThan(100);
+    });
+
+    it('validates settings and makes them part of the processing signature', async () => {
+        expect(normalizeWatermark(null)).toBeNull();
+        expect(() => normalizeWatermark({ text: 'a', image: 'b.png' })).toThrow('either text or image');
+        expect(() => normalizeWatermark({ text: 'a', position: 'middle' })).toThrow('watermark position must be one of');
+        expect(() => normalizeWatermark({ text: 'a', opacity: 2 })).toThrow('opacity');
+
+        const base = { maxSize: 1024, metadataPolicy: 'strip-all', format: 'keep' };
+        const text = await loadWatermark({ text: '© Jane Doe' });
+        expect(makeProcessingSignature({ ...base, watermark: text })).not.toBe(makeProcessingSignature(base));
+        expect(makeProcessingSignature({ ...base, watermark: { ...text, opacity: 0.8 } }))
+            .not.toBe(makeProcessingSignature({ ...base, watermark: text }));
+    });
+
+    it('reads flat watermark options over the body object', () => {
+        const options = readSyncOptions({ watermarkText: '© Jane Doe', watermarkOpacity: '0.3' }, { watermark: { position: 'top' } });
+        expect(options.watermark).toEqual({ position: 'top', text: '© Jane Doe', opacity: 0.3 });
+        expect(readSyncOptions({}, {}).watermark).toBeNull();
+    });
+});
+
+
+// ---------- syncOnce ----------
+describe('syncOnce', () => {
+    const axios = require('axios');
+    const sharp = require('sharp');
+    const FOLDER = 'application/vnd.google-apps.folder';
+    const defaultAdapter = axios.defaults.adapter;
+    const cwd = process.cwd();
+    const memoryStore = () => {
+        const values = new Map();
+        const copy = v => (v === undefined ? null : JSON.parse(JSON.stringify(v)));
+        return {
+            values,
+            get: async k => copy(values.get(k)),
+            set: async (k, v) => { values.set(k, copy(v)); },
+            delete: async k => { values.delete(k); },
+            list: async prefix => [...values].filter(([k]) => k.startsWith(prefix)).map(([key, value]) => ({ key, value: copy(value) }))
+        };
+    };
+    let dir;
+    let stores;
+    let colors;
+
+    const folder = (id, name) => ({ id, name, mimeType: FOLDER });
+    const photo = (id, extra = {}) => ({ id, name: `${id}.jpg`, mimeType: 'image/jpeg', md5Checksum: `md5-${id}`, modifiedTime: '2024-01-01T00:00:00Z', ...extra });
+
+    function fakeDrive(tree) {
+        // tree: { [folderId]: [file or folder] }; `elsewhere` holds files outside the synced tree
+        const drive = {
+            tree,
+            elsewhere: new Set(),
+            trashed: new Set(),
+            downloads: [],
+            changeLog: [],
+            startPageToken: '1',
+            files: {
+                list: async ({ q }) => {
+                    const parent = /'([^']+)' in parents/.exec(q)[1];
+                    const foldersOnly = q.includes(`mimeType = '${FOLDER}'`);
+                    return { data: { files: (tree[parent] || []).filter(f => !foldersOnly || f.mimeType === FOLDER) } };
+                },
+                get: async ({ fileId, alt }) => {
+                    if (alt === 'media') {
+                        drive.downloads.push(fileId);
+                        return { data: colors.get(fileId) || colors.get('default') };
+                    }
+                    if (drive.trashed.has(fileId)) return { data: { id: fileId, trashed: true } };
+                    if (drive.elsewhere.has(fileId) || Object.values(tree).flat().some(f => f.id === fileId)) {
+                        return { data: { id: fileId, trashed: false } };
+                    }
+                    const err = new Error('File not found');
+                    err.code = 404;
+                    throw err;
+                }
+            },
+            changes: {
+                getStartPageToken: async () => ({ data: { startPageToken: drive.startPageToken } }),
+                list: async ({ pageToken }) => {
+                    drive.listedFrom = pageToken;
+                    return { data: { changes: drive.changeLog, newStartPageToken: drive.startPageToken } };
+                }
+            }
+        };
+        return drive;
+    }
+
+    function fakeWordPress(content = '') {
+        // The REST routes a sync uses, answered through the axios adapter
+        // Pages 42 (holding `content`) and 43
+        const site = { pages: { 42: content, 43: '' }, media: new Map(), nextId: 100, deleted: [], patched: [], uploads: [] };
+        const reply = (config, data, status = 200, headers = {}) => {
+            if (status >= 400) {
+                const err = new Error(`Request failed with status code ${status}`);
+                err.response = { status, data, headers };
+                throw err;
+            }
+            return { data, status, statusText: '', headers, config };
+        };
+        axios.defaults.adapter = async config => {
+            const method = config.method.toUpperCase();
+            const [route, query = ''] = config.url.split('?');
+            const params = { ...Object.fromEntries(new URLSearchParams(query)), ...config.params };
+            const mediaRoute = /^\/wp\/v2\/media\/(\d+)$/.exec(route);
+            if (route === '/wp/v2/media' && method === 'GET') {
+                let items = [...site.media.values()];
+                if (params.include) items = items.filter(m => String(params.include).split(',').map(Number).includes(m.id));
+                if (params.search) items = items.filter(m => m.source_url.toLowerCase().includes(params.search));
+                return reply(config, items, 200, { 'x-wp-totalpages': '1' });
+            }
+            if (route === '/wp/v2/media' && method === 'POST') {
+                const form = config.data.getBuffer().toString('latin1');
+                const filename = /filename="([^"]+)"/.exec(form)[1];
+                const field = name => (new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`).exec(form) || [])[1] || '';
+                const media = { id: site.nextId++, source_url: `https://example.com/uploads/${filename}`, alt_text: '', caption: { raw: field('caption') }, title: { raw: field('title') } };
+                site.media.set(media.id, media);
+                site.uploads.push(filename);
+                return reply(config, media, 201);
+            }
+            if (mediaRoute && site.media.has(Number(mediaRoute[1]))) {
+                const id = Number(mediaRoute[1]);
+                if (method === 'DELETE') {
+                    site.media.delete(id);
+                    site.deleted.push({ id, force: params.force });
+                    return reply(config, { deleted: true });
+                }
+                const fields = JSON.parse(config.data);
+                const media = site.media.get(id);
+                if (fields.alt_text !== undefined) media.alt_text = fields.alt_text;
+                if (fields.caption !== undefined) media.caption = { raw: fields.caption };
+                if (fields.title !== undefined) media.title = { raw: fields.title };
+                site.patched.push({ id, fields });
+                return reply(config, media);
+            }
+            const pageRoute = /^\/wp\/v2\/pages\/(\d+)(\/revisions)?$/.exec(route);
+            if (pageRoute && !(pageRoute[1] in site.pages)) return reply(config, { code: 'rest_post_invalid_id' }, 404);
+            if (pageRoute && pageRoute[2]) return reply(config, []);
+            if (pageRoute && method === 'GET') return reply(config, { id: Number(pageRoute[1]), content: { raw: site.pages[pageRoute[1]] } });
+            if (pageRoute && method === 'PATCH') {
+                site.pages[pageRoute[1]] = JSON.parse(config.data).content;
+                return reply(config, { id: Number(pageRoute[1]) });
+            }
+            return reply(config, { code: 'rest_no_route' }, 404);
+        };
+        return site;
+    }
+
+    const galleryIds = content => [...content.matchAll(/"id":(\d+)/g)].map(m => Number(m[1]));
+    const run = (drive, options = {}) => syncOnce({
+        driveFolderId: 'root', wpPageId: 42, wpBaseUrl: 'https://example.com', wpUser: 'u', wpPass: 'p', drive, ...options
+    });
+
+    beforeAll(async () => {
+        colors = new Map();
+        for (const [id, background] of [['default', 'gray'], ['red', 'red'], ['blue', 'blue']]) {
+            colors.set(id, await sharp({ create: { width: 8, height: 8, channels: 3, background } }).jpeg().toBuffer());
+        }
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgs-'));
+        process.chdir(dir);
+        stores = { state: memoryStore(), media: memoryStore(), snapshots: memoryStore() };
+        for (const [name, store] of Object.entries(stores)) setStore(name, store);
+    });
+
+    afterEach(() => {
+        for (const name of Object.keys(stores)) setStore(name, null);
+        axios.defaults.adapter = defaultAdapter;
+        delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+        process.chdir(cwd);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('uploads by filename without pruning when the media map cannot be shared', async () => {
+        setStore('media', null);
+        process.env.AWS_LAMBDA_FUNCTION_NAME = 'sync';
+        const drive = fakeDrive({ root: [folder('s', 'Summer')], s: [photo('a'), photo('b')] });
+        const site = fakeWordPress();
+
+        const first = await run(drive, { prune: true });
+        expect(first.uploadedCount).toBe(2);
+        expect(first.warnings).toEqual([expect.stringContaining('No shared media store')]);
+        expect(fs.existsSync(path.join(dir, '.wp-drive-media-map.json'))).toBe(false);
+
+        drive.tree.s = [photo('a')];
+        const second = await run(drive, { prune: true });
+        expect(second).toMatchObject({ uploadedCount: 0, reusedCount: 1, prunedCount: 0 });
+        expect(site.deleted).toEqual([]);
+    });
+
+    it('writes the post without a snapshot when no rollback could read one', async () => {
+        setStore('snapshots', null);
+        process.env.AWS_LAMBDA_FUNCTION_NAME = 'sync';
+        const site = fakeWordPress('<!-- wp:paragraph --><p>Intro</p><!-- /wp:paragraph -->');
+        const result = await run(fakeDrive({ root: [folder('s', 'Summer')], s: [photo('a')] }));
+        expect(result).toMatchObject({ updated: true, snapshotId: null });
+        expect(result.warnings).toEqual([expect.stringContaining('No shared snapshot store')]);
+        expect(site.pages[42]).toContain('wp:gallery');
+    });
+
+    it('prunes media another target still shows only once that target lets go of it', async () => {
+        const drive = fakeDrive({ root: [folder('s', 'Summer')], s: [photo('a'), photo('b')] });
+        const site = fakeWordPress();
+        await run(drive);
+        await run(drive, { wpPageId: 43 });
+        const [a] = galleryIds(site.pages[43]);
+
+        drive.tree.s = [photo('b')];
+        const first = await run(drive, { prune: true });
+        expect(first.prunedCount).toBe(0);
+        expect(site.media.has(a)).toBe(true);
+        expect(site.pages[43]).toContain(`"id":${a}`);
+
+        const second = await run(drive, { wpPageId: 43, prune: true });
+        expect(second.images.pruned).toEqual([expect.objectContaining({ id: a, driveFileId: 'a', driveStatus: 'missing' })]);
+        expect(site.deleted).toEqual([{ id: a, force: true }]);
+    });
+
+    it('uploads a changed file as a new attachment and removes the old one only when pruning', async () => {
+        const drive = fakeDrive({ root: [folder('s', 'Summer')], s: [photo('a'), photo('b')] });
+        const site = fakeWordPress();
+        await run(drive);
+        const [a, b] = galleryIds(site.pages[42]);
+
+        drive.tree.s = [photo('a', { md5Checksum: 'md5-a2' }), photo('b')];
+        colors.set('a', colors.get('red'));
+        const changed = await run(drive);
+        const [a2] = galleryIds(site.pages[42]);
+        expect(changed.images.replaced).toEqual([{ folder: 'Summer', filename: 'a.jpg', id: a2, previousId: a, reason: 'changed' }]);
+        expect(galleryIds(site.pages[42])).toEqual([a2, b]);
+        // Kept: posts written by hand may still show it
+        expect(changed.images.superseded).toEqual([{ id: a, filename: 'Summer-a.jpg', driveFileId: 'a', removed: false }]);
+        expect(site.media.has(a)).toBe(true);
+
+        const pruned = await run(drive, { prune: true, pruneMode: 'trash' });
+        expect(pruned.images.superseded).toEqual([{ id: a, filename: 'Summer-a.jpg', driveFileId: 'a', removed: true }]);
+        expect(site.deleted).toEqual([{ id: a, force: false }]);
+        expect((await run(drive, { prune: true })).images.superseded).toEqual([]);
+        colors.delete('a');
+    });
+
+    it('prunes media of trashed or deleted files, but not of moved or shared ones', async () => {
+        const drive = fakeDrive({ root: [folder('s', 'Summer')], s: [photo('a'), photo('b'), photo('c'), photo('e')] });
+        const site = fakeWordPress();
+        await run(drive);
+        const [a, b, c, e] = galleryIds(site.pages[42]);
+
+        // c was deleted and added again as d: d takes over its attachment
+        drive.tree.s = [photo('d', { md5Checksum: 'md5-c' })];
+        drive.trashed.add('a');
+        drive.elsewhere.add('b');
+        drive.trashed.add('e');
+        const plan = await run(drive, { prune: true, dryRun: true });
+        expect(plan.uploadedCount).toBe(0);
+        expect(plan.images.pruned.map(p => [p.id, p.driveStatus])).toEqual([[a, 'trashed'], [e, 'trashed']]);
+        expect(site.deleted).toEqual([]);
+
+        const trashed = await run(drive, { prune: true, pruneMode: 'trash' });
+        expect(trashed.images.pruned.map(p => p.id)).toEqual([a, e]);
+        expect(site.deleted).toEqual([{ id: a, force: false }, { id: e, force: false }]);
+        expect(site.media.has(b)).toBe(true);
+        expect(site.media.has(c)).toBe(true);
+
+        drive.elsewhere.delete('b');
+        const deleted = await run(drive, { prune: true });
+        expect(deleted.images.pruned).toEqual([expect.objectContaining({ id: b, driveFileId: 'b', driveStatus: 'missing' })]);
+        expect(site.deleted.slice(2)).toEqual([{ id: b, force: true }]);
+        expect(galleryIds(site.pages[42])).toEqual([c]);
+    });
+
+    it('lists only the folders Drive reports changes in since the stored page token', async () => {
+        const drive = fakeDrive({ root: [folder('s', 'Summer'), folder('w', 'Winter')], s: [photo('a')], w: [photo('b')] });
+        const site = fakeWordPress();
+        const first = await run(drive, { incremental: true });
+        expect(first.scan).toMatchObject({ mode: 'full', reason: 'no stored page token' });
+
+        drive.startPageToken = '2';
+        const listed = vi.spyOn(drive.files, 'list');
+        const quiet = await run(drive, { incremental: true });
+        expect(drive.listedFrom).toBe('1');
+        expect(quiet).toMatchObject({ scan: { mode: 'incremental', changes: 0 }, contentUpdate: 'unchanged' });
+        expect(listed).not.toHaveBeenCalled();
+
+        drive.tree.w.push(photo('c'));
+        drive.changeLog = [{ fileId: 'c', removed: false, file: { id: 'c', name: 'c.jpg', mimeType: 'image/jpeg', parents: ['w'], trashed: false } }];
+        drive.startPageToken = '3';
+        const changed = await run(drive, { incremental: true });
+        expect(drive.listedFrom).toBe('2');
+        expect(changed).toMatchObject({ scan: { mode: 'incremental', changes: 1 }, uploadedCount: 1, reusedCount: 1 });
+        expect(drive.downloads).toEqual(['a', 'b', 'c']);
+        expect(listed.mock.calls.map(([{ q }]) => /'([^']+)' in parents/.exec(q)[1])).toEqual(['w']);
+        expect(galleryIds(site.pages[42])).toHaveLength(3);
+        expect((await stores.state.get('sync:https://example.com:root:42')).startPageToken).toBe('3');
+    });
+
+    it('keeps gallery order while transfers finish out of order, within the limits', async () => {
+        const names = ['a', 'b', 'c', 'd', 'e'];
+        const drive = fakeDrive({ root: [folder('s', 'Summer')], s: names.map(id => photo(id)) });
+        const site = fakeWordPress();
+        const download = drive.files.get;
+        let inFlight = 0;
+        let maxInFlight = 0;
+        drive.files.get = async (params, options) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            // The first files take longest
+            await new Promise(resolve => setTimeout(resolve, (names.length - names.indexOf(params.fileId)) * 5));
+            inFlight--;
+            return download(params, options);
+        };
+        const filenames = content => galleryIds(content).map(id => site.media.get(id).source_url.split('/').pop());
+
+        const result = await run(drive, { downloadConcurrency: 2, uploadLimit: 3 });
+        expect(result).toMatchObject({ uploadedCount: 3, totalIdsInGallery: 3 });
+        expect(maxInFlight).toBe(2);
+        expect(site.uploads).not.toEqual(['Summer-a.jpg', 'Summer-b.jpg', 'Summer-c.jpg']);
+        expect(filenames(site.pages[42])).toEqual(['Summer-a.jpg', 'Summer-b.jpg', 'Summer-c.jpg']);
+
+        // The next run uploads the rest
+        expect(await run(drive, { downloadConcurrency: 2, uploadLimit: 3 })).toMatchObject({ uploadedCount: 2, reusedCount: 3 });
+        expect(filenames(site.pages[42])).toEqual(names.map(id => `Summer-${id}.jpg`));
+    });
+
+    it('stops at the deadline and resumes from the token to the same page', async () => {
+        const drive = fakeDrive({ root: [folder('s', 'Summer'), folder('w', 'Winter')], s: [photo('a'), photo('b')], w: [photo('c')] });
+        const site = fakeWordPress();
+        let now = Date.now();
+        const clock = vi.spyOn(Date, 'now').mockImplementation(() => now);
+        let stopped;
+        try {
+            // Time runs out once the first folder is done
+            stopped = await run(drive, { deadline: now + 1000, onProgress: p => { if (p.foldersDone === 1) now += 2000; } });
+        } finally {
+            clock.mockRestore();
+        }
+        expect(stopped).toMatchObject({ complete: false, updated: false, uploadedCount: 2 });
+        expect(stopped.continuationToken).toEqual(expect.any(String));
+        expect(site.pages[42]).toBe('');
+
+        const resumed = await run(drive, { continuationToken: stopped.continuationToken });
+        expect(resumed).toMatchObject({ complete: true, updated: true, continuationToken: null, uploadedCount: 1 });
+        expect(drive.downloads).toEqual(['a', 'b', 'c']);
+        await expect(run(drive, { continuationToken: stopped.continuationToken })).rejects.toMatchObject({ statusCode: 400 });
+
+        // What one uninterrupted run writes
+        await run(drive, { wpPageId: 43 });
+        expect(site.pages[42]).toBe(site.pages[43]);
+    });
+
+    it('writes changed alt text, caption and title of reused media once', async () => {
+        const drive = fakeDrive({ root: [folder('s', 'Summer')], s: [photo('a', { description: 'Sunset' }), photo('b')] });
+        const site = fakeWordPress();
+        await run(drive);
+        const [a] = galleryIds(site.pages[42]);
+        expect(site.media.get(a).caption.raw).toBe('Sunset');
+
+        drive.tree.s[0] = photo('a', { description: 'Sunset at sea' });
+        const plan = await run(drive, { syncMetadata: true, dryRun: true });
+        expect(plan.images.metadataUpdated).toEqual([{ folder: 'Summer', filename: 'a.jpg', id: a, fields: ['caption'] }]);
+        expect(site.patched).toEqual([]);
+
+        const result = await run(drive, { syncMetadata: true });
+        expect(result).toMatchObject({ metadataUpdatedCount: 1, reusedCount: 2 });
+        expect(site.patched).toEqual([{ id: a, fields: { caption: 'Sunset at sea' } }]);
+        expect(site.media.get(a).caption.raw).toBe('Sunset at sea');
+
+        // Recorded in the media map: nothing to ask WordPress next time
+        expect((await run(drive, { syncMetadata: true })).metadataUpdatedCount).toBe(0);
+        expect(site.patched).toHaveLength(1);
+    });
+
+    it('reports a failing target and goes on with the others', async () => {
+        const drive = fakeDrive({ root: [folder('s', 'Summer')], s: [photo('a')] });
+        const site = fakeWordPress();
+        const target = (name, wpPageId) => ({
+            name,
+            options: { driveFolderId: 'root', wpPageId, wpBaseUrl: 'https://example.com', wpUser: 'u', wpPass: 'p' }
+        });
+        // Page 44 does not exist
+        const result = await syncTargets([target('first', 42), target('missing', 44), target('last', 43)], { drive });
+        expect(result).toMatchObject({ targetsCount: 3, okCount: 2, failedCount: 1 });
+        expect(result.targets.map(t => [t.name, t.ok])).toEqual([['first', true], ['missing', false], ['last', true]]);
+        expect(result.targets[1].error).toContain('404');
+        expect(site.uploads).toEqual(['Summer-a.jpg']);
+        expect(galleryIds(site.pages[43])).toEqual(galleryIds(site.pages[42]));
+    });
+});